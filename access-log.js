@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { clientIp } = require('./limits');
+const config = require('./config');
+
+// Access log: one JSON line per request on stdout, tagged with a request id
+// that is also sent back as X-Request-Id.
+//
+//   log.access  false turns the access log off
+//   log.urls    how proxied target URLs are logged: "hash" (default), keyed
+//               hashes of the URL and of its host, so requests for the same
+//               page or site can be matched up without saying what it is;
+//               "full" for debugging; "none" leaves them out
+//   log.key     key for those hashes. Random per process unless set, so
+//               hashes can't be compared across restarts.
+//
+// Client addresses and full upstream error messages (which can name the
+// target host) are only logged with log.urls "full".
+// Routes whose paths carry a target URL: only the prefix is logged
+const TARGET_ROUTES = ['/proxy/', '/reader/', '/archive/'];
+
+const enabled = config.get().log.access;
+const urlMode = config.get().log.urls;
+const hashKey = config.get().log.key || crypto.randomBytes(32);
+
+function hash(value) {
+  return crypto.createHmac('sha256', hashKey).update(value).digest('hex').slice(0, 16);
+}
+
+function targetFields(url) {
+  if (!url || urlMode === 'none') return {};
+  let host = '';
+  try {
+    host = new URL(url).host;
+  } catch {}
+  return urlMode === 'full' ? { target: url, host } : { target: hash(url), host: hash(host) };
+}
+
+function errorText(err) {
+  if (!err) return undefined;
+  return urlMode === 'full' ? err.message : err.code || err.message;
+}
+
+function write(entry) {
+  if (!enabled) return;
+  for (const key of Object.keys(entry)) {
+    if (entry[key] === undefined || entry[key] === null) delete entry[key];
+  }
+  process.stdout.write(JSON.stringify(entry) + '\n');
+}
+
+// Start logging a request: gives it an id and the req.driftLog record that
+// handlers fill in (target, branch, cache, upstream timings, error...).
+// Works on plain http.IncomingMessage, for WebSocket upgrades.
+function begin(req) {
+  req.driftLog = {
+    id: crypto.randomBytes(8).toString('hex'),
+    started: Date.now(),
+    bytesWritten: req.socket.bytesWritten
+  };
+  return req.driftLog;
+}
+
+// Write the request's line
+function end(req, status, path) {
+  const log = req.driftLog;
+  write(Object.assign({
+    time: new Date(log.started).toISOString(),
+    id: log.id,
+    method: req.method,
+    path,
+    status,
+    user: req.driftAuth ? req.driftAuth.user.username : undefined,
+    client: urlMode === 'full' ? clientIp(req) : undefined
+  }, targetFields(log.target), {
+    branch: log.branch,
+    cache: log.cache,
+    rule: log.rule,
+    redirects: log.redirects,
+    upstreamMs: log.upstreamMs,
+    upstreamBytes: log.upstreamBytes,
+    bytes: req.socket.bytesWritten - log.bytesWritten,
+    ms: Date.now() - log.started,
+    aborted: log.aborted,
+    error: errorText(log.error)
+  }));
+}
+
+// Something that happened to a request after its status went out (a body
+// that failed mid-stream), as a separate line with the same id
+function event(req, name, err) {
+  const log = req.driftLog;
+  write(Object.assign({ time: new Date().toISOString(), id: log.id, event: name },
+    targetFields(log.target), { error: errorText(err) }));
+}
+
+function middleware(req, res, next) {
+  const log = begin(req);
+  const path = TARGET_ROUTES.find(prefix => req.path.startsWith(prefix)) || req.path;
+  res.set('X-Request-Id', log.id);
+  res.on('close', () => {
+    if (!res.writableFinished) log.aborted = true;
+    end(req, res.statusCode, path);
+  });
+  next();
+}
+
+module.exports = { middleware, begin, end, event };
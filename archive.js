@@ -0,0 +1,413 @@
+const crypto = require('crypto');
+const http = require('http');
+const { createTokenizer, serialize, getAttr, setAttr, removeAttr } = require('./html-rewriter');
+const { replaceCssUrls } = require('./css-rewriter');
+const { decodeText } = require('./charset');
+
+// Saved copies of a page as seen through Drift. The page and every
+// stylesheet, image, font and script it uses (with the stylesheets' own
+// imports and url()s) are fetched once, then written out as
+//
+//   - a single self-contained HTML file, assets inlined as data: URIs, or
+//   - a WARC file with a request and a response record for each fetch.
+//
+// Links, frames, audio and video are made absolute rather than fetched.
+// Redirects are followed, so WARC records carry the URLs that answered, and
+// cookies are left out of them so a shared archive doesn't carry logins.
+
+const MAX_ASSETS = 300;
+const MAX_TOTAL_SIZE = 100 * 1024 * 1024;
+const CONCURRENCY = 6;
+// How deep @import chains are followed
+const MAX_CSS_DEPTH = 4;
+
+// Stands in for assets the ad blocker refused, so opening the saved copy
+// doesn't fetch them from the live site
+const BLOCKED_URL = 'about:invalid';
+
+const FONT = /\.(?:woff2?|ttf|otf|eot)(?:[?#]|$)/i;
+const DROPPED_LINKS = /\b(?:preload|prefetch|modulepreload|preconnect|dns-prefetch|prerender)\b/i;
+const URL_ATTRS = ['href', 'src', 'action', 'formaction', 'poster', 'background', 'data', 'cite', 'longdesc'];
+
+function resolve(url, baseUrl) {
+  try {
+    const resolved = new URL(url.trim(), baseUrl);
+    if (resolved.protocol !== 'http:' && resolved.protocol !== 'https:') return null;
+    resolved.hash = '';
+    return resolved.href;
+  } catch {
+    return null;
+  }
+}
+
+// Text of a fetched page or stylesheet: { text, encoding }. A stylesheet
+// that doesn't say otherwise is in the encoding of the page.
+function textOf(resource, kind, pageEncoding) {
+  return decodeText(kind, resource.body, resource.headers['content-type'], pageEncoding);
+}
+
+function usable(resource) {
+  return !!resource && !resource.error && resource.statusCode >= 200 && resource.statusCode < 300;
+}
+
+// Largest candidate of a srcset
+function srcsetBest(srcset) {
+  let best = null;
+  let bestSize = -1;
+  for (const candidate of srcset.split(/,\s+/)) {
+    const [url, descriptor] = candidate.trim().split(/\s+/);
+    const size = parseFloat(descriptor) || 1;
+    if (url && size > bestSize) {
+      best = url.replace(/,$/, '');
+      bestSize = size;
+    }
+  }
+  return best;
+}
+
+function relList(token) {
+  return (getAttr(token, 'rel') || '').toLowerCase();
+}
+
+// Assets a start tag pulls in: [{ attr, url, type }], type being the
+// blocklist request type
+function assetRefs(token, inPicture) {
+  const refs = [];
+  const add = (attr, type, value) => {
+    value = value === undefined ? getAttr(token, attr) : value;
+    if (value && value.trim()) refs.push({ attr, url: value.trim(), type });
+  };
+  switch (token.name) {
+    case 'img':
+      if (getAttr(token, 'src')) add('src', 'image');
+      else if (getAttr(token, 'srcset')) add('srcset', 'image', srcsetBest(getAttr(token, 'srcset')));
+      break;
+    case 'input':
+      if ((getAttr(token, 'type') || '').toLowerCase() === 'image') add('src', 'image');
+      break;
+    case 'video':
+      add('poster', 'image');
+      break;
+    case 'script':
+      add('src', 'script');
+      break;
+    case 'link': {
+      const rel = relList(token);
+      if (/\bstylesheet\b/.test(rel)) add('href', 'stylesheet');
+      else if (/\bicon\b/.test(rel)) add('href', 'image');
+      break;
+    }
+    case 'body':
+    case 'table':
+    case 'td':
+    case 'th':
+      add('background', 'image');
+      break;
+  }
+  // <picture> sources are dropped from saved copies; the <img> is kept
+  return inPicture && token.name === 'source' ? [] : refs;
+}
+
+// Call handle(token, baseUrl, inPicture) for each token of a document and
+// join what it returns (a token serializes as-is when it returns undefined)
+function mapTokens(html, pageUrl, handle) {
+  const out = [];
+  let baseUrl = pageUrl;
+  let baseSeen = false;
+  let inPicture = false;
+  const tokenizer = createTokenizer((token) => {
+    if (token.type === 'start' && token.name === 'base' && !baseSeen && getAttr(token, 'href')) {
+      baseSeen = true;
+      try {
+        baseUrl = new URL(getAttr(token, 'href'), pageUrl).href;
+      } catch {}
+    }
+    if (token.name === 'picture') inPicture = token.type === 'start';
+    const result = handle(token, baseUrl, inPicture);
+    out.push(result === undefined ? serialize(token) : result);
+  });
+  tokenizer.write(html);
+  tokenizer.end();
+  return out.join('');
+}
+
+function cssRefs(css, baseUrl) {
+  const refs = [];
+  replaceCssUrls(css, (url, isImport) => {
+    const type = isImport ? 'stylesheet' : FONT.test(url) ? 'font' : 'image';
+    refs.push({ url, type, baseUrl });
+    return null;
+  });
+  return refs;
+}
+
+// Fetch the page and everything it needs. fetchResource(url, type, maxSize,
+// callback) fetches one URL through the proxy and calls back with
+// { url, finalUrl, statusCode, headers, requestHeaders, body, date }.
+// Calls back with { page, encoding, resources } where resources maps each
+// asset URL to its resource or { error }.
+function collectPage(pageUrl, fetchResource, callback) {
+  fetchResource(pageUrl, 'document', MAX_TOTAL_SIZE, (err, page) => {
+    if (err) return callback(err);
+    if (!(page.headers['content-type'] || '').includes('text/html')) {
+      const notHtml = new Error('Not an HTML page');
+      notHtml.code = 'ENOTHTML';
+      return callback(notHtml);
+    }
+    const { text, encoding } = textOf(page, 'html');
+
+    const resources = new Map();
+    const queue = [];
+    let size = page.body.length;
+    let active = 0;
+    let finished = false;
+
+    function want(url, type, baseUrl, depth) {
+      const absolute = resolve(url, baseUrl);
+      if (!absolute || absolute === page.finalUrl || resources.has(absolute) || resources.size >= MAX_ASSETS) return;
+      resources.set(absolute, null);
+      queue.push({ url: absolute, type, depth });
+    }
+
+    function pump() {
+      while (active < CONCURRENCY && queue.length) {
+        const job = queue.shift();
+        if (size >= MAX_TOTAL_SIZE) {
+          resources.set(job.url, { error: Object.assign(new Error('Archive size limit reached'), { code: 'ETOOLARGE' }) });
+          continue;
+        }
+        active++;
+        fetchResource(job.url, job.type, MAX_TOTAL_SIZE - size, (err, resource) => {
+          active--;
+          resources.set(job.url, err ? { error: err } : resource);
+          if (!err) {
+            size += resource.body.length;
+            if (job.type === 'stylesheet' && usable(resource) && job.depth < MAX_CSS_DEPTH) {
+              for (const ref of cssRefs(textOf(resource, 'css', encoding).text, resource.finalUrl)) want(ref.url, ref.type, ref.baseUrl, job.depth + 1);
+            }
+          }
+          pump();
+        });
+      }
+      if (!active && !queue.length && !finished) {
+        finished = true;
+        callback(null, { page, encoding, resources });
+      }
+    }
+
+    mapTokens(text, page.finalUrl, (token, baseUrl, inPicture) => {
+      if (token.type !== 'start') return '';
+      for (const ref of assetRefs(token, inPicture)) want(ref.url, ref.type, baseUrl, 0);
+      const css = [getAttr(token, 'style'), token.name === 'style' ? token.text : null].filter(Boolean);
+      for (const text of css) {
+        for (const ref of cssRefs(text, baseUrl)) want(ref.url, ref.type, ref.baseUrl, 0);
+      }
+      return '';
+    });
+    pump();
+  });
+}
+
+// ─── Single-file HTML ───
+
+function dataUri(contentType, body) {
+  return `data:${(contentType || 'application/octet-stream').replace(/\s+/g, '')};base64,${body.toString('base64')}`;
+}
+
+// What an asset reference becomes in the saved copy: a data: URI, or the
+// absolute URL when it couldn't be fetched
+function assetUrl(url, baseUrl, resources) {
+  const absolute = resolve(url, baseUrl);
+  if (!absolute) return null;
+  const resource = resources.get(absolute);
+  if (resource && resource.error && resource.error.code === 'EBLOCKED') return BLOCKED_URL;
+  return usable(resource) ? dataUri(resource.headers['content-type'], resource.body) : absolute;
+}
+
+// `importing` holds the stylesheets being inlined further up, so import
+// cycles end with an empty stylesheet
+function inlineCss(css, baseUrl, archive, importing) {
+  const { encoding, resources } = archive;
+  return replaceCssUrls(css, (url, isImport) => {
+    const absolute = resolve(url, baseUrl);
+    const resource = absolute && resources.get(absolute);
+    if (isImport && usable(resource)) {
+      if (importing.includes(absolute) || importing.length >= MAX_CSS_DEPTH) return 'data:text/css,';
+      const imported = inlineCss(textOf(resource, 'css', encoding).text, resource.finalUrl, archive, importing.concat(absolute));
+      return dataUri('text/css;charset=utf-8', Buffer.from(imported, 'utf-8'));
+    }
+    return assetUrl(url, baseUrl, resources);
+  });
+}
+
+function escapeComment(text) {
+  return text.replace(/--/g, '%2D%2D').replace(/>/g, '%3E');
+}
+
+function singleFileHtml(archive) {
+  const { page, encoding, resources } = archive;
+  const banner = `<meta charset="utf-8"><!-- Saved by Drift from ${escapeComment(page.finalUrl)} on ${page.date.toISOString()} -->`;
+  let bannerDone = false;
+
+  return mapTokens(textOf(page, 'html').text, page.finalUrl, (token, baseUrl, inPicture) => {
+    if (token.type !== 'start') return undefined;
+    let prefix = '';
+    if (!bannerDone && token.name !== 'html') {
+      bannerDone = true;
+      if (token.name === 'head') return serialize(token) + banner;
+      prefix = banner;
+    }
+
+    const rel = token.name === 'link' ? relList(token) : '';
+    if (token.name === 'base' || (inPicture && token.name === 'source') || DROPPED_LINKS.test(rel)) return prefix;
+    // The saved copy is UTF-8 and its assets are inline
+    if (token.name === 'meta' && (getAttr(token, 'charset') !== null ||
+        /^(?:content-type|content-security-policy)$/i.test(getAttr(token, 'http-equiv') || ''))) return prefix;
+
+    if (/\bstylesheet\b/.test(rel) && getAttr(token, 'href')) {
+      const absolute = resolve(getAttr(token, 'href'), baseUrl);
+      const resource = absolute && resources.get(absolute);
+      if (usable(resource)) {
+        const media = getAttr(token, 'media');
+        const css = inlineCss(textOf(resource, 'css', encoding).text, resource.finalUrl, archive, [absolute]).replace(/<\/style/gi, '<\\/style');
+        return `${prefix}<style${media ? ` media="${media.replace(/"/g, '&quot;')}"` : ''}>${css}</style>`;
+      }
+    }
+
+    const assets = assetRefs(token, inPicture);
+    for (const { attr, url } of assets) {
+      const inlined = assetUrl(url, baseUrl, resources);
+      if (inlined) setAttr(token, attr === 'srcset' ? 'src' : attr, inlined);
+    }
+    if (token.name === 'img') {
+      removeAttr(token, 'srcset');
+      removeAttr(token, 'sizes');
+    }
+    if (assets.length) {
+      removeAttr(token, 'integrity');
+      removeAttr(token, 'crossorigin');
+    }
+    // Everything else that points somewhere points at the live site
+    for (const name of URL_ATTRS) {
+      if (assets.some(ref => ref.attr === name)) continue;
+      const value = getAttr(token, name);
+      const absolute = value && !value.trim().startsWith('#') && resolve(value, baseUrl);
+      if (absolute) setAttr(token, name, absolute);
+    }
+    if (getAttr(token, 'style')) setAttr(token, 'style', inlineCss(getAttr(token, 'style'), baseUrl, archive, []));
+    if (token.name === 'style' && token.text) token.text = inlineCss(token.text, baseUrl, archive, []);
+    return prefix + serialize(token);
+  });
+}
+
+// ─── WARC ───
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function sha1(buffer) {
+  return `sha1:${base32(crypto.createHash('sha1').update(buffer).digest())}`;
+}
+
+function recordId() {
+  return `<urn:uuid:${crypto.randomUUID()}>`;
+}
+
+function warcDate(date) {
+  return date.toISOString().replace(/\.\d+Z$/, 'Z');
+}
+
+function warcRecord(fields, block) {
+  const head = ['WARC/1.1']
+    .concat(Object.entries(fields).filter(([, value]) => value).map(([name, value]) => `${name}: ${value}`))
+    .concat(`Content-Length: ${block.length}`);
+  return Buffer.concat([Buffer.from(head.join('\r\n') + '\r\n\r\n'), block, Buffer.from('\r\n\r\n')]);
+}
+
+function headerLines(headers, skip) {
+  const lines = [];
+  for (const [name, value] of Object.entries(headers)) {
+    if (skip.includes(name.toLowerCase()) || value === undefined) continue;
+    for (const item of [].concat(value)) lines.push(`${name}: ${item}`);
+  }
+  return lines;
+}
+
+function requestBlock(resource) {
+  const url = new URL(resource.finalUrl);
+  const lines = [`GET ${url.pathname}${url.search} HTTP/1.1`, `Host: ${url.host}`]
+    .concat(headerLines(resource.requestHeaders || {}, ['cookie', 'host']));
+  return Buffer.from(lines.join('\r\n') + '\r\n\r\n');
+}
+
+// Bodies are stored decoded, so the encoding headers go and the length is
+// the stored one
+function responseBlock(resource) {
+  const status = `HTTP/1.1 ${resource.statusCode} ${http.STATUS_CODES[resource.statusCode] || ''}`.trim();
+  const lines = [status]
+    .concat(headerLines(resource.headers, ['set-cookie', 'content-encoding', 'transfer-encoding', 'content-length']))
+    .concat(`Content-Length: ${resource.body.length}`);
+  return Buffer.concat([Buffer.from(lines.join('\r\n') + '\r\n\r\n'), resource.body]);
+}
+
+function createWarc(archive) {
+  const { page, resources } = archive;
+  const infoId = recordId();
+  const info = Buffer.from([
+    'software: Drift',
+    'format: WARC File Format 1.1',
+    'conformsTo: http://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/',
+    `description: ${page.finalUrl} with its assets`
+  ].join('\r\n') + '\r\n');
+  const records = [warcRecord({
+    'WARC-Type': 'warcinfo',
+    'WARC-Record-ID': infoId,
+    'WARC-Date': warcDate(page.date),
+    'Content-Type': 'application/warc-fields'
+  }, info)];
+
+  for (const resource of [page, ...resources.values()]) {
+    if (!resource || resource.error) continue;
+    const responseId = recordId();
+    const response = responseBlock(resource);
+    records.push(warcRecord({
+      'WARC-Type': 'response',
+      'WARC-Record-ID': responseId,
+      'WARC-Warcinfo-ID': infoId,
+      'WARC-Date': warcDate(resource.date),
+      'WARC-Target-URI': resource.finalUrl,
+      'WARC-Payload-Digest': sha1(resource.body),
+      'WARC-Block-Digest': sha1(response),
+      'Content-Type': 'application/http;msgtype=response'
+    }, response));
+    const request = requestBlock(resource);
+    records.push(warcRecord({
+      'WARC-Type': 'request',
+      'WARC-Record-ID': recordId(),
+      'WARC-Warcinfo-ID': infoId,
+      'WARC-Date': warcDate(resource.date),
+      'WARC-Target-URI': resource.finalUrl,
+      'WARC-Concurrent-To': responseId,
+      'WARC-Block-Digest': sha1(request),
+      'Content-Type': 'application/http;msgtype=request'
+    }, request));
+  }
+  return Buffer.concat(records);
+}
+
+module.exports = { collectPage, singleFileHtml, createWarc };
@@ -0,0 +1,327 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { parseCookieHeader } = require('./sessions');
+const config = require('./config');
+
+// Access control for Drift itself. Accounts live in a JSON file
+// (auth.usersFile, default users.json next to the server) holding scrypt
+// password hashes and SHA-256 hashes of API tokens — neither secret is
+// stored. Browsers sign in for a login session kept in memory and named by
+// an HttpOnly cookie on Drift's origin; scripts send
+// "Authorization: Bearer <token>" instead.
+//
+// Proxied pages are on Drift's origin too and send the sign-in cookie along,
+// so each login session also has a UI token: the Drift UI sends it with its
+// API requests (X-Drift-UI) to show they come from the UI rather than from a
+// page (see requireUiProof in server.js).
+//
+// With no accounts on file, auth.adminPassword (and optionally
+// auth.adminUser, default "admin") creates the first admin at startup.
+const USERS_FILE = config.get().auth.usersFile;
+const COOKIE_NAME = 'drift_auth';
+const LOGIN_TTL = 7 * 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL = 10 * 60 * 1000;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const TOKEN_PREFIX = 'drift_';
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[a-z0-9._-]{1,64}$/i;
+// Failed sign-ins for a username after which each further attempt has to
+// wait, twice as long as the last time, up to MAX_BACKOFF; forgotten after
+// FAILURE_MEMORY without one
+const FREE_FAILURES = 5;
+const MAX_BACKOFF = 15 * 60 * 1000;
+const FAILURE_MEMORY = 60 * 60 * 1000;
+
+// username -> {username, password, admin, created}
+const users = new Map();
+// SHA-256 of the token -> {id, name, username, hash, created, lastUsed}
+const tokens = new Map();
+// cookie value -> {id, username, created, lastSeen, expires, ip, userAgent, uiToken}
+const logins = new Map();
+// username tried -> {count, last, until}, whether or not the user exists,
+// so the limit applies across client addresses
+const failures = new Map();
+
+function authError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function hashPassword(password, callback) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  crypto.scrypt(password, salt, KEY_LENGTH, SCRYPT_PARAMS, (err, key) => {
+    if (err) return callback(err);
+    callback(null, `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${key.toString('base64')}`);
+  });
+}
+
+function verifyPassword(password, stored, callback) {
+  const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !hash) return callback(null, false);
+  const expected = Buffer.from(hash, 'base64');
+  const params = { N: Number(N), r: Number(r), p: Number(p), maxmem: 256 * Number(N) * Number(r) };
+  crypto.scrypt(password, Buffer.from(salt, 'base64'), expected.length, params, (err, key) => {
+    callback(null, !err && crypto.timingSafeEqual(key, expected));
+  });
+}
+
+// Compared against when the username doesn't exist, so a failed login takes
+// as long either way
+let dummyHash = null;
+hashPassword(crypto.randomBytes(16).toString('hex'), (err, hash) => { dummyHash = hash; });
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function loadUsers() {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(USERS_FILE, 'utf-8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.log(`Users file unreadable, nobody can sign in: ${err.message}`);
+    return;
+  }
+  for (const user of data.users || []) users.set(user.username, user);
+  for (const token of data.tokens || []) tokens.set(token.hash, token);
+}
+
+function saveUsers() {
+  const data = { users: [...users.values()], tokens: [...tokens.values()] };
+  const tmp = `${USERS_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tmp, USERS_FILE);
+}
+
+function publicUser(user) {
+  return { username: user.username, admin: !!user.admin, created: user.created };
+}
+
+// Create a user, or change an existing one's password and admin flag
+function setUser(username, password, admin, callback) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return callback(authError(400, 'Usernames are 1-64 letters, digits, ".", "_" or "-"'));
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return callback(authError(400, `Passwords need at least ${MIN_PASSWORD_LENGTH} characters`));
+  }
+  hashPassword(password, (err, hash) => {
+    if (err) return callback(err);
+    const existing = users.get(username);
+    const user = { username, password: hash, admin: !!admin, created: existing ? existing.created : Date.now() };
+    users.set(username, user);
+    try {
+      saveUsers();
+    } catch (saveErr) {
+      if (existing) users.set(username, existing);
+      else users.delete(username);
+      return callback(saveErr);
+    }
+    // A new password signs the user out everywhere
+    if (existing) revokeLogins({ username });
+    callback(null, publicUser(user));
+  });
+}
+
+function deleteUser(username) {
+  if (!users.delete(username)) return false;
+  for (const [hash, token] of tokens) {
+    if (token.username === username) tokens.delete(hash);
+  }
+  saveUsers();
+  revokeLogins({ username });
+  return true;
+}
+
+function listUsers() {
+  return [...users.values()].map(publicUser);
+}
+
+function recordFailure(name) {
+  const now = Date.now();
+  const entry = failures.get(name) || { count: 0, last: 0, until: 0 };
+  entry.count++;
+  entry.last = now;
+  if (entry.count > FREE_FAILURES) {
+    entry.until = now + Math.min(MAX_BACKOFF, 1000 * 2 ** (entry.count - FREE_FAILURES - 1));
+  }
+  failures.set(name, entry);
+}
+
+// Check a username and password and start a login session. `meta` is
+// {ip, userAgent}, shown in the admin view. Calls back with the cookie
+// value and the session, or an error with a status (and retryAfter, in
+// seconds, while the username is backing off).
+function login(username, password, meta, callback) {
+  const name = typeof username === 'string' ? username : '';
+  const user = users.get(name);
+  if (typeof password !== 'string') password = '';
+  const backoff = failures.get(name);
+  const wait = backoff ? Math.ceil((backoff.until - Date.now()) / 1000) : 0;
+  if (wait > 0) {
+    const err = authError(429, `Too many failed sign-ins for this account. Try again in ${wait === 1 ? 'a second' : `${wait} seconds`}.`);
+    err.retryAfter = wait;
+    return callback(err);
+  }
+  verifyPassword(password, user ? user.password : dummyHash, (err, ok) => {
+    if (!ok || !user) {
+      recordFailure(name);
+      return callback(authError(401, 'Wrong username or password'));
+    }
+    failures.delete(name);
+    const secret = crypto.randomBytes(32).toString('hex');
+    const session = {
+      id: crypto.randomBytes(8).toString('hex'),
+      username: user.username,
+      created: Date.now(),
+      lastSeen: Date.now(),
+      expires: Date.now() + LOGIN_TTL,
+      ip: meta.ip || null,
+      userAgent: meta.userAgent || null,
+      uiToken: crypto.randomBytes(32).toString('hex')
+    };
+    logins.set(secret, session);
+    callback(null, secret, session);
+  });
+}
+
+function logout(req) {
+  const secret = parseCookieHeader(req.headers.cookie)[COOKIE_NAME];
+  if (secret) logins.delete(secret);
+}
+
+// End login sessions by session id or for every session of a user
+function revokeLogins(filter) {
+  let revoked = 0;
+  for (const [secret, session] of logins) {
+    if (filter.id && session.id !== filter.id) continue;
+    if (filter.username && session.username !== filter.username) continue;
+    logins.delete(secret);
+    revoked++;
+  }
+  return revoked;
+}
+
+function listLogins() {
+  const now = Date.now();
+  return [...logins.values()].filter(s => s.expires > now).map(({ uiToken, ...s }) => s);
+}
+
+// Mint an API token. The token itself is only ever returned here.
+function createToken(username, name) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const entry = {
+    id: crypto.randomBytes(8).toString('hex'),
+    name: typeof name === 'string' && name.trim() ? name.trim().slice(0, 100) : 'API token',
+    username,
+    hash: hashToken(token),
+    created: Date.now(),
+    lastUsed: null
+  };
+  tokens.set(entry.hash, entry);
+  saveUsers();
+  return { id: entry.id, name: entry.name, token };
+}
+
+function listTokens(username) {
+  return [...tokens.values()]
+    .filter(t => !username || t.username === username)
+    .map(({ id, name, username, created, lastUsed }) => ({ id, name, username, created, lastUsed }));
+}
+
+// Revoke a token by id; with `username`, only if it belongs to that user
+function revokeToken(id, username) {
+  for (const [hash, token] of tokens) {
+    if (token.id !== id || (username && token.username !== username)) continue;
+    tokens.delete(hash);
+    saveUsers();
+    return true;
+  }
+  return false;
+}
+
+// Who is making this request: {user, via: 'session' | 'token', session?,
+// token?}, or null. Works on plain http.IncomingMessage (WebSocket upgrades).
+function authenticate(req) {
+  const authorization = req.headers.authorization || '';
+  const bearer = /^Bearer\s+(\S+)$/i.exec(authorization);
+  if (bearer) {
+    const token = tokens.get(hashToken(bearer[1]));
+    const user = token && users.get(token.username);
+    if (!user) return null;
+    token.lastUsed = Date.now();
+    return { user: publicUser(user), via: 'token', token };
+  }
+  const secret = parseCookieHeader(req.headers.cookie)[COOKIE_NAME];
+  const session = secret && logins.get(secret);
+  if (!session) return null;
+  const user = users.get(session.username);
+  if (!user || session.expires <= Date.now()) {
+    logins.delete(secret);
+    return null;
+  }
+  session.lastSeen = Date.now();
+  return { user: publicUser(user), via: 'session', session };
+}
+
+// The UI token of a browser's login session (null for API tokens)
+function uiToken(found) {
+  return found.via === 'session' ? found.session.uiToken : null;
+}
+
+// Does the request carry its login session's UI token?
+function hasUiToken(req, found) {
+  const expected = uiToken(found);
+  const given = req.headers['x-drift-ui'];
+  if (!expected || typeof given !== 'string' || given.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+}
+
+function loginCookie(secret, secure) {
+  return `${COOKIE_NAME}=${secret}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${LOGIN_TTL / 1000}${secure ? '; Secure' : ''}`;
+}
+
+function logoutCookie(secure) {
+  return `${COOKIE_NAME}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0${secure ? '; Secure' : ''}`;
+}
+
+loadUsers();
+if (!users.size && config.get().auth.adminPassword) {
+  setUser(config.get().auth.adminUser, config.get().auth.adminPassword, true, (err, user) => {
+    if (err) return console.log(`Could not create the admin account: ${err.message}`);
+    console.log(`Created admin account "${user.username}" in ${USERS_FILE}`);
+  });
+} else if (!users.size) {
+  console.log(`No Drift accounts in ${USERS_FILE} — set auth.adminPassword (DRIFT_ADMIN_PASSWORD) to create an admin account`);
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [secret, session] of logins) {
+    if (session.expires <= now) logins.delete(secret);
+  }
+  for (const [name, entry] of failures) {
+    if (entry.last < now - FAILURE_MEMORY) failures.delete(name);
+  }
+}, SWEEP_INTERVAL).unref();
+
+module.exports = {
+  authenticate,
+  uiToken,
+  hasUiToken,
+  login,
+  logout,
+  loginCookie,
+  logoutCookie,
+  revokeLogins,
+  listLogins,
+  setUser,
+  deleteUser,
+  listUsers,
+  createToken,
+  listTokens,
+  revokeToken
+};
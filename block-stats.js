@@ -0,0 +1,84 @@
+// Log of requests the ad blocker refused for one Drift session. Events are
+// kept in a bounded ring so stats can be sliced by blocked domain, by the
+// page that made the request and by time window.
+const MAX_EVENTS = 5000;
+const MAX_LISTED = 100;
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return '';
+  }
+}
+
+function countBy(events, key) {
+  const counts = new Map();
+  for (const event of events) {
+    const value = key(event);
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts].sort((a, b) => b[1] - a[1]);
+}
+
+function createBlockStats() {
+  let events = [];
+  let total = 0;
+
+  // pageUrl is the real URL of the proxied page that made the request, or
+  // null when it isn't known
+  function record(url, type, pageUrl) {
+    total++;
+    events.push({ time: Date.now(), url, domain: hostnameOf(url), type, page: pageUrl || null });
+    if (events.length > MAX_EVENTS) events = events.slice(-MAX_EVENTS);
+  }
+
+  function countForPage(pageUrl) {
+    return events.reduce((n, event) => n + (event.page === pageUrl ? 1 : 0), 0);
+  }
+
+  // Stats for the last `windowMs` milliseconds, bucketed every `bucketMs`.
+  // With options.page, only requests made by that page are counted and the
+  // most recent ones are listed individually.
+  function summary(options) {
+    const now = Date.now();
+    const since = now - options.windowMs;
+    let inWindow = events.filter(event => event.time >= since);
+    if (options.page) inWindow = inWindow.filter(event => event.page === options.page);
+
+    const buckets = Math.ceil(options.windowMs / options.bucketMs);
+    const timeline = Array.from({ length: buckets }, (_, i) => ({ start: since + i * options.bucketMs, count: 0 }));
+    for (const event of inWindow) {
+      const bucket = timeline[Math.min(buckets - 1, Math.floor((event.time - since) / options.bucketMs))];
+      bucket.count++;
+    }
+
+    const result = {
+      total,
+      count: inWindow.length,
+      byDomain: countBy(inWindow, event => event.domain).map(([domain, count]) => ({ domain, count })),
+      byPage: countBy(inWindow, event => event.page).map(([page, count]) => ({ page, count })),
+      timeline
+    };
+    if (options.page) {
+      result.recent = inWindow.slice(-MAX_LISTED).reverse()
+        .map(event => ({ time: event.time, url: event.url, domain: event.domain, type: event.type }));
+    }
+    return result;
+  }
+
+  function clear() {
+    events = [];
+    total = 0;
+  }
+
+  return {
+    record,
+    countForPage,
+    summary,
+    clear,
+    get total() { return total; }
+  };
+}
+
+module.exports = { createBlockStats };
@@ -0,0 +1,255 @@
+// Character encodings of the bodies Drift rewrites, determined the way
+// browsers do it (WHATWG Encoding, HTML and CSS Syntax specs) and decoded
+// with the full WHATWG decoder set. Rewritten output is always UTF-8.
+//
+//   HTML  byte order mark, Content-Type charset, <meta> prescan of the first
+//         1024 bytes, then a UTF-8 validity check falling back to
+//         windows-1252
+//   CSS   byte order mark, Content-Type charset, @charset, then the encoding
+//         of the page that loaded it, then UTF-8
+//   JS    byte order mark, Content-Type charset, then the encoding of the
+//         page that loaded it, then UTF-8
+
+// Bytes examined before an encoding is chosen
+const SNIFF_SIZE = 1024;
+
+// Labels of the "replacement" encoding: legacy encodings that could be
+// used to smuggle markup past filters, decoded as a single U+FFFD
+const REPLACEMENT_LABELS = new Set(['csiso2022kr', 'hz-gb-2312', 'iso-2022-cn', 'iso-2022-cn-ext', 'iso-2022-kr', 'replacement']);
+
+// Canonical name of a supported encoding label, or null
+function encodingForLabel(label) {
+  if (!label) return null;
+  label = label.trim().toLowerCase();
+  if (REPLACEMENT_LABELS.has(label)) return 'replacement';
+  if (label === 'x-user-defined') return label;
+  try {
+    return new TextDecoder(label).encoding;
+  } catch {
+    return null;
+  }
+}
+
+function headerCharset(contentType) {
+  const m = /;\s*charset\s*=\s*(?:"([^"]*)"|([^\s;]+))/i.exec(contentType || '');
+  return m ? encodingForLabel(m[1] !== undefined ? m[1] : m[2]) : null;
+}
+
+function bomEncoding(bytes) {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+  return null;
+}
+
+// A <meta> can't really switch a document to UTF-16: it was parsed as ASCII
+function metaEncoding(label) {
+  const encoding = encodingForLabel(label);
+  if (encoding === 'utf-16le' || encoding === 'utf-16be') return 'utf-8';
+  if (encoding === 'x-user-defined') return 'windows-1252';
+  return encoding;
+}
+
+// "Extracting a character encoding from a meta element" for a content value
+function charsetFromContent(content) {
+  const re = /charset/gi;
+  let m;
+  while ((m = re.exec(content))) {
+    let pos = m.index + 7;
+    while (/[\t\n\f\r ]/.test(content[pos] || '')) pos++;
+    if (content[pos] !== '=') continue;
+    pos++;
+    while (/[\t\n\f\r ]/.test(content[pos] || '')) pos++;
+    const quote = content[pos];
+    if (quote === '"' || quote === "'") {
+      const end = content.indexOf(quote, pos + 1);
+      return end === -1 ? null : content.slice(pos + 1, end);
+    }
+    const value = /^[^\t\n\f\r ;]*/.exec(content.slice(pos))[0];
+    return value || null;
+  }
+  return null;
+}
+
+// "Get an attribute" from the prescan algorithm: {name, value, end}, or null
+// at the end of the tag
+function readAttribute(text, pos) {
+  while (/[\t\n\f\r /]/.test(text[pos] || '')) pos++;
+  if (pos >= text.length || text[pos] === '>') return null;
+  let name = '';
+  let value = '';
+  for (; pos < text.length; pos++) {
+    const c = text[pos];
+    if (c === '=' && name) break;
+    if (/[\t\n\f\r ]/.test(c)) {
+      while (/[\t\n\f\r ]/.test(text[pos] || '')) pos++;
+      if (text[pos] !== '=') return { name, value, end: pos };
+      break;
+    }
+    if (c === '/' || c === '>') return { name, value, end: pos };
+    name += c.toLowerCase();
+  }
+  if (pos >= text.length) return null;
+  pos++; // past "="
+  while (/[\t\n\f\r ]/.test(text[pos] || '')) pos++;
+  const quote = text[pos];
+  if (quote === '"' || quote === "'") {
+    const end = text.indexOf(quote, pos + 1);
+    if (end === -1) return null;
+    return { name, value: text.slice(pos + 1, end).toLowerCase(), end: end + 1 };
+  }
+  for (; pos < text.length && !/[\t\n\f\r >]/.test(text[pos]); pos++) value += text[pos].toLowerCase();
+  return { name, value, end: pos };
+}
+
+// "Prescan a byte stream to determine its encoding" over the start of an
+// HTML document: the encoding a <meta charset> or http-equiv Content-Type
+// declares, or null
+function prescanHtml(bytes) {
+  const text = bytes.subarray(0, SNIFF_SIZE).toString('latin1');
+  let pos = 0;
+  while (pos < text.length) {
+    if (text.startsWith('<!--', pos)) {
+      const end = text.indexOf('-->', pos + 2);
+      if (end === -1) return null;
+      pos = end + 3;
+    } else if (/^<meta[\t\n\f\r /]/i.test(text.slice(pos, pos + 6))) {
+      pos += 5;
+      const seen = new Set();
+      let gotPragma = false;
+      let needPragma = null;
+      let charset = null;
+      let attr;
+      while ((attr = readAttribute(text, pos))) {
+        pos = attr.end;
+        if (seen.has(attr.name)) continue;
+        seen.add(attr.name);
+        if (attr.name === 'http-equiv' && attr.value === 'content-type') {
+          gotPragma = true;
+        } else if (attr.name === 'content' && !charset) {
+          const label = charsetFromContent(attr.value);
+          if (label) {
+            charset = metaEncoding(label);
+            needPragma = true;
+          }
+        } else if (attr.name === 'charset') {
+          charset = metaEncoding(attr.value);
+          needPragma = false;
+        }
+      }
+      if (needPragma !== null && !(needPragma && !gotPragma) && charset) return charset;
+      pos = text.indexOf('>', pos) + 1 || text.length;
+    } else if (/^<\/?[a-z]/i.test(text.slice(pos, pos + 3))) {
+      pos = (/[\t\n\f\r />]/.exec(text.slice(pos)) || { index: text.length - pos }).index + pos;
+      let attr;
+      while ((attr = readAttribute(text, pos))) pos = attr.end;
+      pos = text.indexOf('>', pos) + 1 || text.length;
+    } else if (/^<[!/?]/.test(text.slice(pos, pos + 2))) {
+      pos = text.indexOf('>', pos) + 1 || text.length;
+    } else {
+      pos++;
+    }
+  }
+  return null;
+}
+
+// Encoding named by a stylesheet's opening @charset "…"; rule
+function cssCharsetRule(bytes) {
+  const text = bytes.subarray(0, SNIFF_SIZE).toString('latin1');
+  const m = /^@charset "([^"]*)";/.exec(text);
+  if (!m) return null;
+  const encoding = encodingForLabel(m[1]);
+  return encoding === 'utf-16le' || encoding === 'utf-16be' ? 'utf-8' : encoding;
+}
+
+// Is this valid UTF-8, apart from a sequence cut off at the end?
+function looksUtf8(bytes) {
+  for (let i = 0; i < bytes.length;) {
+    const b = bytes[i];
+    const length = b < 0x80 ? 1 : b >= 0xC2 && b <= 0xDF ? 2 : b >= 0xE0 && b <= 0xEF ? 3 : b >= 0xF0 && b <= 0xF4 ? 4 : 0;
+    if (!length) return false;
+    for (let j = 1; j < length; j++) {
+      if (i + j >= bytes.length) return true;
+      if ((bytes[i + j] & 0xC0) !== 0x80) return false;
+    }
+    i += length;
+  }
+  return true;
+}
+
+// Encoding of a body of `kind` (html, css or js) from its first bytes and
+// Content-Type; `fallback` is the encoding of the page that loaded it
+function sniffEncoding(kind, bytes, contentType, fallback) {
+  const declared = bomEncoding(bytes) || headerCharset(contentType);
+  if (declared) return declared;
+  if (kind === 'html') return prescanHtml(bytes) || (looksUtf8(bytes.subarray(0, SNIFF_SIZE)) ? 'utf-8' : 'windows-1252');
+  if (kind === 'css') return cssCharsetRule(bytes) || encodingForLabel(fallback) || 'utf-8';
+  return encodingForLabel(fallback) || 'utf-8';
+}
+
+// Decoders the platform lacks
+function specialDecoder(encoding) {
+  if (encoding === 'replacement') {
+    let sent = false;
+    return {
+      decode(bytes) {
+        if (sent || !bytes || !bytes.length) return '';
+        sent = true;
+        return '\uFFFD';
+      }
+    };
+  }
+  if (encoding === 'x-user-defined') {
+    return {
+      decode(bytes) {
+        let out = '';
+        for (const b of bytes || []) out += String.fromCharCode(b < 0x80 ? b : 0xF700 + b);
+        return out;
+      }
+    };
+  }
+  return null;
+}
+
+// Streaming decoder for a body: write(bytes) and end() return text. Bytes
+// are held until SNIFF_SIZE have arrived (or the body ends) so the encoding
+// can be sniffed; onEncoding(encoding) is called once it's chosen.
+function createTextDecoder(kind, contentType, fallback, onEncoding) {
+  let held = [];
+  let heldSize = 0;
+  let decoder = null;
+
+  function start() {
+    const bytes = Buffer.concat(held);
+    held = null;
+    const encoding = sniffEncoding(kind, bytes, contentType, fallback);
+    decoder = specialDecoder(encoding) || new TextDecoder(encoding);
+    if (onEncoding) onEncoding(encoding);
+    return bytes;
+  }
+
+  return {
+    write(chunk) {
+      if (!decoder) {
+        held.push(chunk);
+        heldSize += chunk.length;
+        if (heldSize < SNIFF_SIZE) return '';
+        chunk = start();
+      }
+      return decoder.decode(chunk, { stream: true });
+    },
+    end() {
+      const rest = decoder ? null : start();
+      return (rest ? decoder.decode(rest, { stream: true }) : '') + decoder.decode();
+    }
+  };
+}
+
+// Decode a complete body: {text, encoding}
+function decodeText(kind, bytes, contentType, fallback) {
+  const encoding = sniffEncoding(kind, bytes, contentType, fallback);
+  const decoder = specialDecoder(encoding) || new TextDecoder(encoding);
+  return { text: decoder.decode(bytes), encoding };
+}
+
+module.exports = { createTextDecoder, decodeText, sniffEncoding, encodingForLabel };
@@ -0,0 +1,97 @@
+const zlib = require('zlib');
+const { Transform } = require('stream');
+
+// Content-Encoding handling for /proxy/*: upstream bodies are requested
+// compressed, decoded before the rewriters see them, and rewritten output is
+// compressed again for the client.
+const UPSTREAM_ACCEPT_ENCODING = 'gzip, deflate, br';
+
+// Preference order when compressing for the client
+const OUTPUT_ENCODINGS = ['br', 'gzip', 'deflate'];
+
+function normalizeEncoding(header) {
+  const value = (header || '').trim().toLowerCase();
+  if (!value || value === 'identity') return 'identity';
+  return value === 'x-gzip' ? 'gzip' : value;
+}
+
+function canDecode(encoding) {
+  return encoding === 'identity' || encoding === 'gzip' || encoding === 'deflate' || encoding === 'br';
+}
+
+// Be as lenient as browsers with empty or truncated bodies
+const LENIENT = { finishFlush: zlib.constants.Z_SYNC_FLUSH };
+const LENIENT_BROTLI = { finishFlush: zlib.constants.BROTLI_OPERATION_FLUSH };
+
+// "deflate" is meant to be zlib-wrapped, but some servers send raw deflate.
+// The first byte tells them apart: zlib streams start with CM = 8.
+function createInflater() {
+  let inflater = null;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (!inflater) {
+        inflater = (chunk[0] & 0x0f) === 8 ? zlib.createInflate(LENIENT) : zlib.createInflateRaw(LENIENT);
+        inflater.on('data', data => this.push(data));
+        inflater.on('error', err => this.destroy(err));
+      }
+      inflater.write(chunk, callback);
+    },
+    flush(callback) {
+      if (!inflater) return callback();
+      inflater.once('end', callback);
+      inflater.end();
+    }
+  });
+}
+
+// Transform that decodes `encoding`, or null when the body is identity
+function createDecoder(encoding) {
+  if (encoding === 'gzip') return zlib.createGunzip(LENIENT);
+  if (encoding === 'deflate') return createInflater();
+  if (encoding === 'br') return zlib.createBrotliDecompress(LENIENT_BROTLI);
+  return null;
+}
+
+// q-values from an Accept-Encoding header
+function parseAcceptEncoding(header) {
+  const accepted = {};
+  for (const part of (header || '').split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    if (!name) continue;
+    const q = params.map(p => /^\s*q=([\d.]+)/.exec(p)).find(Boolean);
+    accepted[name] = q ? Number(q[1]) : 1;
+  }
+  return accepted;
+}
+
+function acceptsEncoding(header, encoding) {
+  if (encoding === 'identity') return true;
+  const accepted = parseAcceptEncoding(header);
+  const q = encoding in accepted ? accepted[encoding] : accepted['*'];
+  return q !== undefined && q > 0;
+}
+
+// Best encoding the client accepts for rewritten output, or null
+function negotiateEncoding(header) {
+  return OUTPUT_ENCODINGS.find(encoding => acceptsEncoding(header, encoding)) || null;
+}
+
+function createEncoder(encoding) {
+  // Moderate levels: output is compressed on every request, as it streams
+  if (encoding === 'br') {
+    return zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } });
+  }
+  if (encoding === 'gzip') return zlib.createGzip({ level: 6 });
+  if (encoding === 'deflate') return zlib.createDeflate({ level: 6 });
+  return null;
+}
+
+module.exports = {
+  UPSTREAM_ACCEPT_ENCODING,
+  normalizeEncoding,
+  canDecode,
+  createDecoder,
+  acceptsEncoding,
+  negotiateEncoding,
+  createEncoder
+};
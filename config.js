@@ -0,0 +1,359 @@
+const fs = require('fs');
+const path = require('path');
+
+// Server settings: built-in defaults, overridden by drift.config.json next to
+// the server (or the file named by DRIFT_CONFIG), overridden in turn by
+// environment variables. The file nests settings by section:
+//
+//   { "listen": { "port": 8080 }, "network": { "maxRedirects": 5 } }
+//
+// Unknown settings and bad values stop the server at startup with a list of
+// everything that's wrong. The file is watched while Drift runs: settings
+// marked hot below take effect when it's saved, the others are reported as
+// waiting for a restart, and a file that doesn't validate is ignored so the
+// running settings stay in place.
+const CONFIG_FILE = path.resolve(process.env.DRIFT_CONFIG || path.join(__dirname, 'drift.config.json'));
+const RELOAD_DELAY = 500;
+const MASK = '********';
+
+const PROXY_SCHEMES = ['http:', 'https:', 'socks5:', 'socks5h:'];
+const CODECS = /^(?:plain|base64url|(?:xor|aes-gcm):.+)$/;
+
+function maskSecret(value) {
+  return value ? MASK : value;
+}
+
+// Proxy URLs may carry a password
+function maskUrl(value) {
+  return value.replace(/(\/\/[^:@/]*:)[^@/]*@/, `$1${MASK}@`);
+}
+
+function maskCodec(value) {
+  return value.replace(/:.*/, `:${MASK}`);
+}
+
+function routeProblem(value) {
+  if (value === 'direct') return null;
+  try {
+    if (PROXY_SCHEMES.includes(new URL(value).protocol)) return null;
+  } catch {}
+  return `"${maskUrl(value)}" is not "direct" or an http(s)://, socks5:// or socks5h:// proxy URL`;
+}
+
+// Every setting, by its key in the file. `env` names the overriding
+// environment variable (lists are comma-separated there, CSP directives
+// semicolon-separated); `hot` settings are applied on reload.
+const SETTINGS = [
+  // Address to listen on (empty for all interfaces) and port. With a PEM
+  // certificate and key file Drift serves HTTPS itself.
+  { key: 'listen.host', type: 'string', default: '', env: 'DRIFT_HOST' },
+  { key: 'listen.port', type: 'integer', min: 0, max: 65535, default: 3000, env: 'PORT' },
+  { key: 'listen.tlsCert', type: 'string', default: '', env: 'DRIFT_TLS_CERT' },
+  { key: 'listen.tlsKey', type: 'string', default: '', env: 'DRIFT_TLS_KEY' },
+  // Hostnames Caddy may obtain certificates for on demand: exact names, or
+  // "*.example.com" for any subdomain
+  { key: 'listen.onDemandTlsDomains', type: 'list', default: [], env: 'DRIFT_TLS_DOMAINS', hot: true },
+
+  // Upstream responses must start within connectTimeout; after that a body
+  // only fails if it stalls for bodyIdleTimeout (both in ms)
+  { key: 'network.connectTimeout', type: 'integer', min: 1000, max: 300000, default: 10000, env: 'DRIFT_CONNECT_TIMEOUT', hot: true },
+  { key: 'network.bodyIdleTimeout', type: 'integer', min: 1000, max: 3600000, default: 60000, env: 'DRIFT_BODY_IDLE_TIMEOUT', hot: true },
+  { key: 'network.maxRedirects', type: 'integer', min: 0, max: 50, default: 10, env: 'DRIFT_MAX_REDIRECTS', hot: true },
+  // Hostnames, "*.suffix" patterns and CIDR ranges exempt from the
+  // private-address check (see destination-guard.js)
+  { key: 'network.allowHosts', type: 'list', default: [], env: 'DRIFT_ALLOW_HOSTS', hot: true },
+  // Default route for upstream connections and pattern=route overrides (see
+  // upstream-proxy.js)
+  { key: 'network.upstreamProxy', type: 'string', default: '', env: 'DRIFT_UPSTREAM_PROXY', hot: true, mask: maskUrl,
+    check: value => value ? routeProblem(value) : null },
+  { key: 'network.upstreamRules', type: 'list', default: [], env: 'DRIFT_UPSTREAM_RULES', hot: true, mask: maskUrl,
+    check: rule => rule.includes('=') ? routeProblem(rule.slice(rule.indexOf('=') + 1).trim()) : `"${rule}" is not pattern=route` },
+
+  // The browser identity every upstream request presents. Pages are shown
+  // the same identity (see fingerprint.js).
+  { key: 'headers.userAgent', type: 'string', default: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+    env: 'DRIFT_USER_AGENT', hot: true },
+  { key: 'headers.acceptLanguage', type: 'string', default: 'en-US,en;q=0.5', env: 'DRIFT_ACCEPT_LANGUAGE', hot: true },
+  // Send DNT and Sec-GPC
+  { key: 'headers.doNotTrack', type: 'boolean', default: true, env: 'DRIFT_DO_NOT_TRACK', hot: true },
+  // Fingerprinting protection in proxied pages (see fingerprint.js); users
+  // can still turn it off per site
+  { key: 'headers.fingerprintProtection', type: 'boolean', default: true, env: 'DRIFT_FINGERPRINT_PROTECTION', hot: true },
+
+  // Content-Security-Policy directives for Drift's own pages, and for
+  // proxied pages (rewritten URLs go through 'self', but URLs pages build at
+  // runtime may reach other origins)
+  { key: 'csp.ui', type: 'list', separator: ';', env: 'DRIFT_CSP_UI', hot: true, default: [
+    "default-src 'self'",
+    "script-src 'self' 'unsafe-inline'",
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' data:",
+    "frame-src 'self'",
+    "connect-src 'self'",
+    "font-src 'self'",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'"
+  ] },
+  { key: 'csp.proxied', type: 'list', separator: ';', env: 'DRIFT_CSP_PROXIED', hot: true, default: [
+    "default-src * 'unsafe-inline' 'unsafe-eval' data: blob:",
+    'img-src * data: blob:',
+    'media-src * data: blob:',
+    'font-src * data:',
+    'connect-src * data: blob:',
+    "object-src 'none'",
+    "base-uri 'self'"
+  ] },
+
+  // Filter lists: every *.txt file in filtersDir, plus these files
+  { key: 'blocklist.filtersDir', type: 'string', default: path.join(__dirname, 'filters'), env: 'DRIFT_FILTERS_DIR', hot: true },
+  { key: 'blocklist.files', type: 'list', default: [], env: 'DRIFT_FILTER_FILES', hot: true },
+
+  // Shared HTTP cache budgets in MB (0 disk turns spilling off) and where
+  // spilled bodies go (default: the system temp directory)
+  { key: 'cache.memory', type: 'integer', min: 1, default: 64, env: 'DRIFT_CACHE_MEMORY' },
+  { key: 'cache.disk', type: 'integer', min: 0, default: 512, env: 'DRIFT_CACHE_DISK' },
+  { key: 'cache.dir', type: 'string', default: '', env: 'DRIFT_CACHE_DIR' },
+
+  // Requests per minute and burst size, per client address and per sign-in
+  // (0 = off); sign-in attempts per minute and burst size per client
+  // address (0 = off); concurrent upstream fetches in total and per client address;
+  // largest upstream body in MB (0 = off); trustProxy behind a reverse proxy
+  // such as Caddy, taking the client address from X-Forwarded-For
+  { key: 'limits.rateIp', type: 'integer', min: 0, default: 1200, env: 'DRIFT_RATE_LIMIT_IP', hot: true },
+  { key: 'limits.burstIp', type: 'integer', min: 0, default: 300, env: 'DRIFT_RATE_BURST_IP', hot: true },
+  { key: 'limits.rateSession', type: 'integer', min: 0, default: 600, env: 'DRIFT_RATE_LIMIT_SESSION', hot: true },
+  { key: 'limits.burstSession', type: 'integer', min: 0, default: 200, env: 'DRIFT_RATE_BURST_SESSION', hot: true },
+  { key: 'limits.rateLogin', type: 'integer', min: 0, default: 10, env: 'DRIFT_RATE_LIMIT_LOGIN', hot: true },
+  { key: 'limits.burstLogin', type: 'integer', min: 0, default: 5, env: 'DRIFT_RATE_BURST_LOGIN', hot: true },
+  { key: 'limits.maxConnections', type: 'integer', min: 0, default: 256, env: 'DRIFT_MAX_CONNECTIONS', hot: true },
+  { key: 'limits.maxConnectionsPerClient', type: 'integer', min: 0, default: 32, env: 'DRIFT_MAX_CONNECTIONS_PER_CLIENT', hot: true },
+  { key: 'limits.maxResponseSize', type: 'integer', min: 0, default: 256, env: 'DRIFT_MAX_RESPONSE_SIZE', hot: true },
+  { key: 'limits.trustProxy', type: 'boolean', default: false, env: 'DRIFT_TRUST_PROXY', hot: true },
+
+  // Accounts file, and the first admin account created when it's empty
+  { key: 'auth.usersFile', type: 'string', default: path.join(__dirname, 'users.json'), env: 'DRIFT_USERS_FILE' },
+  { key: 'auth.adminUser', type: 'string', default: 'admin', env: 'DRIFT_ADMIN_USER' },
+  { key: 'auth.adminPassword', type: 'string', default: '', env: 'DRIFT_ADMIN_PASSWORD', mask: maskSecret },
+
+  // Codec for new proxy links and codecs still accepted (see proxy-url.js).
+  // Changing them invalidates open pages' links, so they need a restart.
+  { key: 'urls.codec', type: 'string', default: 'plain', env: 'DRIFT_URL_CODEC', mask: maskCodec,
+    check: value => CODECS.test(value) ? null : `"${maskCodec(value)}" is not plain, base64url, xor:<secret> or aes-gcm:<secret>` },
+  { key: 'urls.previousCodecs', type: 'list', default: [], env: 'DRIFT_URL_CODEC_PREVIOUS', mask: maskCodec,
+    check: value => CODECS.test(value) ? null : `"${maskCodec(value)}" is not plain, base64url, xor:<secret> or aes-gcm:<secret>` },
+  // Tracking parameters and redirectors to strip from URLs, in ClearURLs'
+  // rule format (see url-cleaner.js); empty turns URL cleaning off
+  { key: 'urls.cleaningRules', type: 'string', default: path.join(__dirname, 'filters', 'url-rules.json'),
+    env: 'DRIFT_URL_RULES', hot: true },
+
+  // Access log (see access-log.js): on or off, how target URLs are logged,
+  // and the key they're hashed with (random per process when empty)
+  { key: 'log.access', type: 'boolean', default: true, env: 'DRIFT_ACCESS_LOG' },
+  { key: 'log.urls', type: 'string', values: ['hash', 'full', 'none'], default: 'hash', env: 'DRIFT_LOG_URLS' },
+  { key: 'log.key', type: 'string', default: '', env: 'DRIFT_LOG_KEY', mask: maskSecret }
+];
+
+const TYPES = {
+  string: {
+    describe: 'a string',
+    valid: value => typeof value === 'string',
+    fromEnv: value => value
+  },
+  integer: {
+    describe: 'a whole number',
+    valid: value => Number.isInteger(value),
+    fromEnv: value => /^\s*-?\d+\s*$/.test(value) ? Number(value) : value
+  },
+  boolean: {
+    describe: 'true or false',
+    valid: value => typeof value === 'boolean',
+    fromEnv: value => ({ 1: true, true: true, 0: false, false: false })[value.trim().toLowerCase()] ?? value
+  },
+  list: {
+    describe: 'a list of strings',
+    valid: value => Array.isArray(value) && value.every(item => typeof item === 'string'),
+    fromEnv: (value, setting) => value.split(setting.separator || ',').map(item => item.trim()).filter(Boolean)
+  }
+};
+
+// What's wrong with a value for a setting, or null
+function problem(setting, value) {
+  const type = TYPES[setting.type];
+  if (!type.valid(value)) return `must be ${type.describe}` + (setting.mask ? '' : ` (got ${JSON.stringify(value)})`);
+  if (setting.min !== undefined && value < setting.min) return `must be at least ${setting.min} (got ${value})`;
+  if (setting.max !== undefined && value > setting.max) return `must be at most ${setting.max} (got ${value})`;
+  if (setting.values && !setting.values.includes(value)) return `must be one of ${setting.values.join(', ')} (got "${value}")`;
+  if (setting.check) {
+    for (const item of [].concat(value)) {
+      const message = setting.check(item);
+      if (message) return message;
+    }
+  }
+  return null;
+}
+
+// Settings in the file, by key. Unknown keys are reported as errors.
+function readFile(errors) {
+  let text;
+  try {
+    text = fs.readFileSync(CONFIG_FILE, 'utf-8');
+  } catch (err) {
+    // The file is optional unless DRIFT_CONFIG names it
+    if (err.code !== 'ENOENT' || process.env.DRIFT_CONFIG) errors.push(`${CONFIG_FILE}: ${err.message}`);
+    return new Map();
+  }
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    errors.push(`${CONFIG_FILE}: ${err.message}`);
+    return new Map();
+  }
+
+  const found = new Map();
+  const known = new Set(SETTINGS.map(s => s.key));
+  const sections = new Set(SETTINGS.map(s => s.key.split('.')[0]));
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    errors.push(`${CONFIG_FILE}: must hold a JSON object`);
+    return found;
+  }
+  for (const [section, values] of Object.entries(data)) {
+    if (!sections.has(section)) {
+      errors.push(`${CONFIG_FILE}: unknown section "${section}"`);
+    } else if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      errors.push(`${CONFIG_FILE}: ${section} must be an object`);
+    } else {
+      for (const [name, value] of Object.entries(values)) {
+        const key = `${section}.${name}`;
+        if (known.has(key)) found.set(key, value);
+        else errors.push(`${CONFIG_FILE}: unknown setting ${key}`);
+      }
+    }
+  }
+  return found;
+}
+
+// Effective values with where each came from, and what's wrong
+function build() {
+  const errors = [];
+  const file = readFile(errors);
+  const values = new Map();
+  const sources = new Map();
+  for (const setting of SETTINGS) {
+    let value = setting.default;
+    let source = 'default';
+    if (file.has(setting.key)) {
+      const message = problem(setting, file.get(setting.key));
+      if (message) errors.push(`${CONFIG_FILE}: ${setting.key} ${message}`);
+      else [value, source] = [file.get(setting.key), 'file'];
+    }
+    const env = process.env[setting.env];
+    if (env !== undefined && env !== '') {
+      const parsed = TYPES[setting.type].fromEnv(env, setting);
+      const message = problem(setting, parsed);
+      if (message) errors.push(`${setting.env} (${setting.key}) ${message}`);
+      else [value, source] = [parsed, 'env'];
+    }
+    values.set(setting.key, value);
+    sources.set(setting.key, source);
+  }
+  return { values, sources, errors };
+}
+
+// Nested, frozen settings object from values by key
+function toSettings(values, transform) {
+  const settings = {};
+  for (const setting of SETTINGS) {
+    const [section, name] = setting.key.split('.');
+    settings[section] = settings[section] || {};
+    let value = values.get(setting.key);
+    if (transform) value = transform(setting, value);
+    settings[section][name] = Object.freeze(Array.isArray(value) ? value.slice() : value);
+  }
+  for (const section of Object.values(settings)) Object.freeze(section);
+  return Object.freeze(settings);
+}
+
+let current = build();
+if (current.errors.length) {
+  console.error(`Invalid Drift configuration:\n  ${current.errors.join('\n  ')}`);
+  process.exit(1);
+}
+current.settings = toSettings(current.values);
+current.loaded = new Date();
+// Keys changed in the file that won't apply until a restart
+let pendingRestart = [];
+const listeners = [];
+
+function get() {
+  return current.settings;
+}
+
+// Call listener(settings, changedKeys) whenever hot settings change
+function onChange(listener) {
+  listeners.push(listener);
+}
+
+function reload() {
+  const next = build();
+  if (next.errors.length) {
+    console.log(`Configuration not reloaded:\n  ${next.errors.join('\n  ')}`);
+    return;
+  }
+  const changed = [];
+  pendingRestart = [];
+  const values = new Map(current.values);
+  const sources = new Map(current.sources);
+  for (const setting of SETTINGS) {
+    if (JSON.stringify(next.values.get(setting.key)) === JSON.stringify(current.values.get(setting.key))) continue;
+    if (!setting.hot) {
+      pendingRestart.push(setting.key);
+      continue;
+    }
+    changed.push(setting.key);
+    values.set(setting.key, next.values.get(setting.key));
+    sources.set(setting.key, next.sources.get(setting.key));
+  }
+  if (pendingRestart.length) console.log(`Configuration changes waiting for a restart: ${pendingRestart.join(', ')}`);
+  if (!changed.length) return;
+  current = { values, sources, settings: toSettings(values), loaded: new Date() };
+  console.log(`Configuration reloaded: ${changed.join(', ')}`);
+  for (const listener of listeners) {
+    try {
+      listener(current.settings, changed);
+    } catch (err) {
+      console.log(`Could not apply the new configuration: ${err.message}`);
+    }
+  }
+}
+
+// The file may not exist yet, so its directory is watched. Editors write
+// files in several steps, so reloads are debounced.
+let reloadTimer = null;
+try {
+  fs.watch(path.dirname(CONFIG_FILE), (event, name) => {
+    if (name && name !== path.basename(CONFIG_FILE)) return;
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(reload, RELOAD_DELAY);
+  }).unref();
+} catch {}
+
+// Effective settings for /admin/config, secrets masked, with the sources of
+// those that aren't defaults
+function describe() {
+  const sources = {};
+  for (const [key, source] of current.sources) {
+    if (source !== 'default') sources[key] = source;
+  }
+  return {
+    file: CONFIG_FILE,
+    loaded: current.loaded.toISOString(),
+    settings: toSettings(current.values, (setting, value) =>
+      setting.mask ? (Array.isArray(value) ? value.map(setting.mask) : setting.mask(value)) : value),
+    sources,
+    pendingRestart
+  };
+}
+
+module.exports = { get, onChange, describe };
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+
+// localStorage, sessionStorage and IndexedDB for pages in a storage
+// container (a tab or a named profile, see public/index.html). They're held
+// here rather than in the browser: every proxied page is on Drift's origin,
+// so anything kept in Drift's own storage there is open to every site. One
+// store per Drift session, partitioned by container, then by the page's real
+// origin (and for sessionStorage by the tab):
+//
+//   container -> { local: origin -> Map, session: tab -> origin -> Map,
+//                  idb: origin -> Map }
+//
+// The idb area holds the entries of indexeddb-shim.js's databases.
+//
+// A page only reaches its own origin's storage: the proxy builds a grant for
+// that origin into the page it serves (storageGrant), and requests for an
+// origin without its grant are refused. Pages load their storage as they
+// start and send changes back as they make them.
+
+// Characters per origin in each area, about what browsers allow for Web
+// Storage; IndexedDB gets more
+const MAX_AREA_SIZE = 5 * 1024 * 1024;
+const MAX_IDB_SIZE = 25 * 1024 * 1024;
+// Characters in all of a session's containers
+const MAX_TOTAL_SIZE = 50 * 1024 * 1024;
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,80}$/;
+const AREAS = ['local', 'session', 'idb'];
+
+// Grants only need to outlive the process, like the storage itself
+const SECRET = crypto.randomBytes(32);
+
+function storageGrant(sessionId, origin) {
+  return crypto.createHmac('sha256', SECRET).update(`${sessionId}|${origin}`).digest('base64url');
+}
+
+function checkGrant(sessionId, origin, grant) {
+  if (typeof origin !== 'string' || typeof grant !== 'string') return false;
+  const expected = Buffer.from(storageGrant(sessionId, origin));
+  const given = Buffer.from(grant);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function isName(value) {
+  return typeof value === 'string' && NAME_PATTERN.test(value);
+}
+
+function createContainerStorage() {
+  const containers = new Map();
+  let total = 0;
+
+  // The key/value map of one area, with its size in characters, or null
+  // when there is none and `create` is false
+  function areaFor(container, area, tab, origin, create) {
+    let entry = containers.get(container);
+    if (!entry) {
+      if (!create) return null;
+      entry = { local: new Map(), session: new Map(), idb: new Map() };
+      containers.set(container, entry);
+    }
+    let origins = entry[area];
+    if (area === 'session') {
+      origins = entry.session.get(tab);
+      if (!origins) {
+        if (!create) return null;
+        origins = new Map();
+        entry.session.set(tab, origins);
+      }
+    }
+    let found = origins.get(origin);
+    if (!found && create) {
+      found = { items: new Map(), size: 0 };
+      origins.set(origin, found);
+    }
+    return found || null;
+  }
+
+  // {local: {key: value}, session: {key: value}, idb: {key: value}} for a page
+  function load(container, tab, origin) {
+    const result = {};
+    for (const area of AREAS) {
+      const found = areaFor(container, area, tab, origin, false);
+      result[area] = found ? Object.fromEntries(found.items) : {};
+    }
+    return result;
+  }
+
+  // Apply a page's changes: [{area, op: 'set' | 'remove' | 'clear', key,
+  // value}]. Changes that would go over a quota are dropped; returns
+  // whether all of them were applied.
+  function save(container, tab, origin, changes) {
+    let applied = true;
+    for (const change of changes) {
+      if (!change || !AREAS.includes(change.area)) continue;
+      const found = areaFor(container, change.area, tab, origin, change.op === 'set');
+      if (!found) continue;
+      const key = String(change.key);
+      const old = found.items.has(key) ? key.length + found.items.get(key).length : 0;
+      if (change.op === 'set') {
+        const value = String(change.value);
+        const grown = key.length + value.length - old;
+        const limit = change.area === 'idb' ? MAX_IDB_SIZE : MAX_AREA_SIZE;
+        if (found.size + grown > limit || total + grown > MAX_TOTAL_SIZE) {
+          applied = false;
+          continue;
+        }
+        found.items.set(key, value);
+        found.size += grown;
+        total += grown;
+      } else if (change.op === 'remove') {
+        found.items.delete(key);
+        found.size -= old;
+        total -= old;
+      } else if (change.op === 'clear') {
+        total -= found.size;
+        found.items.clear();
+        found.size = 0;
+      }
+    }
+    return applied;
+  }
+
+  function sizeOf(entry) {
+    let size = 0;
+    for (const origins of [entry.local, entry.idb, ...entry.session.values()]) {
+      for (const found of origins.values()) size += found.size;
+    }
+    return size;
+  }
+
+  // Drop the containers `match` picks
+  function wipe(match) {
+    for (const [name, entry] of containers) {
+      if (!match(name)) continue;
+      total -= sizeOf(entry);
+      containers.delete(name);
+    }
+  }
+
+  function clear() {
+    containers.clear();
+    total = 0;
+  }
+
+  return { load, save, wipe, clear };
+}
+
+module.exports = { createContainerStorage, storageGrant, checkGrant, isName };
@@ -0,0 +1,204 @@
+const net = require('net');
+
+// Server-side cookie storage for one Drift session, following the RFC 6265
+// storage and retrieval model (plus SameSite from RFC 6265bis). Cookies stay
+// in memory on the server and are never handed to the user's browser —
+// proxied pages only see non-HttpOnly values through the document.cookie shim.
+const MAX_COOKIES = 3000;
+
+// Second-level labels that behave like public suffixes (co.uk, com.au, ...).
+// A heuristic stand-in for the Public Suffix List.
+const SHARED_SECOND_LEVEL = /^(?:co|com|net|org|gov|edu|ac|or|ne|go)$/;
+
+// Approximate registrable domain ("site") of a hostname
+function siteOf(hostname) {
+  if (net.isIP(hostname)) return hostname;
+  const labels = hostname.split('.');
+  if (labels.length <= 2) return hostname;
+  const take = labels[labels.length - 1].length === 2 && SHARED_SECOND_LEVEL.test(labels[labels.length - 2]) ? 3 : 2;
+  return labels.slice(-take).join('.');
+}
+
+function parseSetCookie(header) {
+  const parts = header.split(';');
+  const pair = parts.shift();
+  const eq = pair.indexOf('=');
+  if (eq === -1) return null;
+  const cookie = {
+    name: pair.slice(0, eq).trim(),
+    value: pair.slice(eq + 1).trim(),
+    attrs: {}
+  };
+  if (!cookie.name) return null;
+
+  for (const part of parts) {
+    const i = part.indexOf('=');
+    const key = (i === -1 ? part : part.slice(0, i)).trim().toLowerCase();
+    const value = i === -1 ? '' : part.slice(i + 1).trim();
+    if (key) cookie.attrs[key] = value;
+  }
+  return cookie;
+}
+
+function defaultPath(pathname) {
+  if (!pathname.startsWith('/')) return '/';
+  const last = pathname.lastIndexOf('/');
+  return last <= 0 ? '/' : pathname.slice(0, last);
+}
+
+function domainMatches(host, domain) {
+  return host === domain || (!net.isIP(host) && host.endsWith('.' + domain));
+}
+
+function pathMatches(requestPath, cookiePath) {
+  if (requestPath === cookiePath) return true;
+  return requestPath.startsWith(cookiePath) &&
+    (cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/');
+}
+
+// A request is cross-site when it was triggered by a page on another site.
+// Requests with no known initiator (typed URLs, bookmarks) count as same-site.
+function isCrossSite(host, context) {
+  return !!(context && context.initiator) && siteOf(context.initiator) !== siteOf(host);
+}
+
+function createCookieJar() {
+  let cookies = [];
+
+  function removeExpired(now) {
+    cookies = cookies.filter(c => c.expires === null || c.expires > now);
+  }
+
+  // Store one Set-Cookie value received for `url`. `context` carries the
+  // initiator hostname, whether the request was a navigation, and whether
+  // the cookie came from script (document.cookie) rather than HTTP.
+  function setCookie(header, url, context) {
+    context = context || {};
+    const parsed = parseSetCookie(header);
+    if (!parsed) return false;
+
+    const target = new URL(url);
+    const host = target.hostname.toLowerCase();
+    const secureOrigin = target.protocol === 'https:';
+    const attrs = parsed.attrs;
+    const now = Date.now();
+
+    let expires = null;
+    if ('max-age' in attrs && /^-?\d+$/.test(attrs['max-age'])) {
+      expires = now + Number(attrs['max-age']) * 1000;
+    } else if (attrs.expires) {
+      const time = Date.parse(attrs.expires);
+      if (!isNaN(time)) expires = time;
+    }
+
+    let domain = host;
+    let hostOnly = true;
+    if (attrs.domain) {
+      const wanted = attrs.domain.replace(/^\./, '').toLowerCase();
+      if (!domainMatches(host, wanted)) return false;
+      // Refuse cookies scoped to a public suffix such as "com" or "co.uk"
+      if (wanted !== host && !domainMatches(wanted, siteOf(host))) return false;
+      domain = wanted;
+      hostOnly = wanted === host;
+    }
+
+    const cookiePath = attrs.path && attrs.path.startsWith('/') ? attrs.path : defaultPath(target.pathname);
+    const secure = 'secure' in attrs;
+    const httpOnly = 'httponly' in attrs;
+    const sameSiteAttr = (attrs.samesite || '').toLowerCase();
+    const sameSite = sameSiteAttr === 'strict' || sameSiteAttr === 'none' ? sameSiteAttr : 'lax';
+
+    if (secure && !secureOrigin) return false;
+    if (httpOnly && context.script) return false;
+    if (sameSite === 'none' && !secure) return false;
+    if (parsed.name.startsWith('__Secure-') && !secure) return false;
+    if (parsed.name.startsWith('__Host-') && (!secure || !hostOnly || cookiePath !== '/')) return false;
+    // Cross-site responses may only set SameSite=None cookies, except
+    // Lax cookies on a navigation
+    if (isCrossSite(host, context) && sameSite !== 'none' && !(sameSite === 'lax' && context.navigation)) return false;
+
+    const existing = cookies.findIndex(c => c.name === parsed.name && c.domain === domain && c.path === cookiePath);
+    let created = now;
+    if (existing !== -1) {
+      const old = cookies[existing];
+      if (old.httpOnly && context.script) return false;
+      if (old.secure && !secureOrigin) return false;
+      created = old.created;
+      cookies.splice(existing, 1);
+    }
+
+    if (expires !== null && expires <= now) return true; // deletion
+
+    cookies.push({
+      name: parsed.name,
+      value: parsed.value,
+      domain,
+      hostOnly,
+      path: cookiePath,
+      expires,
+      secure,
+      httpOnly,
+      sameSite,
+      created
+    });
+
+    if (cookies.length > MAX_COOKIES) {
+      removeExpired(now);
+      cookies.sort((a, b) => a.created - b.created);
+      cookies.splice(0, cookies.length - MAX_COOKIES);
+    }
+    return true;
+  }
+
+  function setCookies(headers, url, context) {
+    if (!headers) return;
+    for (const header of [].concat(headers)) setCookie(header, url, context);
+  }
+
+  function matching(url, context, forScript) {
+    const target = new URL(url);
+    const host = target.hostname.toLowerCase();
+    const secureOrigin = target.protocol === 'https:';
+    const crossSite = !forScript && isCrossSite(host, context);
+    const safeNavigation = !!(context && context.navigation) &&
+      ['GET', 'HEAD'].includes((context.method || 'GET').toUpperCase());
+
+    removeExpired(Date.now());
+    return cookies
+      .filter(c => {
+        if (c.hostOnly ? host !== c.domain : !domainMatches(host, c.domain)) return false;
+        if (!pathMatches(target.pathname || '/', c.path)) return false;
+        if (c.secure && !secureOrigin) return false;
+        if (forScript && c.httpOnly) return false;
+        if (crossSite && c.sameSite === 'strict') return false;
+        if (crossSite && c.sameSite === 'lax' && !safeNavigation) return false;
+        return true;
+      })
+      .sort((a, b) => b.path.length - a.path.length || a.created - b.created);
+  }
+
+  // Value for the Cookie request header, or '' if nothing applies
+  function getCookieHeader(url, context) {
+    return matching(url, context, false).map(c => `${c.name}=${c.value}`).join('; ');
+  }
+
+  // [name, value] pairs visible to document.cookie on a page at `url`
+  function getDocumentCookies(url) {
+    return matching(url, null, true).map(c => [c.name, c.value]);
+  }
+
+  function clear() {
+    cookies = [];
+  }
+
+  return {
+    setCookie,
+    setCookies,
+    getCookieHeader,
+    getDocumentCookies,
+    clear,
+    get size() { return cookies.length; }
+  };
+}
+
+module.exports = { createCookieJar, siteOf };
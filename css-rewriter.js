@@ -0,0 +1,28 @@
+const { toProxyUrl } = require('./proxy-url');
+
+// Rewrites url() references and @import strings so fonts, images and
+// nested stylesheets load through the proxy. Used for text/css responses,
+// inline <style> blocks and style="" attributes alike.
+const URL_TOKEN = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^'"\s)]*))\s*\)/gi;
+const IMPORT_STRING = /(@import\s+)(["'])([^"']*)\2/gi;
+
+// Replace every url() and @import string with map(url, isImport); those
+// map returns null for are left as they are
+function replaceCssUrls(css, map) {
+  css = css.replace(URL_TOKEN, (match, double, single, bare, offset, whole) => {
+    const url = double !== undefined ? double : single !== undefined ? single : bare;
+    if (!url.trim()) return match;
+    const replaced = map(url, /@import\s*$/i.test(whole.slice(Math.max(0, offset - 16), offset)));
+    return replaced ? `url('${replaced}')` : match;
+  });
+  return css.replace(IMPORT_STRING, (match, prefix, quote, url) => {
+    const replaced = map(url, true);
+    return replaced ? `${prefix}${quote}${replaced}${quote}` : match;
+  });
+}
+
+function rewriteCss(css, baseUrl) {
+  return replaceCssUrls(css, url => toProxyUrl(url, baseUrl));
+}
+
+module.exports = { rewriteCss, replaceCssUrls };
@@ -0,0 +1,161 @@
+const dns = require('dns');
+const net = require('net');
+const config = require('./config');
+
+// Keeps /proxy/* from reaching the host's own network: loopback, private,
+// link-local, CGNAT and other non-public ranges are refused. Literal IPs are
+// checked up front; hostnames are checked on the addresses they resolve to at
+// connect time (see guardedLookup), so DNS rebinding can't slip past.
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],        // "this" network
+  ['10.0.0.0', 8],       // RFC 1918
+  ['100.64.0.0', 10],    // CGNAT
+  ['127.0.0.0', 8],      // loopback
+  ['169.254.0.0', 16],   // link-local (cloud metadata lives here)
+  ['172.16.0.0', 12],    // RFC 1918
+  ['192.0.0.0', 24],     // IETF protocol assignments
+  ['192.0.2.0', 24],     // TEST-NET-1
+  ['192.168.0.0', 16],   // RFC 1918
+  ['198.18.0.0', 15],    // benchmarking
+  ['198.51.100.0', 24],  // TEST-NET-2
+  ['203.0.113.0', 24],   // TEST-NET-3
+  ['224.0.0.0', 4],      // multicast
+  ['240.0.0.0', 4],      // reserved, broadcast
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],           // unspecified
+  ['::1', 128],          // loopback
+  ['fc00::', 7],         // unique local
+  ['fe80::', 10],        // link-local
+  ['fec0::', 10],        // site-local (deprecated)
+  ['ff00::', 8],         // multicast
+  ['2001:db8::', 32],    // documentation
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// IPv6 forms that carry an IPv4 address in their low 32 bits: mapped
+// (::ffff:a.b.c.d), compatible (::a.b.c.d), NAT64 (64:ff9b::) and 6to4 (2002::)
+function embeddedIPv4(address) {
+  const lower = address.toLowerCase();
+  const dotted = /^(?:::ffff:|::|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/.exec(lower);
+  if (dotted) return dotted[1];
+
+  const groups = expandIPv6(lower);
+  if (!groups) return null;
+  const toV4 = (hi, lo) => [hi >> 8, hi & 255, lo >> 8, lo & 255].join('.');
+  const zeros = (from, to) => groups.slice(from, to).every(g => g === 0);
+  if (zeros(0, 5) && (groups[5] === 0xffff || groups[5] === 0)) return toV4(groups[6], groups[7]);
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && zeros(2, 6)) return toV4(groups[6], groups[7]);
+  if (groups[0] === 0x2002) return toV4(groups[1], groups[2]);
+  return null;
+}
+
+// Eight 16-bit groups for an IPv6 address, or null if it isn't one
+function expandIPv6(address) {
+  if (!net.isIPv6(address)) return null;
+  let text = address.split('%')[0];
+  const v4 = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (v4) {
+    const [a, b, c, d] = v4.slice(1).map(Number);
+    text = text.slice(0, v4.index) + ((a << 8) | b).toString(16) + ':' + ((c << 8) | d).toString(16);
+  }
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail !== undefined && tail ? tail.split(':') : [];
+  const fill = tail !== undefined ? 8 - headGroups.length - tailGroups.length : 0;
+  const groups = headGroups.concat(new Array(fill).fill('0'), tailGroups).map(g => parseInt(g, 16));
+  return groups.length === 8 ? groups : null;
+}
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return PRIVATE_RANGES.check(address, 'ipv4');
+  if (family === 6) {
+    const v4 = embeddedIPv4(address);
+    if (v4) return PRIVATE_RANGES.check(v4, 'ipv4');
+    return PRIVATE_RANGES.check(address.split('%')[0], 'ipv6');
+  }
+  return true; // not an IP at all — refuse rather than guess
+}
+
+// Deliberate intranet access: network.allowHosts lists hostnames, "*.suffix"
+// patterns and CIDR ranges that skip the check
+let allowHosts = [];
+let allowRanges = new net.BlockList();
+function loadAllowList(settings) {
+  const hosts = [];
+  const ranges = new net.BlockList();
+  for (const entry of settings.network.allowHosts.map(e => e.toLowerCase())) {
+    const cidr = /^([^/]+)\/(\d+)$/.exec(entry);
+    if (cidr && net.isIP(cidr[1])) {
+      ranges.addSubnet(cidr[1], Number(cidr[2]), net.isIP(cidr[1]) === 6 ? 'ipv6' : 'ipv4');
+    } else if (net.isIP(entry)) {
+      ranges.addAddress(entry, net.isIP(entry) === 6 ? 'ipv6' : 'ipv4');
+    } else {
+      hosts.push(entry);
+    }
+  }
+  allowHosts = hosts;
+  allowRanges = ranges;
+}
+loadAllowList(config.get());
+config.onChange(loadAllowList);
+
+function isAllowedHost(hostname) {
+  return allowHosts.some(pattern => pattern.startsWith('*.')
+    ? hostname.endsWith(pattern.slice(1))
+    : hostname === pattern);
+}
+
+function isAllowedAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && allowRanges.check(address.split('%')[0], family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function destinationError(message) {
+  const err = new Error(message);
+  err.code = 'EDESTINATION';
+  return err;
+}
+
+// Check a target URL before connecting. Returns an EDESTINATION error for
+// unsupported schemes and private literal IPs, or null if it may proceed.
+function checkDestination(targetUrl) {
+  let url;
+  try {
+    url = new URL(targetUrl);
+  } catch {
+    return destinationError('Invalid URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return destinationError(`Unsupported scheme ${url.protocol}`);
+  }
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (isAllowedHost(hostname)) return null;
+  if (net.isIP(hostname) && isPrivateAddress(hostname) && !isAllowedAddress(hostname)) {
+    return destinationError(`${hostname} is a private or reserved address`);
+  }
+  return null;
+}
+
+// Drop-in for dns.lookup (the `lookup` option of http.request / net.connect)
+// that refuses hostnames resolving to private addresses
+function guardedLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    if (!isAllowedHost(hostname.toLowerCase())) {
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      const blocked = addresses.find(a => isPrivateAddress(a.address) && !isAllowedAddress(a.address));
+      if (blocked) {
+        return callback(destinationError(`${hostname} resolves to a private or reserved address (${blocked.address})`));
+      }
+    }
+    callback(null, address, family);
+  });
+}
+
+module.exports = { checkDestination, guardedLookup, isPrivateAddress, expandIPv6 };
@@ -0,0 +1,384 @@
+const { siteOf } = require('./cookie-jar');
+
+// Adblock Plus / EasyList filter engine. Network rules are compiled to
+// regexes and indexed — by anchored hostname for ||host rules, by one
+// literal token otherwise — so a lookup only tests the handful of rules that
+// could match instead of scanning the whole list.
+
+// Request types a network rule can be limited to. document, elemhide and
+// generichide only ever match when a rule names them explicitly.
+const TYPES = ['script', 'image', 'stylesheet', 'xmlhttprequest', 'subdocument', 'font', 'media',
+  'object', 'websocket', 'ping', 'other', 'document', 'elemhide', 'generichide'];
+const TYPE_BIT = Object.fromEntries(TYPES.map((type, i) => [type, 1 << i]));
+const EXPLICIT_ONLY = TYPE_BIT.document | TYPE_BIT.elemhide | TYPE_BIT.generichide;
+const DEFAULT_TYPES = ((1 << TYPES.length) - 1) & ~EXPLICIT_ONLY;
+
+const TYPE_ALIASES = {
+  xhr: 'xmlhttprequest',
+  css: 'stylesheet',
+  frame: 'subdocument',
+  'object-subrequest': 'object',
+  doc: 'document',
+  ehide: 'elemhide',
+  ghide: 'generichide'
+};
+
+// A ## selector is injected inside <style>; anything that could end the rule
+// or the element is rejected
+const UNSAFE_SELECTOR = /[{}]|<\/|\/\*/;
+const COSMETIC = /^([\w.,~*-]*)#(@?)([?$%]?)#(.+)$/;
+
+const HIDE_GROUP = 50;
+
+function hostMatches(host, domain) {
+  return host === domain || host.endsWith('.' + domain);
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.+?${}()|[\]\\]/g, '\\$&');
+}
+
+// Compile an ABP pattern (without @@ and $options) to a regex source
+function patternSource(pattern) {
+  let source = '';
+  let start = 0;
+  if (pattern.startsWith('||')) {
+    source = '^[a-z][a-z0-9+.-]*:\\/\\/(?:[^\\/?#]*\\.)?';
+    start = 2;
+  } else if (pattern.startsWith('|')) {
+    source = '^';
+    start = 1;
+  }
+  let end = pattern.length;
+  const anchoredEnd = end > start && pattern[end - 1] === '|';
+  if (anchoredEnd) end--;
+
+  for (let i = start; i < end; i++) {
+    const ch = pattern[i];
+    if (ch === '*') source += '.*';
+    else if (ch === '^') source += '(?:[^\\w.%-]|$)';
+    else source += escapeRegex(ch);
+  }
+  return source + (anchoredEnd ? '$' : '');
+}
+
+// Hostname a ||host^ or ||host/ pattern is anchored to, and whether the
+// pattern is nothing but that hostname
+function anchorHost(pattern) {
+  const m = /^\|\|([a-z0-9.-]+)([\^/].*)?$/.exec(pattern);
+  if (!m || !m[2] || m[1].endsWith('.') || !m[1].includes('.')) return null;
+  return { host: m[1], hostOnly: m[2] === '^' };
+}
+
+// Literal tokens of a pattern that must appear whole in any matching URL:
+// runs of [a-z0-9%] bounded by separators or anchors, never by * or an
+// unanchored pattern end
+function patternTokens(pattern) {
+  const tokens = [];
+  const re = /[a-z0-9%]+/g;
+  const anchoredStart = pattern.startsWith('|');
+  const anchoredEnd = pattern.endsWith('|');
+  let m;
+  while ((m = re.exec(pattern))) {
+    const before = pattern[m.index - 1];
+    const after = pattern[m.index + m[0].length];
+    const startOk = before === undefined ? false : before !== '*' && (before !== '|' || anchoredStart);
+    const endOk = after === undefined ? false : after !== '*' && (after !== '|' || anchoredEnd);
+    if (startOk && endOk && m[0].length >= 2) tokens.push(m[0]);
+  }
+  return tokens;
+}
+
+function parseDomainList(value, separator) {
+  const include = [];
+  const exclude = [];
+  for (let domain of value.split(separator)) {
+    domain = domain.trim().toLowerCase();
+    if (!domain) continue;
+    if (domain.startsWith('~')) exclude.push(domain.slice(1));
+    else include.push(domain);
+  }
+  return { include, exclude };
+}
+
+function domainsAllow(domains, host) {
+  if (!domains) return true;
+  if (!host) return domains.include.length === 0;
+  if (domains.exclude.some(d => hostMatches(host, d))) return false;
+  return domains.include.length === 0 || domains.include.some(d => hostMatches(host, d));
+}
+
+// One network filter line, or null if it's malformed or unsupported
+function parseNetworkRule(line) {
+  const rule = { text: line, exception: false, types: DEFAULT_TYPES, thirdParty: null, domains: null, important: false };
+  let text = line;
+  if (text.startsWith('@@')) {
+    rule.exception = true;
+    text = text.slice(2);
+  }
+
+  // $options follow the last $, except inside a /regex/
+  let options = '';
+  const dollar = text.lastIndexOf('$');
+  if (dollar !== -1 && !(text.startsWith('/') && text.endsWith('/'))) {
+    options = text.slice(dollar + 1);
+    text = text.slice(0, dollar);
+  }
+
+  let matchCase = false;
+  let included = 0;
+  let excluded = 0;
+  for (let option of options ? options.split(',') : []) {
+    option = option.trim().toLowerCase();
+    const negated = option.startsWith('~');
+    if (negated) option = option.slice(1);
+    const eq = option.indexOf('=');
+    const name = eq === -1 ? option : option.slice(0, eq);
+    if (name === 'third-party' || name === '3p') rule.thirdParty = !negated;
+    else if (name === 'first-party' || name === '1p') rule.thirdParty = negated;
+    else if (name === 'domain' && eq !== -1) rule.domains = parseDomainList(option.slice(eq + 1), '|');
+    else if (name === 'match-case') matchCase = true;
+    else if (name === 'important') rule.important = true;
+    else if (TYPE_BIT[TYPE_ALIASES[name] || name]) {
+      if (negated) excluded |= TYPE_BIT[TYPE_ALIASES[name] || name];
+      else included |= TYPE_BIT[TYPE_ALIASES[name] || name];
+    } else {
+      // Options that change what a rule does rather than what it matches
+      // (popup, csp, redirect, ...): skip the rule rather than turn it into
+      // a plain block
+      return null;
+    }
+  }
+  if (included) rule.types = included;
+  if (excluded) rule.types = (included || DEFAULT_TYPES) & ~excluded;
+  // $elemhide and $generichide only make sense as page-level exceptions
+  if (!rule.exception && rule.types & (TYPE_BIT.elemhide | TYPE_BIT.generichide)) return null;
+
+  if (text.length > 2 && text.startsWith('/') && text.endsWith('/')) {
+    try {
+      rule.regex = new RegExp(text.slice(1, -1), matchCase ? '' : 'i');
+    } catch {
+      return null;
+    }
+    rule.tokens = [];
+    return rule;
+  }
+
+  const pattern = matchCase ? text : text.toLowerCase();
+  const trimmed = pattern.replace(/^\*+|\*+$/g, '');
+  rule.anchor = anchorHost(trimmed);
+  if (!(rule.anchor && rule.anchor.hostOnly)) {
+    rule.regex = new RegExp(patternSource(trimmed), matchCase ? '' : 'i');
+  }
+  rule.tokens = patternTokens(trimmed.toLowerCase());
+  return rule;
+}
+
+// Index of network rules: by anchored hostname, by token, and a short list
+// of rules that have neither
+function createRuleIndex() {
+  const byHost = new Map();
+  const byToken = new Map();
+  const rest = [];
+  let size = 0;
+
+  function add(rule) {
+    size++;
+    if (rule.anchor) {
+      const list = byHost.get(rule.anchor.host) || [];
+      list.push(rule);
+      return byHost.set(rule.anchor.host, list);
+    }
+    if (!rule.tokens.length) return rest.push(rule);
+    // The least used token keeps buckets small
+    let best = rule.tokens[0];
+    for (const token of rule.tokens) {
+      const count = (byToken.get(token) || []).length;
+      const bestCount = (byToken.get(best) || []).length;
+      if (count < bestCount || (count === bestCount && token.length > best.length)) best = token;
+    }
+    const list = byToken.get(best) || [];
+    list.push(rule);
+    byToken.set(best, list);
+  }
+
+  function test(rule, request) {
+    if (!(rule.types & request.type)) return false;
+    if (rule.thirdParty !== null && rule.thirdParty !== request.thirdParty) return false;
+    if (!domainsAllow(rule.domains, request.pageHost)) return false;
+    return rule.regex ? rule.regex.test(request.url) : true;
+  }
+
+  function find(request) {
+    const labels = request.host.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+      for (const rule of byHost.get(labels.slice(i).join('.')) || []) {
+        if (test(rule, request)) return rule;
+      }
+    }
+    const seen = new Set();
+    for (const token of request.url.toLowerCase().match(/[a-z0-9%]+/g) || []) {
+      if (seen.has(token)) continue;
+      seen.add(token);
+      for (const rule of byToken.get(token) || []) {
+        if (test(rule, request)) return rule;
+      }
+    }
+    return rest.find(rule => test(rule, request)) || null;
+  }
+
+  return { add, find, get size() { return size; } };
+}
+
+function hideCss(selectors) {
+  const rules = [];
+  for (let i = 0; i < selectors.length; i += HIDE_GROUP) {
+    rules.push(selectors.slice(i, i + HIDE_GROUP).join(',') + '{display:none!important}');
+  }
+  return rules.join('\n');
+}
+
+function describe(url) {
+  try {
+    const parsed = new URL(url);
+    return { url: parsed.href, host: parsed.hostname.toLowerCase() };
+  } catch {
+    return null;
+  }
+}
+
+// Build an engine from the text of one or more filter lists
+function createFilterEngine(lists) {
+  const blocking = createRuleIndex();
+  const exceptions = createRuleIndex();
+  const generic = new Set();
+  const genericExcluded = [];
+  const specific = new Map();
+  const hideExceptions = new Map();
+  let skipped = 0;
+
+  function addCosmetic(domains, exception, selector) {
+    const { include, exclude } = parseDomainList(domains, ',');
+    if (exception) {
+      // A generic #@# simply drops the selector everywhere
+      if (!include.length) return generic.delete(selector);
+      for (const host of include) {
+        const set = hideExceptions.get(host) || new Set();
+        set.add(selector);
+        hideExceptions.set(host, set);
+      }
+      return;
+    }
+    if (include.length) {
+      for (const host of include) {
+        const list = specific.get(host) || [];
+        list.push({ selector, exclude });
+        specific.set(host, list);
+      }
+    } else if (exclude.length) {
+      genericExcluded.push({ selector, exclude });
+    } else {
+      generic.add(selector);
+    }
+  }
+
+  // Generic #@# lines may come before the ## they cancel, so they're applied last
+  const lateExceptions = [];
+  for (const text of lists) {
+    for (let line of text.split(/\r?\n/)) {
+      line = line.trim();
+      if (!line || line.startsWith('!') || line.startsWith('[')) continue;
+      const cosmetic = COSMETIC.exec(line);
+      if (cosmetic) {
+        const [, domains, exception, extended, selector] = cosmetic;
+        if (extended || UNSAFE_SELECTOR.test(selector)) {
+          skipped++;
+        } else if (exception && !domains) {
+          lateExceptions.push(selector.trim());
+        } else {
+          addCosmetic(domains, !!exception, selector.trim());
+        }
+        continue;
+      }
+      const rule = parseNetworkRule(line);
+      if (!rule) skipped++;
+      else (rule.exception ? exceptions : blocking).add(rule);
+    }
+  }
+  for (const selector of lateExceptions) generic.delete(selector);
+
+  const genericCss = hideCss([...generic]);
+
+  function pageException(pageUrl, type) {
+    const page = pageUrl && describe(pageUrl);
+    if (!page) return null;
+    return exceptions.find(Object.assign(page, { type: TYPE_BIT[type], thirdParty: false, pageHost: page.host }));
+  }
+
+  // The filter that blocks a request for `url` of `type` made by a page on
+  // `pageOrigin`, or null when it's allowed. pageOrigin may be null when the
+  // page isn't known.
+  function blockingRule(url, type, pageOrigin) {
+    const request = describe(url);
+    if (!request) return null;
+    const page = pageOrigin ? describe(pageOrigin) : null;
+    request.type = TYPE_BIT[type] || TYPE_BIT.other;
+    request.pageHost = page ? page.host : null;
+    request.thirdParty = page ? siteOf(page.host) !== siteOf(request.host) : false;
+
+    if (page && pageException(page.url, 'document')) return null;
+    const rule = blocking.find(request);
+    if (!rule) return null;
+    return rule.important || !exceptions.find(request) ? rule.text : null;
+  }
+
+  function isBlocked(url, type, pageOrigin) {
+    return blockingRule(url, type, pageOrigin) !== null;
+  }
+
+  // Element-hiding CSS for a page, or '' when nothing applies
+  function hidingCss(pageUrl) {
+    const page = describe(pageUrl);
+    if (!page) return '';
+    if (pageException(page.url, 'document') || pageException(page.url, 'elemhide')) return '';
+
+    const excepted = new Set();
+    const selectors = [];
+    const labels = page.host.split('.');
+    for (let i = 0; i < labels.length; i++) {
+      const host = labels.slice(i).join('.');
+      for (const selector of hideExceptions.get(host) || []) excepted.add(selector);
+    }
+    for (let i = 0; i < labels.length; i++) {
+      for (const entry of specific.get(labels.slice(i).join('.')) || []) {
+        if (!entry.exclude.some(d => hostMatches(page.host, d))) selectors.push(entry.selector);
+      }
+    }
+
+    const useGeneric = !pageException(page.url, 'generichide');
+    if (useGeneric) {
+      for (const entry of genericExcluded) {
+        if (!entry.exclude.some(d => hostMatches(page.host, d))) selectors.push(entry.selector);
+      }
+    }
+    const own = hideCss(selectors.filter(s => !excepted.has(s)));
+    if (!useGeneric) return own;
+    // Most pages have no exceptions, so the generic CSS is built once
+    const general = excepted.size ? hideCss([...generic].filter(s => !excepted.has(s))) : genericCss;
+    return [general, own].filter(Boolean).join('\n');
+  }
+
+  return {
+    isBlocked,
+    blockingRule,
+    hidingCss,
+    stats: {
+      blocking: blocking.size,
+      exceptions: exceptions.size,
+      cosmetic: generic.size + genericExcluded.length + [...specific.values()].reduce((n, list) => n + list.length, 0),
+      skipped
+    }
+  };
+}
+
+module.exports = { createFilterEngine, TYPES };
@@ -0,0 +1,456 @@
+const crypto = require('crypto');
+const config = require('./config');
+
+// Fingerprinting resistance: proxied pages see the browser Drift claims to
+// be upstream (headers.userAgent and headers.acceptLanguage) instead of the
+// user's own, and the readbacks fingerprinters hash get noise.
+//
+//   navigator    userAgent, appVersion, platform, vendor, languages,
+//                hardwareConcurrency, deviceMemory, maxTouchPoints and
+//                userAgentData match the header profile, which also sends
+//                the Sec-CH-UA* client hints a Chromium identity would
+//   screen       a common size for the platform
+//   time zone    UTC, for Date and Intl
+//   canvas       2D and WebGL pixel readbacks (getImageData, toDataURL,
+//                toBlob, convertToBlob, readPixels) get low-bit noise, and
+//                WebGL's unmasked vendor and renderer match the platform
+//   audio        AudioBuffer samples and analyser data get noise
+//
+// The noise is seeded per Drift session and site, so a page reads the same
+// values on every load while sites can't match them up with each other.
+// Turned off with headers.fingerprintProtection, or by users per site for
+// sites it breaks.
+
+// Canvases larger than this (in pixels) are read back without noise:
+// copying them would stall the page, and fingerprints are small
+const MAX_NOISED_PIXELS = 2000000;
+
+// What a platform looks like: navigator.platform, the client hint platform
+// and version, screen size and WebGL identity
+const PLATFORMS = {
+  windows: {
+    platform: 'Win32', hint: 'Windows', version: '10.0.0', mobile: false, touchPoints: 0,
+    screen: [1920, 1080, 40],
+    webgl: ['Google Inc. (Intel)', 'ANGLE (Intel, Intel(R) UHD Graphics 630 (0x00003E9B) Direct3D11 vs_5_0 ps_5_0, D3D11)']
+  },
+  mac: {
+    platform: 'MacIntel', hint: 'macOS', version: '14.5.0', mobile: false, touchPoints: 0,
+    screen: [1512, 982, 38],
+    webgl: ['Google Inc. (Apple)', 'ANGLE (Apple, ANGLE Metal Renderer: Apple M1, Unspecified Version)']
+  },
+  linux: {
+    platform: 'Linux x86_64', hint: 'Linux', version: '6.5.0', mobile: false, touchPoints: 0,
+    screen: [1920, 1080, 27],
+    webgl: ['Google Inc. (Intel)', 'ANGLE (Intel, Mesa Intel(R) UHD Graphics 630 (CFL GT2), OpenGL 4.6)']
+  },
+  chromeos: {
+    platform: 'Linux x86_64', hint: 'Chrome OS', version: '15917.0.0', mobile: false, touchPoints: 0,
+    screen: [1366, 768, 48],
+    webgl: ['Google Inc. (Intel)', 'ANGLE (Intel, Mesa Intel(R) UHD Graphics 620 (KBL GT2), OpenGL 4.6)']
+  },
+  android: {
+    platform: 'Linux armv81', hint: 'Android', version: '14.0.0', mobile: true, touchPoints: 5,
+    screen: [412, 915, 0],
+    webgl: ['Qualcomm', 'Adreno (TM) 740']
+  },
+  ios: {
+    platform: 'iPhone', hint: 'iOS', version: '17.5.0', mobile: true, touchPoints: 5,
+    screen: [390, 844, 0],
+    webgl: ['Apple Inc.', 'Apple GPU']
+  }
+};
+
+function platformOf(userAgent) {
+  if (/Android/.test(userAgent)) return 'android';
+  if (/iPhone|iPad|iPod/.test(userAgent)) return 'ios';
+  if (/CrOS/.test(userAgent)) return 'chromeos';
+  if (/Mac OS X|Macintosh/.test(userAgent)) return 'mac';
+  if (/Linux|X11/.test(userAgent)) return 'linux';
+  return 'windows';
+}
+
+// The brand list Chromium sends, greased the way it does it
+function chromiumBrands(brand, version) {
+  const list = [{ brand: 'Chromium', version }, { brand: 'Not_A Brand', version: '24' }];
+  if (brand) list.unshift({ brand, version });
+  return list;
+}
+
+// Browser profile for a User-Agent and Accept-Language: the values the
+// protection script gives pages (see applyProtection)
+function profileFor(userAgent, acceptLanguage) {
+  const platform = PLATFORMS[platformOf(userAgent)];
+  const chromium = /(?:Chrome|CriOS)\/(\d+)([\d.]*)/.exec(userAgent);
+  const firefox = /Firefox\/(\d+)/.exec(userAgent);
+  const edge = /Edg(?:e|A|iOS)?\/(\d+)/.exec(userAgent);
+  const languages = acceptLanguage.split(',').map(part => part.split(';')[0].trim()).filter(Boolean);
+
+  let uaData = null;
+  if (chromium && !firefox) {
+    const major = chromium[1];
+    const full = major + (chromium[2] || '.0.0.0');
+    const brand = edge ? 'Microsoft Edge' : 'Google Chrome';
+    uaData = {
+      brands: chromiumBrands(brand, major),
+      fullVersionList: chromiumBrands(brand, full).map(b => b.brand === 'Not_A Brand' ? { brand: b.brand, version: '24.0.0.0' } : b),
+      mobile: platform.mobile,
+      platform: platform.hint,
+      platformVersion: platform.version,
+      architecture: platform.mobile ? 'arm' : 'x86',
+      bitness: '64',
+      model: '',
+      uaFullVersion: full,
+      wow64: false
+    };
+  }
+
+  const [width, height, taskbar] = platform.screen;
+  return {
+    userAgent,
+    appVersion: firefox ? `5.0 (${platform.hint === 'macOS' ? 'Macintosh' : platform.hint})` : userAgent.replace(/^Mozilla\//, ''),
+    platform: platform.platform,
+    vendor: firefox ? '' : uaData ? 'Google Inc.' : 'Apple Computer, Inc.',
+    languages: languages.length ? languages : ['en-US'],
+    hardwareConcurrency: 8,
+    // Only Chromium has navigator.deviceMemory
+    deviceMemory: uaData ? 8 : null,
+    maxTouchPoints: platform.touchPoints,
+    uaData,
+    screen: { width, height, availWidth: width, availHeight: height - taskbar, colorDepth: 24 },
+    webgl: { vendor: platform.webgl[0], renderer: platform.webgl[1] },
+    maxNoisedPixels: MAX_NOISED_PIXELS
+  };
+}
+
+// Applies the protections to `scope` (a window, or a worker's self) for
+// `profile`, with noise from `seed`. Runs in pages and workers, so it keeps
+// to itself and has no line comments (the worker shim is one line).
+// Replaced functions and getters show as native code.
+function applyProtection(scope, profile, seed) {
+  var masked = new WeakMap();
+  var fnToString = scope.Function.prototype.toString;
+  function disguise(fn, name) {
+    masked.set(fn, 'function ' + name + '() { [native code] }');
+    try {
+      Object.defineProperty(fn, 'name', { value: name, configurable: true });
+    } catch (e) {}
+    return fn;
+  }
+  var toString = disguise(function toString() {
+    return masked.has(this) ? masked.get(this) : fnToString.call(this);
+  }, 'toString');
+  try {
+    Object.defineProperty(scope.Function.prototype, 'toString', { value: toString, writable: true, configurable: true });
+  } catch (e) {}
+  function getter(obj, key, get) {
+    if (!obj) return;
+    try {
+      Object.defineProperty(obj, key, { get: disguise(get, 'get ' + key), configurable: true, enumerable: true });
+    } catch (e) {}
+  }
+  function wrap(obj, key, make) {
+    if (!obj || typeof obj[key] !== 'function') return;
+    try {
+      Object.defineProperty(obj, key, { value: disguise(make(obj[key]), key), writable: true, configurable: true });
+    } catch (e) {}
+  }
+  function mix(x) {
+    x = Math.imul(x ^ (x >>> 16), 0x45d9f3b);
+    x = Math.imul(x ^ (x >>> 16), 0x45d9f3b);
+    return (x ^ (x >>> 16)) >>> 0;
+  }
+
+  var nav = scope.navigator && Object.getPrototypeOf(scope.navigator);
+  getter(nav, 'userAgent', function () { return profile.userAgent; });
+  getter(nav, 'appVersion', function () { return profile.appVersion; });
+  getter(nav, 'platform', function () { return profile.platform; });
+  getter(nav, 'vendor', function () { return profile.vendor; });
+  getter(nav, 'language', function () { return profile.languages[0]; });
+  var languages = Object.freeze(profile.languages.slice());
+  getter(nav, 'languages', function () { return languages; });
+  getter(nav, 'hardwareConcurrency', function () { return profile.hardwareConcurrency; });
+  if (profile.deviceMemory !== null) getter(nav, 'deviceMemory', function () { return profile.deviceMemory; });
+  else if (nav && 'deviceMemory' in nav) getter(nav, 'deviceMemory', function () { return undefined; });
+  getter(nav, 'maxTouchPoints', function () { return profile.maxTouchPoints; });
+  var uaData;
+  if (profile.uaData) {
+    var hints = profile.uaData;
+    var low = { brands: hints.brands, mobile: hints.mobile, platform: hints.platform };
+    uaData = Object.create(scope.NavigatorUAData ? scope.NavigatorUAData.prototype : Object.prototype);
+    Object.defineProperty(uaData, 'brands', { value: Object.freeze(hints.brands.map(Object.freeze)), enumerable: true });
+    Object.defineProperty(uaData, 'mobile', { value: hints.mobile, enumerable: true });
+    Object.defineProperty(uaData, 'platform', { value: hints.platform, enumerable: true });
+    Object.defineProperty(uaData, 'getHighEntropyValues', { value: disguise(function getHighEntropyValues(wanted) {
+      var out = { brands: low.brands, mobile: low.mobile, platform: low.platform };
+      (Array.isArray(wanted) ? wanted : []).forEach(function (hint) {
+        if (Object.prototype.hasOwnProperty.call(hints, hint)) out[hint] = hints[hint];
+      });
+      return Promise.resolve(out);
+    }, 'getHighEntropyValues') });
+    Object.defineProperty(uaData, 'toJSON', { value: disguise(function toJSON() { return low; }, 'toJSON') });
+  }
+  if (uaData || (nav && 'userAgentData' in nav)) getter(nav, 'userAgentData', function () { return uaData; });
+
+  var screenProto = scope.Screen && scope.Screen.prototype;
+  getter(screenProto, 'width', function () { return profile.screen.width; });
+  getter(screenProto, 'height', function () { return profile.screen.height; });
+  getter(screenProto, 'availWidth', function () { return profile.screen.availWidth; });
+  getter(screenProto, 'availHeight', function () { return profile.screen.availHeight; });
+  getter(screenProto, 'availLeft', function () { return 0; });
+  getter(screenProto, 'availTop', function () { return 0; });
+  getter(screenProto, 'colorDepth', function () { return profile.screen.colorDepth; });
+  getter(screenProto, 'pixelDepth', function () { return profile.screen.colorDepth; });
+
+  var NativeDate = scope.Date;
+  var DateProto = NativeDate.prototype;
+  var nativeOffset = DateProto.getTimezoneOffset;
+  var nativeParse = NativeDate.parse;
+  var toUTCString = DateProto.toUTCString;
+  var zoned = /(?:Z|[+-]\d\d:?\d\d|\b(?:GMT|UTC|UT)\b.*)\s*$|^\d{4}(?:-\d\d){0,2}$/i;
+  function asUtc(ms, text) {
+    if (typeof text !== 'string' || zoned.test(text.trim()) || ms !== ms) return ms;
+    return ms - nativeOffset.call(new NativeDate(ms)) * 60000;
+  }
+  function dateString(d) {
+    var p = toUTCString.call(d).split(' ');
+    return p[0].slice(0, 3) + ' ' + p[2] + ' ' + p[1] + ' ' + p[3];
+  }
+  function timeString(d) {
+    return toUTCString.call(d).split(' ')[4] + ' GMT+0000 (Coordinated Universal Time)';
+  }
+  var ProtectedDate = new Proxy(NativeDate, {
+    construct: function (target, args, newTarget) {
+      if (args.length > 1) args = [NativeDate.UTC.apply(null, args)];
+      else if (typeof args[0] === 'string') args = [asUtc(nativeParse.call(NativeDate, args[0]), args[0])];
+      return Reflect.construct(target, args, newTarget);
+    },
+    apply: function () {
+      return ProtectedDate.prototype.toString.call(new NativeDate());
+    }
+  });
+  wrap(NativeDate, 'parse', function () {
+    return function parse(text) { return asUtc(nativeParse.call(NativeDate, text), String(text)); };
+  });
+  ['FullYear', 'Month', 'Date', 'Day', 'Hours', 'Minutes', 'Seconds', 'Milliseconds'].forEach(function (part) {
+    var get = DateProto['getUTC' + part];
+    wrap(DateProto, 'get' + part, function () { return function () { return get.call(this); }; });
+    if (part !== 'Day') {
+      var set = DateProto['setUTC' + part];
+      wrap(DateProto, 'set' + part, function () { return function () { return set.apply(this, arguments); }; });
+    }
+  });
+  wrap(DateProto, 'getYear', function () { return function getYear() { return DateProto.getUTCFullYear.call(this) - 1900; }; });
+  wrap(DateProto, 'getTimezoneOffset', function () {
+    return function getTimezoneOffset() { return this.getTime() === this.getTime() ? 0 : NaN; };
+  });
+  wrap(DateProto, 'toString', function () {
+    return function toString() { return this.getTime() === this.getTime() ? dateString(this) + ' ' + timeString(this) : 'Invalid Date'; };
+  });
+  wrap(DateProto, 'toDateString', function () {
+    return function toDateString() { return this.getTime() === this.getTime() ? dateString(this) : 'Invalid Date'; };
+  });
+  wrap(DateProto, 'toTimeString', function () {
+    return function toTimeString() { return this.getTime() === this.getTime() ? timeString(this) : 'Invalid Date'; };
+  });
+  function inUtc(options) {
+    var out = {};
+    for (var k in options) out[k] = options[k];
+    if (!out.timeZone) out.timeZone = 'UTC';
+    return out;
+  }
+  ['toLocaleString', 'toLocaleDateString', 'toLocaleTimeString'].forEach(function (key) {
+    wrap(DateProto, key, function (orig) {
+      return function (locales, options) { return orig.call(this, locales, inUtc(options)); };
+    });
+  });
+  try {
+    Object.defineProperty(DateProto, 'constructor', { value: ProtectedDate, writable: true, configurable: true });
+    scope.Date = ProtectedDate;
+  } catch (e) {}
+  if (scope.Intl && scope.Intl.DateTimeFormat) {
+    var NativeFormat = scope.Intl.DateTimeFormat;
+    var ProtectedFormat = new Proxy(NativeFormat, {
+      construct: function (target, args, newTarget) { return Reflect.construct(target, [args[0], inUtc(args[1])], newTarget); },
+      apply: function (target, self, args) { return new NativeFormat(args[0], inUtc(args[1])); }
+    });
+    try {
+      Object.defineProperty(NativeFormat.prototype, 'constructor', { value: ProtectedFormat, writable: true, configurable: true });
+      scope.Intl.DateTimeFormat = ProtectedFormat;
+    } catch (e) {}
+  }
+
+  function noisePixels(data) {
+    for (var i = 0; i < data.length; i += 4) {
+      if (!data[i + 3]) continue;
+      var h = mix(seed ^ Math.imul(i, 0x9e3779b1) ^ ((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]));
+      if (h & 15) continue;
+      data[i + (h >>> 4) % 3] ^= 1;
+    }
+    return data;
+  }
+  var context2d = scope.CanvasRenderingContext2D && scope.CanvasRenderingContext2D.prototype;
+  var offscreen2d = scope.OffscreenCanvasRenderingContext2D && scope.OffscreenCanvasRenderingContext2D.prototype;
+  var getImageData = (context2d || offscreen2d || {}).getImageData;
+  [context2d, offscreen2d].forEach(function (proto) {
+    wrap(proto, 'getImageData', function (orig) {
+      return function getImageData() {
+        var image = orig.apply(this, arguments);
+        if (image.width * image.height <= profile.maxNoisedPixels) noisePixels(image.data);
+        return image;
+      };
+    });
+  });
+  function noisedCopy(canvas, copy) {
+    var w = canvas.width, h = canvas.height;
+    if (!getImageData || !w || !h || w * h > profile.maxNoisedPixels) return canvas;
+    try {
+      var ctx = copy(w, h).getContext('2d');
+      ctx.drawImage(canvas, 0, 0);
+      var image = getImageData.call(ctx, 0, 0, w, h);
+      noisePixels(image.data);
+      ctx.putImageData(image, 0, 0);
+      return ctx.canvas;
+    } catch (e) {
+      return canvas;
+    }
+  }
+  function pageCanvas(w, h) {
+    var c = scope.document.createElement('canvas');
+    c.width = w;
+    c.height = h;
+    return c;
+  }
+  function workerCanvas(w, h) {
+    return new scope.OffscreenCanvas(w, h);
+  }
+  var canvasProto = scope.HTMLCanvasElement && scope.HTMLCanvasElement.prototype;
+  wrap(canvasProto, 'toDataURL', function (orig) {
+    return function toDataURL() { return orig.apply(noisedCopy(this, pageCanvas), arguments); };
+  });
+  wrap(canvasProto, 'toBlob', function (orig) {
+    return function toBlob() { return orig.apply(noisedCopy(this, pageCanvas), arguments); };
+  });
+  wrap(scope.OffscreenCanvas && scope.OffscreenCanvas.prototype, 'convertToBlob', function (orig) {
+    return function convertToBlob() { return orig.apply(noisedCopy(this, workerCanvas), arguments); };
+  });
+  [scope.WebGLRenderingContext, scope.WebGL2RenderingContext].forEach(function (Context) {
+    if (!Context) return;
+    wrap(Context.prototype, 'readPixels', function (orig) {
+      return function readPixels(x, y, w, h, format, type, pixels) {
+        var result = orig.apply(this, arguments);
+        if (pixels instanceof Uint8Array && w * h <= profile.maxNoisedPixels) noisePixels(pixels);
+        return result;
+      };
+    });
+    wrap(Context.prototype, 'getParameter', function (orig) {
+      return function getParameter(name) {
+        if (name === 0x9245) return profile.webgl.vendor;
+        if (name === 0x9246) return profile.webgl.renderer;
+        return orig.apply(this, arguments);
+      };
+    });
+  });
+
+  var noisedSamples = new WeakSet();
+  function noiseSamples(data) {
+    for (var i = 0; i < data.length; i++) {
+      if (isFinite(data[i])) data[i] += data[i] * ((mix(seed ^ i) & 0xffff) / 0xffff - 0.5) * 2e-6;
+    }
+    return data;
+  }
+  var audioBuffer = scope.AudioBuffer && scope.AudioBuffer.prototype;
+  wrap(audioBuffer, 'getChannelData', function (orig) {
+    return function getChannelData() {
+      var data = orig.apply(this, arguments);
+      if (!noisedSamples.has(data)) {
+        noisedSamples.add(data);
+        noiseSamples(data);
+      }
+      return data;
+    };
+  });
+  wrap(audioBuffer, 'copyFromChannel', function (orig) {
+    return function copyFromChannel(destination) {
+      var result = orig.apply(this, arguments);
+      noiseSamples(destination);
+      return result;
+    };
+  });
+  var analyser = scope.AnalyserNode && scope.AnalyserNode.prototype;
+  ['getFloatFrequencyData', 'getFloatTimeDomainData'].forEach(function (key) {
+    wrap(analyser, key, function (orig) {
+      return function (array) {
+        var result = orig.apply(this, arguments);
+        noiseSamples(array);
+        return result;
+      };
+    });
+  });
+}
+
+let profile = null;
+// Bumped whenever the profile changes, so output that embeds it can tell
+// when it's out of date
+let version = 0;
+
+function currentProfile() {
+  if (!profile) {
+    const { headers } = config.get();
+    profile = profileFor(headers.userAgent, headers.acceptLanguage);
+  }
+  return profile;
+}
+
+config.onChange((settings, changed) => {
+  if (!changed.includes('headers.userAgent') && !changed.includes('headers.acceptLanguage')) return;
+  profile = null;
+  version++;
+});
+
+// Client hint headers for a request to `url`: the low-entropy Sec-CH-UA*
+// set Chromium sends to secure origins, or none when the profile isn't
+// Chromium
+function clientHintHeaders(url) {
+  const { uaData } = currentProfile();
+  let secure = false;
+  try {
+    secure = ['https:', 'wss:'].includes(new URL(url).protocol);
+  } catch {}
+  if (!uaData || !secure) return {};
+  return {
+    'Sec-CH-UA': uaData.brands.map(b => `"${b.brand}";v="${b.version}"`).join(', '),
+    'Sec-CH-UA-Mobile': uaData.mobile ? '?1' : '?0',
+    'Sec-CH-UA-Platform': `"${uaData.platform}"`
+  };
+}
+
+// Noise seed for a page at `url` in a session, or null when the page isn't
+// protected (protection off, or the page's site is on `exemptSites`)
+function protectionSeed(url, sessionId, exemptSites) {
+  if (!config.get().headers.fingerprintProtection) return null;
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+  for (const site of exemptSites || []) {
+    if (host === site || host.endsWith('.' + site)) return null;
+  }
+  const site = host.replace(/^www\./, '');
+  return crypto.createHash('sha256').update(`${sessionId}\n${site}`).digest().readUInt32BE(0);
+}
+
+// JS expression for the page runtime and the worker shim: a function(scope,
+// seed) that applies the protections to `scope` (window or self) with the
+// current profile
+function browserProtectionSource() {
+  const data = JSON.stringify(currentProfile()).replace(/</g, '\\u003c');
+  return `(function(scope,seed){(${applyProtection})(scope,${data},seed>>>0);})`;
+}
+
+function profileVersion() {
+  return version;
+}
+
+module.exports = { clientHintHeaders, protectionSeed, browserProtectionSource, profileVersion };
@@ -0,0 +1,565 @@
+const { Transform } = require('stream');
+const { toProxyUrl } = require('./proxy-url');
+const { rewriteCss } = require('./css-rewriter');
+
+// Streaming HTML rewriter. A tokenizer splits the document into text,
+// comments, start/end tags (with parsed attributes) and raw-text elements;
+// tokens then flow through a chain of passes — tracking removal, URL
+// rewriting, inline script rewriting, meta script and hide-CSS injection —
+// and are serialized back to HTML.
+// Only an incomplete tag at the end of a chunk is ever held back, so large
+// pages stream through without being buffered.
+
+// Elements whose content is raw text up to the matching end tag
+const RAW_TEXT = new Set(['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes', 'plaintext']);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  copy: '©', reg: '®', hellip: '…', mdash: '—', ndash: '–',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', sol: '/',
+  colon: ':', comma: ',', period: '.', quest: '?', equals: '=', num: '#', percnt: '%',
+  lpar: '(', rpar: ')', semi: ';', excl: '!', Tab: '\t', NewLine: '\n'
+};
+
+// Named entities browsers also decode without a trailing semicolon
+const LEGACY_ENTITIES = new Set(['amp', 'lt', 'gt', 'quot', 'nbsp', 'copy', 'reg']);
+
+// In attribute values (`attribute` true) a legacy entity without its
+// semicolon stays as written when "=" or a letter or digit follows, as
+// browsers do, so query strings like "?a=1&copy=2" survive
+function decodeEntities(text, attribute) {
+  if (!text.includes('&')) return text;
+  return text.replace(/&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([A-Za-z]+))(;?)/g, (match, dec, hex, name, semi, offset) => {
+    if (dec || hex) {
+      const code = parseInt(dec || hex, dec ? 10 : 16);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '�';
+    }
+    if (!Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, name)) return match;
+    if (semi) return NAMED_ENTITIES[name];
+    if (!LEGACY_ENTITIES.has(name)) return match;
+    if (attribute && /^[=A-Za-z0-9]/.test(text.slice(offset + match.length))) return match;
+    return NAMED_ENTITIES[name];
+  });
+}
+
+function escapeAttr(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+function isSpace(ch) {
+  return ch === ' ' || ch === '\n' || ch === '\t' || ch === '\r' || ch === '\f';
+}
+
+// ─── Tokenizer ───
+
+// Parse the start tag at buf[pos] ('<' followed by a letter). Returns null
+// if the tag isn't complete yet.
+function readStartTag(buf, pos) {
+  const len = buf.length;
+  let i = pos + 1;
+  while (i < len && !isSpace(buf[i]) && buf[i] !== '/' && buf[i] !== '>') i++;
+  if (i >= len) return null;
+  const rawName = buf.slice(pos + 1, i);
+  const attrs = [];
+
+  for (;;) {
+    const gapStart = i;
+    while (i < len && (isSpace(buf[i]) || (buf[i] === '/' && buf[i + 1] !== '>'))) i++;
+    if (i >= len || (buf[i] === '/' && i + 1 >= len)) return null;
+    if (buf[i] === '>' || buf[i] === '/') {
+      const end = buf[i] === '/' ? i + 2 : i + 1;
+      return {
+        type: 'start',
+        name: rawName.toLowerCase(),
+        rawName,
+        attrs,
+        selfClosing: buf[i] === '/',
+        raw: buf.slice(pos, end),
+        rawEnd: buf.slice(gapStart, end),
+        end
+      };
+    }
+
+    const nameStart = i++;
+    while (i < len && !isSpace(buf[i]) && buf[i] !== '/' && buf[i] !== '>' && buf[i] !== '=') i++;
+    if (i >= len) return null;
+    const name = buf.slice(nameStart, i);
+
+    let j = i;
+    while (j < len && isSpace(buf[j])) j++;
+    if (j >= len) return null;
+    let value = '';
+    if (buf[j] === '=') {
+      j++;
+      while (j < len && isSpace(buf[j])) j++;
+      if (j >= len) return null;
+      if (buf[j] === '"' || buf[j] === "'") {
+        const close = buf.indexOf(buf[j], j + 1);
+        if (close === -1) return null;
+        value = buf.slice(j + 1, close);
+        i = close + 1;
+      } else {
+        const valueStart = j;
+        while (j < len && !isSpace(buf[j]) && buf[j] !== '>') j++;
+        if (j >= len) return null;
+        value = buf.slice(valueStart, j);
+        i = j;
+      }
+    }
+    attrs.push({ name: name.toLowerCase(), value: decodeEntities(value, true), raw: buf.slice(gapStart, i) });
+  }
+}
+
+// Parse the markup starting at buf[pos] === '<'. Returns a token with an
+// `end` offset, or null if more input is needed to tell.
+function readMarkup(buf, pos) {
+  const rest = buf.length - pos;
+  const next = buf[pos + 1];
+  if (next === undefined) return null;
+
+  if (next === '!') {
+    if (rest < 4 && '<!--'.startsWith(buf.slice(pos))) return null;
+    if (buf.startsWith('<!--', pos)) {
+      if (buf.startsWith('<!-->', pos)) return { type: 'comment', raw: '<!-->', end: pos + 5 };
+      const close = buf.indexOf('-->', pos + 4);
+      if (close === -1) return null;
+      return { type: 'comment', raw: buf.slice(pos, close + 3), end: close + 3 };
+    }
+  }
+  if (next === '!' || next === '?') {
+    const gt = buf.indexOf('>', pos);
+    if (gt === -1) return null;
+    return { type: 'other', raw: buf.slice(pos, gt + 1), end: gt + 1 };
+  }
+  if (next === '/') {
+    if (rest < 3) return null;
+    const gt = buf.indexOf('>', pos);
+    if (gt === -1) return null;
+    if (!/[A-Za-z]/.test(buf[pos + 2])) return { type: 'other', raw: buf.slice(pos, gt + 1), end: gt + 1 };
+    const name = /^[^\s/>]+/.exec(buf.slice(pos + 2, gt))[0].toLowerCase();
+    return { type: 'end', name, raw: buf.slice(pos, gt + 1), end: gt + 1 };
+  }
+  if (/[A-Za-z]/.test(next)) return readStartTag(buf, pos);
+  return { type: 'text', text: '<', end: pos + 1 };
+}
+
+// Index of the end tag closing a raw-text element, or -1
+function findRawEnd(buf, pos, name) {
+  const pattern = new RegExp('</' + name + '(?=[\\s/>])', 'ig');
+  pattern.lastIndex = pos;
+  const m = pattern.exec(buf);
+  return m ? m.index : -1;
+}
+
+function createTokenizer(onToken) {
+  let buf = '';
+  let rawElement = null; // start tag of a raw-text element awaiting its content
+
+  function run(final) {
+    let pos = 0;
+    while (pos < buf.length) {
+      if (rawElement) {
+        const close = findRawEnd(buf, pos, rawElement.name);
+        const gt = close === -1 ? -1 : buf.indexOf('>', close);
+        if (gt === -1) {
+          if (!final) break;
+          rawElement.text = buf.slice(pos);
+          rawElement.endTag = '';
+          pos = buf.length;
+        } else {
+          rawElement.text = buf.slice(pos, close);
+          rawElement.endTag = buf.slice(close, gt + 1);
+          pos = gt + 1;
+        }
+        onToken(rawElement);
+        rawElement = null;
+        continue;
+      }
+
+      const lt = buf.indexOf('<', pos);
+      if (lt === -1) {
+        onToken({ type: 'text', text: buf.slice(pos) });
+        pos = buf.length;
+        break;
+      }
+      if (lt > pos) {
+        onToken({ type: 'text', text: buf.slice(pos, lt) });
+        pos = lt;
+      }
+      const token = readMarkup(buf, pos);
+      if (!token) {
+        if (!final) break;
+        onToken({ type: 'text', text: buf.slice(pos) });
+        pos = buf.length;
+        break;
+      }
+      pos = token.end;
+      if (token.type === 'start' && RAW_TEXT.has(token.name)) {
+        rawElement = token;
+      } else {
+        onToken(token);
+      }
+    }
+    buf = buf.slice(pos);
+    if (final && rawElement) {
+      rawElement.text = '';
+      rawElement.endTag = '';
+      onToken(rawElement);
+      rawElement = null;
+    }
+  }
+
+  return {
+    write(text) {
+      buf += text;
+      run(false);
+    },
+    end() {
+      run(true);
+    }
+  };
+}
+
+// ─── Token helpers for passes ───
+
+function getAttr(token, name) {
+  const attr = token.attrs.find(a => a.name === name && !a.removed);
+  return attr ? attr.value : null;
+}
+
+function setAttr(token, name, value) {
+  const attr = token.attrs.find(a => a.name === name && !a.removed);
+  if (attr) {
+    attr.value = value;
+    attr.changed = true;
+  } else {
+    token.attrs.push({ name, value, raw: null, changed: true });
+  }
+}
+
+function removeAttr(token, name) {
+  for (const attr of token.attrs) {
+    if (attr.name === name) attr.removed = true;
+  }
+}
+
+function serialize(token) {
+  if (token.type === 'text') return token.text;
+  if (token.type !== 'start') return token.raw;
+
+  let open = token.raw;
+  if (token.attrs.some(a => a.changed || a.removed)) {
+    open = '<' + token.rawName + token.attrs.map(a => {
+      if (a.removed) return '';
+      if (a.changed) return ` ${a.name}="${escapeAttr(a.value)}"`;
+      return a.raw;
+    }).join('') + token.rawEnd;
+  }
+  return token.text !== undefined ? open + token.text + token.endTag : open;
+}
+
+// ─── Passes ───
+// Each pass is { write(token, push), flush(push) } and may drop, replace,
+// hold back or add tokens before pushing them to the next pass.
+
+const TRACKING_SCRIPT = /google-analytics|googletagmanager|gtag|fbq|_gaq|ga\s*\(|analytics\.js|adsbygoogle|googlesyndication|doubleclick|hotjar|clarity|mixpanel|segment|amplitude|heap/i;
+const TRACKING_PIXEL = /facebook\.com\/tr|google-analytics|googletagmanager|bat\.bing|analytics/i;
+
+// Removes 1x1 tracking pixels, inline analytics snippets, <noscript>
+// tracking pixels and hyperlink auditing (ping="") beacons
+function trackingPass() {
+  let noscript = null; // tokens held while inside <noscript>
+
+  function isPixel(token) {
+    return token.name === 'img' && getAttr(token, 'width') === '1' && getAttr(token, 'height') === '1';
+  }
+
+  return {
+    write(token, push) {
+      if (noscript) {
+        noscript.push(token);
+        if (token.type === 'end' && token.name === 'noscript') {
+          const content = noscript.slice(1, -1).filter(t => !(t.type === 'text' && !t.text.trim()));
+          const tracker = content.length === 1 && content[0].type === 'start' && content[0].name === 'img' &&
+            TRACKING_PIXEL.test(getAttr(content[0], 'src') || '');
+          if (!tracker) noscript.forEach(t => push(t));
+          noscript = null;
+        }
+        return;
+      }
+      if (token.type !== 'start') return push(token);
+      if (token.name === 'noscript') {
+        noscript = [token];
+        return;
+      }
+      if (isPixel(token)) return;
+      if (token.name === 'script' && token.text && !token.text.includes('<') && TRACKING_SCRIPT.test(token.text)) return;
+      if (getAttr(token, 'ping') !== null) removeAttr(token, 'ping');
+      push(token);
+    },
+    flush(push) {
+      if (noscript) noscript.forEach(t => push(t));
+      noscript = null;
+    }
+  };
+}
+
+// Attributes holding a single URL, and the elements they apply to (null: any)
+const URL_ATTRS = {
+  href: null,
+  src: null,
+  action: null,
+  formaction: null,
+  poster: null,
+  background: null,
+  manifest: ['html'],
+  data: ['object'],
+  'xlink:href': null
+};
+const SRCSET_ATTRS = ['srcset', 'imagesrcset'];
+
+function rewriteSrcset(value, baseUrl) {
+  const candidates = [];
+  let i = 0;
+  while (i < value.length) {
+    while (i < value.length && (isSpace(value[i]) || value[i] === ',')) i++;
+    if (i >= value.length) break;
+    let urlEnd = i;
+    while (urlEnd < value.length && !isSpace(value[urlEnd])) urlEnd++;
+    let url = value.slice(i, urlEnd);
+    let descriptors = '';
+    i = urlEnd;
+    if (url.endsWith(',')) {
+      url = url.replace(/,+$/, '');
+    } else {
+      const comma = value.indexOf(',', i);
+      const descEnd = comma === -1 ? value.length : comma;
+      descriptors = value.slice(i, descEnd).trim();
+      i = descEnd;
+    }
+    const proxied = toProxyUrl(url, baseUrl);
+    candidates.push((proxied || url) + (descriptors ? ' ' + descriptors : ''));
+  }
+  return candidates.join(', ');
+}
+
+const REFRESH = /^(\s*[\d.]*\s*[;,]?\s*(?:url\s*=\s*)?)(['"]?)(.*?)\2(\s*)$/i;
+
+// Rewrites every URL-bearing attribute, srcset lists, <meta> refreshes,
+// inline styles and <style> blocks. A <base href> is resolved and taken out
+// of the browser's hands (kept as data-drift-href for the injected script)
+// so relative URLs keep resolving against the real site. cleanUrl (url ->
+// url, optional) strips tracking from URL attributes and refreshes.
+function urlPass(documentUrl, cleanUrl) {
+  let baseUrl = documentUrl;
+  let baseSeen = false;
+
+  function rewriteTag(token) {
+    if (token.name === 'base') {
+      const href = getAttr(token, 'href');
+      if (href !== null && !baseSeen) {
+        baseSeen = true;
+        try {
+          baseUrl = new URL(href, documentUrl).href;
+          setAttr(token, 'data-drift-href', baseUrl);
+        } catch {}
+      }
+      removeAttr(token, 'href');
+      return;
+    }
+
+    let rewritten = false;
+    for (const attr of token.attrs) {
+      if (attr.removed) continue;
+      const elements = URL_ATTRS[attr.name];
+      if (elements !== undefined && (elements === null || elements.includes(token.name))) {
+        const proxied = toProxyUrl(attr.value, baseUrl, cleanUrl);
+        if (proxied) {
+          attr.value = proxied;
+          attr.changed = rewritten = true;
+        }
+      } else if (SRCSET_ATTRS.includes(attr.name)) {
+        attr.value = rewriteSrcset(attr.value, baseUrl);
+        attr.changed = rewritten = true;
+      } else if (attr.name === 'style' && /url\(|@import/i.test(attr.value)) {
+        attr.value = rewriteCss(attr.value, baseUrl);
+        attr.changed = true;
+      }
+    }
+
+    // The rewritten document is UTF-8, whatever it declared
+    if (token.name === 'meta' && getAttr(token, 'charset') !== null) setAttr(token, 'charset', 'utf-8');
+    if (token.name === 'meta' && (getAttr(token, 'http-equiv') || '').toLowerCase() === 'content-type') {
+      setAttr(token, 'content', 'text/html; charset=utf-8');
+    }
+
+    if (token.name === 'meta' && (getAttr(token, 'http-equiv') || '').toLowerCase() === 'refresh') {
+      const content = getAttr(token, 'content') || '';
+      const m = REFRESH.exec(content);
+      const proxied = m && m[3] && toProxyUrl(m[3], baseUrl, cleanUrl);
+      if (proxied) setAttr(token, 'content', m[1] + proxied + m[4]);
+    }
+
+    // Subresource Integrity can't match once the resource has been rewritten
+    if (rewritten) removeAttr(token, 'integrity');
+
+    if (token.name === 'style' && token.text) {
+      token.text = rewriteCss(token.text, baseUrl);
+    }
+    if (token.name === 'iframe' && getAttr(token, 'srcdoc') !== null) {
+      setAttr(token, 'srcdoc', rewriteHtml(getAttr(token, 'srcdoc'), { baseUrl, cleanUrl }));
+    }
+  }
+
+  return {
+    write(token, push) {
+      if (token.type === 'start') rewriteTag(token);
+      push(token);
+    }
+  };
+}
+
+// Script types browsers run as JavaScript
+const SCRIPT_TYPE = /^(?:(?:text|application)\/(?:x-)?(?:java|ecma)script|module)?$/i;
+
+// Runs inline scripts and on* event handler attributes through
+// `rewriteScript`
+function scriptPass(rewriteScript) {
+  return {
+    write(token, push) {
+      if (token.type === 'start') {
+        for (const attr of token.attrs) {
+          if (attr.removed || !attr.name.startsWith('on')) continue;
+          const value = rewriteScript(attr.value);
+          if (value !== attr.value) {
+            attr.value = value;
+            attr.changed = true;
+          }
+        }
+        if (token.name === 'script' && token.text && SCRIPT_TYPE.test((getAttr(token, 'type') || '').split(';')[0].trim())) {
+          token.text = rewriteScript(token.text);
+        }
+      }
+      push(token);
+    }
+  };
+}
+
+// Places `markup` at the very top of <head> so it runs before any page
+// script. Documents without a <head> get it before their first real content.
+function injectPass(markup) {
+  let done = false;
+  const inject = (push) => {
+    done = true;
+    push({ type: 'text', text: markup });
+  };
+
+  return {
+    write(token, push) {
+      if (done) return push(token);
+      if (token.type === 'start' && token.name === 'head') {
+        push(token);
+        return inject(push);
+      }
+      const preamble = token.type === 'comment' || token.type === 'other' || token.type === 'end' ||
+        (token.type === 'text' && !token.text.trim()) ||
+        (token.type === 'start' && token.name === 'html');
+      if (!preamble) inject(push);
+      push(token);
+    },
+    flush(push) {
+      if (!done) inject(push);
+    }
+  };
+}
+
+// Connect passes into a single token sink ending in `output`
+function chain(passes, output) {
+  let next = { write: output, flush() {} };
+  for (let i = passes.length - 1; i >= 0; i--) {
+    const pass = passes[i];
+    const downstream = next;
+    next = {
+      write: (token) => pass.write(token, downstream.write),
+      flush: () => {
+        if (pass.flush) pass.flush(downstream.write);
+        downstream.flush();
+      }
+    };
+  }
+  return next;
+}
+
+// options: baseUrl (the document URL), injection (markup for the top of
+// <head>, optional), rewriteScript (source -> source for inline scripts,
+// optional), cleanUrl (see urlPass, optional), stripTracking (default true)
+function createPasses(options) {
+  const passes = [];
+  if (options.stripTracking !== false) passes.push(trackingPass());
+  passes.push(urlPass(options.baseUrl, options.cleanUrl));
+  if (options.rewriteScript) passes.push(scriptPass(options.rewriteScript));
+  if (options.injection) passes.push(injectPass(options.injection));
+  // Element hiding from the filter lists' ## rules
+  if (options.hideCss) passes.push(injectPass(`<style>${options.hideCss}</style>`));
+  return passes;
+}
+
+// Rewrite a complete HTML string (srcdoc documents and the like)
+function rewriteHtml(html, options) {
+  let out = '';
+  const sink = chain(createPasses(options), (token) => { out += serialize(token); });
+  const tokenizer = createTokenizer(sink.write);
+  tokenizer.write(html);
+  tokenizer.end();
+  sink.flush();
+  return out;
+}
+
+// Transform stream from upstream HTML bytes, read with options.decoder (see
+// charset.js), to rewritten UTF-8
+function createHtmlRewriter(options) {
+  const decoder = options.decoder;
+  let out = [];
+  const sink = chain(createPasses(options), (token) => { out.push(serialize(token)); });
+  const tokenizer = createTokenizer(sink.write);
+
+  function drain(stream) {
+    if (out.length) stream.push(Buffer.from(out.join(''), 'utf-8'));
+    out = [];
+  }
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        tokenizer.write(decoder.write(chunk));
+        drain(this);
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+    flush(callback) {
+      try {
+        tokenizer.write(decoder.end());
+        tokenizer.end();
+        sink.flush();
+        drain(this);
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    }
+  });
+}
+
+module.exports = {
+  createHtmlRewriter,
+  rewriteHtml,
+  createTokenizer,
+  serialize,
+  decodeEntities,
+  rewriteSrcset,
+  getAttr,
+  setAttr,
+  removeAttr
+};
@@ -0,0 +1,362 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const config = require('./config');
+
+// Shared HTTP cache (RFC 9111) for /proxy/* responses. Bodies are stored as
+// Drift would send them before client compression: rewritten HTML/CSS/JS
+// output, or the upstream bytes for everything else, so a hit skips both the
+// upstream fetch and the rewrite. Recently used bodies stay in memory; older
+// ones spill to a temporary directory, and the least recently used are
+// dropped once either budget is exceeded.
+//
+// A response reached through redirects is stored under the URL it came
+// from and found under the URL that was asked for too, so assets behind a
+// redirect (CDNs, mostly) are served from the cache like any other.
+//
+// Entries are partitioned by Drift session. Users never see each other's
+// cached responses (or learn what others visited from hit timings), and a
+// session's entries go with the rest of its state on /session/clear.
+const MB = 1024 * 1024;
+const MEMORY_LIMIT = config.get().cache.memory * MB;
+const DISK_LIMIT = config.get().cache.disk * MB;
+const MAX_ENTRY_SIZE = 8 * MB;
+// Heuristic freshness for responses with only Last-Modified
+const HEURISTIC_FRACTION = 0.1;
+const MAX_HEURISTIC = 24 * 60 * 60;
+
+// Response headers kept with an entry
+const STORED_HEADERS = ['content-type', 'content-encoding', 'content-length', 'content-language', 'etag',
+  'last-modified', 'cache-control', 'expires', 'date', 'age', 'vary', 'accept-ranges'];
+
+function parseCacheControl(header) {
+  const directives = {};
+  for (const part of (header || '').split(',')) {
+    const eq = part.indexOf('=');
+    const name = (eq === -1 ? part : part.slice(0, eq)).trim().toLowerCase();
+    if (!name) continue;
+    directives[name] = eq === -1 ? true : part.slice(eq + 1).trim().replace(/^"|"$/g, '');
+  }
+  return directives;
+}
+
+function seconds(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+function parseDate(value) {
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+// Freshness lifetime in seconds, from s-maxage, max-age, Expires or the
+// Last-Modified heuristic
+function freshnessLifetime(headers) {
+  const cc = parseCacheControl(headers['cache-control']);
+  if (cc['no-cache']) return 0;
+  if (seconds(cc['s-maxage']) !== null) return seconds(cc['s-maxage']);
+  if (seconds(cc['max-age']) !== null) return seconds(cc['max-age']);
+  const date = parseDate(headers.date);
+  const expires = headers.expires !== undefined ? parseDate(headers.expires) : undefined;
+  if (expires !== undefined) return expires === null || date === null ? 0 : Math.max(0, (expires - date) / 1000);
+  const lastModified = parseDate(headers['last-modified']);
+  if (lastModified !== null && date !== null && date > lastModified) {
+    return Math.min(MAX_HEURISTIC, (date - lastModified) / 1000 * HEURISTIC_FRACTION);
+  }
+  return 0;
+}
+
+// Why a response can't be stored, or null if it can. `sentCookie` is true
+// when the upstream request carried cookies from the session jar.
+function unstorableReason(statusCode, headers, sentCookie) {
+  if (statusCode !== 200) return 'status';
+  const cc = parseCacheControl(headers['cache-control']);
+  if (cc['no-store'] || cc['private']) return 'no-store';
+  if (headers['set-cookie']) return 'set-cookie';
+  if (sentCookie && !cc['public'] && !cc['s-maxage']) return 'personalised';
+  if ((headers.vary || '').includes('*')) return 'vary';
+  if (!headers.etag && !headers['last-modified'] && freshnessLifetime(headers) === 0) return 'not-fresh';
+  return null;
+}
+
+// Request headers a response's Vary names, as Drift sends them upstream
+function varyValues(varyHeader, requestHeaders) {
+  const values = {};
+  for (const name of (varyHeader || '').split(',')) {
+    const key = name.trim().toLowerCase();
+    if (key) values[key] = requestHeaders[key] || '';
+  }
+  return values;
+}
+
+function createHttpCache(options) {
+  options = options || {};
+  const memoryLimit = options.memoryLimit !== undefined ? options.memoryLimit : MEMORY_LIMIT;
+  const diskLimit = options.diskLimit !== undefined ? options.diskLimit : DISK_LIMIT;
+
+  // Map order is LRU order: touched entries move to the end
+  const entries = new Map();
+  // Key of the URL a redirected request asked for -> its entry
+  const aliases = new Map();
+  let memoryBytes = 0;
+  let spillingBytes = 0;
+  let diskBytes = 0;
+  let diskDir = null;
+  const counters = { hits: 0, stale: 0, misses: 0, revalidated: 0, stores: 0, evictions: 0 };
+
+  function ensureDiskDir() {
+    if (diskDir || !diskLimit) return diskDir;
+    try {
+      diskDir = fs.mkdtempSync(path.join(config.get().cache.dir || os.tmpdir(), 'drift-cache-'));
+      // Cached bodies never outlive the process
+      const cleanup = () => {
+        try { fs.rmSync(diskDir, { recursive: true, force: true }); } catch {}
+      };
+      process.on('exit', cleanup);
+      for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => {
+          cleanup();
+          process.kill(process.pid, signal);
+        });
+      }
+    } catch (err) {
+      console.log(`Disk cache unavailable: ${err.message}`);
+    }
+    return diskDir;
+  }
+
+  function touch(entry) {
+    entries.delete(entry.key);
+    entries.set(entry.key, entry);
+  }
+
+  function remove(entry) {
+    if (entries.get(entry.key) === entry) entries.delete(entry.key);
+    if (entry.alias && aliases.get(entry.alias) === entry) aliases.delete(entry.alias);
+    entry.removed = true;
+    if (entry.body) memoryBytes -= entry.size;
+    if (entry.file) {
+      diskBytes -= entry.size;
+      fs.unlink(entry.file, () => {});
+    }
+    entry.body = null;
+    entry.file = null;
+  }
+
+  // Move the least recently used bodies to disk, and drop the least
+  // recently used disk entries, until both budgets hold
+  function enforceLimits() {
+    for (const entry of entries.values()) {
+      if (memoryBytes - spillingBytes <= memoryLimit) break;
+      if (!entry.body || entry.spilling) continue;
+      if (!ensureDiskDir()) {
+        counters.evictions++;
+        remove(entry);
+        continue;
+      }
+      spill(entry);
+    }
+    for (const entry of entries.values()) {
+      if (diskBytes <= diskLimit) break;
+      if (!entry.file) continue;
+      counters.evictions++;
+      remove(entry);
+    }
+  }
+
+  function spill(entry) {
+    entry.spilling = true;
+    spillingBytes += entry.size;
+    const file = path.join(diskDir, crypto.randomBytes(16).toString('hex'));
+    fs.writeFile(file, entry.body, (err) => {
+      entry.spilling = false;
+      spillingBytes -= entry.size;
+      if (entry.removed) return fs.unlink(file, () => {});
+      if (err) {
+        counters.evictions++;
+        return remove(entry);
+      }
+      memoryBytes -= entry.size;
+      entry.body = null;
+      entry.file = file;
+      diskBytes += entry.size;
+      enforceLimits();
+    });
+  }
+
+  function keyFor(partition, url) {
+    return `${partition} ${url}`;
+  }
+
+  // Age of an entry in seconds (RFC 9111 section 4.2.3, simplified)
+  function currentAge(entry) {
+    const date = parseDate(entry.headers.date);
+    const apparent = date === null ? 0 : Math.max(0, (entry.responseTime - date) / 1000);
+    const initial = Math.max(apparent, seconds(entry.headers.age) || 0);
+    return initial + (Date.now() - entry.responseTime) / 1000;
+  }
+
+  // Can the entry be served without revalidation? Honours the request's own
+  // Cache-Control (no-cache on a hard reload, max-age=0 on a reload)
+  function isFresh(entry, requestCacheControl) {
+    const cc = parseCacheControl(requestCacheControl);
+    if (cc['no-cache']) return false;
+    const age = currentAge(entry);
+    if (seconds(cc['max-age']) !== null && age > seconds(cc['max-age'])) return false;
+    return age < entry.lifetime;
+  }
+
+  // Find the stored response for request = {partition, url, headers,
+  // variant, cacheControl}. `headers` are the ones Drift sends upstream (for
+  // Vary) and `variant` must match the one the entry was stored with.
+  // Calls back with (entry, body, fresh), or (null) on a miss. An entry
+  // found through a redirect has a different `url` from the request's.
+  function lookup(request, callback) {
+    const key = keyFor(request.partition, request.url);
+    const entry = entries.get(key) || aliases.get(key);
+    const matches = entry && entry.variant === request.variant &&
+      Object.entries(entry.vary).every(([name, value]) => (request.headers[name] || '') === value);
+    if (!matches) {
+      counters.misses++;
+      return callback(null);
+    }
+    touch(entry);
+    const found = (body) => {
+      const fresh = isFresh(entry, request.cacheControl);
+      counters[fresh ? 'hits' : 'stale']++;
+      callback(entry, body, fresh);
+    };
+    if (entry.body) return found(entry.body);
+    fs.readFile(entry.file, (err, body) => {
+      if (err || entry.removed) {
+        if (!entry.removed) remove(entry);
+        counters.misses++;
+        return callback(null);
+      }
+      found(body);
+    });
+  }
+
+  // Validators to send upstream when revalidating
+  function conditionalHeaders(entry) {
+    const headers = {};
+    if (entry.headers.etag) headers['If-None-Match'] = entry.headers.etag;
+    if (entry.headers['last-modified']) headers['If-Modified-Since'] = entry.headers['last-modified'];
+    return Object.keys(headers).length ? headers : null;
+  }
+
+  function pickHeaders(headers) {
+    const picked = {};
+    for (const name of STORED_HEADERS) {
+      if (headers[name] !== undefined) picked[name] = headers[name];
+    }
+    return picked;
+  }
+
+  // A 304 from upstream: the stored body is still good, with new metadata
+  function refresh(entry, headers) {
+    if (entry.removed) return;
+    for (const name of ['cache-control', 'expires', 'date', 'age', 'etag', 'last-modified']) {
+      if (headers[name] !== undefined) entry.headers[name] = headers[name];
+      else if (name === 'age') delete entry.headers.age;
+    }
+    entry.responseTime = Date.now();
+    entry.lifetime = freshnessLifetime(entry.headers);
+    counters.revalidated++;
+  }
+
+  // meta.requestUrl is the URL asked for, when redirects led to meta.url
+  function store(meta, body) {
+    const key = keyFor(meta.partition, meta.url);
+    const alias = meta.requestUrl && meta.requestUrl !== meta.url ? keyFor(meta.partition, meta.requestUrl) : null;
+    for (const old of [entries.get(key), aliases.get(key), alias && entries.get(alias), alias && aliases.get(alias)]) {
+      if (old) remove(old);
+    }
+    const entry = {
+      key,
+      alias,
+      partition: meta.partition,
+      url: meta.url,
+      requestUrl: alias ? meta.requestUrl : null,
+      headers: pickHeaders(meta.headers),
+      vary: varyValues(meta.headers.vary, meta.requestHeaders),
+      variant: meta.variant,
+      rewritten: !!meta.rewritten,
+      // Character encoding a rewritten page had upstream, and how many of
+      // its links were cleaned of tracking
+      encoding: meta.encoding || null,
+      cleaned: meta.cleaned || 0,
+      responseTime: Date.now(),
+      lifetime: freshnessLifetime(meta.headers),
+      size: body.length,
+      body,
+      file: null
+    };
+    entries.set(key, entry);
+    if (alias) aliases.set(alias, entry);
+    memoryBytes += entry.size;
+    counters.stores++;
+    enforceLimits();
+  }
+
+  // Pass-through stream that stores everything that flows through it once
+  // the body completes. Aborted or oversized bodies are never stored.
+  function capture(meta) {
+    const chunks = [];
+    let size = 0;
+    let overflow = false;
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        if (!overflow) {
+          size += chunk.length;
+          if (size > MAX_ENTRY_SIZE) {
+            overflow = true;
+            chunks.length = 0;
+          } else {
+            chunks.push(chunk);
+          }
+        }
+        callback(null, chunk);
+      },
+      flush(callback) {
+        if (!overflow) store(meta, Buffer.concat(chunks, size));
+        callback();
+      }
+    });
+  }
+
+  // Drop everything, or only the entries of one session / for one URL
+  // (asked for or redirected to)
+  function purge(filter) {
+    filter = filter || {};
+    let removed = 0;
+    for (const entry of [...entries.values()]) {
+      if (filter.partition && entry.partition !== filter.partition) continue;
+      if (filter.url && entry.url !== filter.url && entry.requestUrl !== filter.url) continue;
+      remove(entry);
+      removed++;
+    }
+    return removed;
+  }
+
+  function stats() {
+    let onDisk = 0;
+    for (const entry of entries.values()) if (entry.file) onDisk++;
+    return Object.assign({
+      entries: entries.size,
+      inMemory: entries.size - onDisk,
+      onDisk,
+      memoryBytes,
+      diskBytes,
+      memoryLimit,
+      diskLimit
+    }, counters);
+  }
+
+  return { lookup, conditionalHeaders, refresh, capture, purge, stats };
+}
+
+module.exports = { createHttpCache, unstorableReason, freshnessLifetime, parseCacheControl, MAX_ENTRY_SIZE };
@@ -0,0 +1,1078 @@
+// IndexedDB for pages in storage containers (see container-storage.js).
+// Drift's own IndexedDB is shared by every proxied page, so pages get one
+// that lives in their memory instead: its databases are loaded with the rest
+// of the page's storage, from the container's "idb" area, and every
+// committed transaction sends its changes back there. Entries in the area:
+//
+//   ["<database>"]                    version, object stores and indexes
+//   ["<database>","<store>",<key>]    a record's value
+//
+// keys and values in encode()'s JSON form (blobs are read and sent along
+// once they're loaded). Transactions run one at a time, in the order they
+// were made, each request as a task of its own, and commit once a task
+// finds no more requests. Other pages in the container see the changes when
+// they next load.
+
+// Runs in pages, so it keeps to itself: `scope` is the page's window,
+// `save(op, key, value)` records a change to the area. Returns the
+// IDBFactory and load(entries), which starts it with the area's entries;
+// requests made before that wait for it.
+function createIndexedDb(scope, save) {
+  var dbs = {};
+  var connections = [];
+  var internal = new WeakMap();
+  var jobs = [], busy = false, ready = false;
+  var tasks = [], channel = new scope.MessageChannel();
+  channel.port1.onmessage = function () {
+    var task = tasks.shift();
+    if (task) task();
+  };
+  function later(task) {
+    tasks.push(task);
+    channel.port2.postMessage(0);
+  }
+  function error(name, message) {
+    return new scope.DOMException(message, name);
+  }
+  function report(err) {
+    if (scope.reportError) scope.reportError(err);
+    else scope.setTimeout(function () { throw err; });
+  }
+  function tag(value) {
+    return Object.prototype.toString.call(value);
+  }
+
+  // ── Keys ──
+  // Types in key order: number, date, string, binary, array; 0 if invalid
+  function keyType(key, seen) {
+    if (typeof key === 'number') return key === key ? 1 : 0;
+    if (typeof key === 'string') return 3;
+    if (tag(key) === '[object Date]') return isNaN(key.getTime()) ? 0 : 2;
+    if (tag(key) === '[object ArrayBuffer]' || ArrayBuffer.isView(key)) return 4;
+    if (Array.isArray(key)) {
+      seen = seen || [];
+      if (seen.indexOf(key) !== -1) return 0;
+      seen.push(key);
+      for (var i = 0; i < key.length; i++) {
+        if (!(i in key) || !keyType(key[i], seen)) return 0;
+      }
+      seen.pop();
+      return 5;
+    }
+    return 0;
+  }
+  function bytes(binary) {
+    return tag(binary) === '[object ArrayBuffer]' ? new Uint8Array(binary) : new Uint8Array(binary.buffer, binary.byteOffset, binary.byteLength);
+  }
+  function cmp(a, b) {
+    var ta = keyType(a), tb = keyType(b), i, c;
+    if (ta !== tb) return ta < tb ? -1 : 1;
+    if (ta === 2) {
+      a = a.getTime();
+      b = b.getTime();
+    } else if (ta === 4) {
+      a = bytes(a);
+      b = bytes(b);
+      for (i = 0; i < a.length && i < b.length; i++) {
+        if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+      }
+      return a.length === b.length ? 0 : a.length < b.length ? -1 : 1;
+    } else if (ta === 5) {
+      for (i = 0; i < a.length && i < b.length; i++) {
+        c = cmp(a[i], b[i]);
+        if (c) return c;
+      }
+      return a.length === b.length ? 0 : a.length < b.length ? -1 : 1;
+    }
+    return a === b ? 0 : a < b ? -1 : 1;
+  }
+  function copyKey(key) {
+    if (tag(key) === '[object Date]') return new Date(key.getTime());
+    if (keyType(key) === 4) return bytes(key).slice().buffer;
+    if (Array.isArray(key)) return key.map(copyKey);
+    return key;
+  }
+  function checkKey(key) {
+    if (!keyType(key)) throw error('DataError', 'The parameter is not a valid key');
+    return copyKey(key);
+  }
+  // {lower, upper, lowerOpen, upperOpen} from a key or an IDBKeyRange
+  function toRange(query, optional) {
+    if (query === null || query === undefined) {
+      if (optional) return null;
+      throw error('DataError', 'No key or key range specified');
+    }
+    if (typeof query === 'object' && 'lowerOpen' in query && 'upperOpen' in query) {
+      return {
+        lower: query.lower === undefined ? undefined : checkKey(query.lower),
+        upper: query.upper === undefined ? undefined : checkKey(query.upper),
+        lowerOpen: !!query.lowerOpen,
+        upperOpen: !!query.upperOpen
+      };
+    }
+    var key = checkKey(query);
+    return { lower: key, upper: key, lowerOpen: false, upperOpen: false };
+  }
+  function inRange(key, range) {
+    if (!range) return true;
+    var c;
+    if (range.lower !== undefined) {
+      c = cmp(key, range.lower);
+      if (c < 0 || (c === 0 && range.lowerOpen)) return false;
+    }
+    if (range.upper !== undefined) {
+      c = cmp(key, range.upper);
+      if (c > 0 || (c === 0 && range.upperOpen)) return false;
+    }
+    return true;
+  }
+
+  // ── Key paths ──
+  function validPath(path) {
+    if (Array.isArray(path)) {
+      return path.length > 0 && path.every(function (p) { return typeof p === 'string' && validPath(p); });
+    }
+    return typeof path === 'string' && (path === '' || /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(path));
+  }
+  function evalPath(value, path) {
+    if (Array.isArray(path)) {
+      var out = [];
+      for (var i = 0; i < path.length; i++) {
+        var part = evalPath(value, path[i]);
+        if (part === undefined) return undefined;
+        out.push(part);
+      }
+      return out;
+    }
+    if (path === '') return value;
+    var names = path.split('.');
+    for (var j = 0; j < names.length; j++) {
+      if (value === null || value === undefined || (typeof value !== 'object' && typeof value !== 'string')) return undefined;
+      if (!(names[j] in Object(value))) return undefined;
+      value = value[names[j]];
+    }
+    return value;
+  }
+  function keyAt(value, path) {
+    var key = evalPath(value, path);
+    return key !== undefined && keyType(key) ? copyKey(key) : undefined;
+  }
+  // Where a generated key would go in `value`, or null when it can't
+  function injectTarget(value, path) {
+    var names = path.split('.'), last = names.pop();
+    for (var i = 0; i < names.length; i++) {
+      if (value === null || typeof value !== 'object') return null;
+      if (value[names[i]] === undefined) return { parent: value, names: names.slice(i), last: last };
+      value = value[names[i]];
+    }
+    return value !== null && typeof value === 'object' ? { parent: value, names: [], last: last } : null;
+  }
+  function injectKey(value, path, key) {
+    var at = injectTarget(value, path), parent = at.parent;
+    at.names.forEach(function (name) { parent = parent[name] = {}; });
+    parent[at.last] = key;
+  }
+
+  // ── Values ──
+  // JSON-safe form of a value. Plain strings, booleans, null and finite
+  // numbers stay as they are; everything else is a tagged array. Blobs are
+  // collected in `blobs` and stand in as their index until they're read.
+  function encode(value, blobs, seen) {
+    if (value === null || typeof value === 'string' || typeof value === 'boolean') return value;
+    if (typeof value === 'number') {
+      if (value === 0 && 1 / value < 0) return ['n', '-0'];
+      return isFinite(value) ? value : ['n', String(value)];
+    }
+    if (value === undefined) return ['u'];
+    if (typeof value === 'bigint') return ['i', String(value)];
+    if (typeof value !== 'object') throw error('DataCloneError', 'The value can\'t be stored');
+    if (seen.indexOf(value) !== -1) throw error('DataCloneError', 'Values that contain themselves can\'t be stored');
+    var type = tag(value), out, i;
+    seen.push(value);
+    if (Array.isArray(value)) {
+      out = ['a'];
+      for (i = 0; i < value.length; i++) out.push(encode(value[i], blobs, seen));
+    } else if (type === '[object Date]') {
+      out = ['d', String(value.getTime())];
+    } else if (type === '[object RegExp]') {
+      out = ['r', value.source, value.flags];
+    } else if (type === '[object Map]') {
+      var keys = [], values = [];
+      value.forEach(function (v, k) { keys.push(k); values.push(v); });
+      out = ['m', encode(keys, blobs, seen), encode(values, blobs, seen)];
+    } else if (type === '[object Set]') {
+      var items = [];
+      value.forEach(function (v) { items.push(v); });
+      out = ['s', encode(items, blobs, seen)];
+    } else if (type === '[object ArrayBuffer]') {
+      out = ['b', base64(new Uint8Array(value))];
+    } else if (ArrayBuffer.isView(value)) {
+      out = ['v', type.slice(8, -1), base64(bytes(value))];
+    } else if (scope.Blob && value instanceof scope.Blob) {
+      out = ['B', blobs.length];
+      blobs.push(value);
+    } else if (type === '[object Object]') {
+      var props = {};
+      for (var k in value) {
+        if (Object.prototype.hasOwnProperty.call(value, k)) props[k] = encode(value[k], blobs, seen);
+      }
+      out = ['o', props];
+    } else {
+      throw error('DataCloneError', type.slice(8, -1) + ' objects can\'t be stored');
+    }
+    seen.pop();
+    return out;
+  }
+  function decode(data, blobs) {
+    if (!Array.isArray(data)) return data;
+    switch (data[0]) {
+      case 'n': return Number(data[1]);
+      case 'u': return undefined;
+      case 'i': return BigInt(data[1]);
+      case 'a': return data.slice(1).map(function (item) { return decode(item, blobs); });
+      case 'd': return new Date(Number(data[1]));
+      case 'r': return new RegExp(data[1], data[2]);
+      case 'm': {
+        var map = new Map(), keys = decode(data[1], blobs), values = decode(data[2], blobs);
+        keys.forEach(function (k, i) { map.set(k, values[i]); });
+        return map;
+      }
+      case 's': return new Set(decode(data[1], blobs));
+      case 'b': return unbase64(data[1]).buffer;
+      case 'v': {
+        var raw = unbase64(data[2]), View = scope[data[1]];
+        return data[1] === 'DataView' ? new DataView(raw.buffer) : new View(raw.buffer, 0, raw.byteLength / View.BYTES_PER_ELEMENT);
+      }
+      case 'B':
+        if (typeof data[1] === 'number') return blobs[data[1]];
+        if (data.length > 3) return new scope.File([unbase64(data[1])], data[3], { type: data[2], lastModified: data[4] });
+        return new scope.Blob([unbase64(data[1])], { type: data[2] });
+      case 'o': {
+        var obj = {};
+        for (var k in data[1]) obj[k] = decode(data[1][k], blobs);
+        return obj;
+      }
+    }
+    return undefined;
+  }
+  function base64(data) {
+    var s = '';
+    for (var i = 0; i < data.length; i += 0x8000) s += String.fromCharCode.apply(null, data.subarray(i, i + 0x8000));
+    return scope.btoa(s);
+  }
+  function unbase64(s) {
+    var bin = scope.atob(s), out = new Uint8Array(bin.length);
+    for (var i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+    return out;
+  }
+  function clone(value) {
+    if (scope.structuredClone) {
+      try {
+        return scope.structuredClone(value);
+      } catch (e) {
+        throw error('DataCloneError', e.message);
+      }
+    }
+    var blobs = [];
+    return decode(encode(value, blobs, []), blobs);
+  }
+  // The stored form of a value, or a promise of it while its blobs are read
+  function serialize(value) {
+    var blobs = [], data = encode(value, blobs, []);
+    if (!blobs.length) return JSON.stringify(data);
+    return Promise.all(blobs.map(function (blob) { return new scope.Response(blob).arrayBuffer(); })).then(function (buffers) {
+      return JSON.stringify(data, function (k, v) {
+        if (!Array.isArray(v) || v[0] !== 'B' || typeof v[1] !== 'number') return v;
+        var blob = blobs[v[1]], out = ['B', base64(new Uint8Array(buffers[v[1]])), blob.type];
+        return scope.File && blob instanceof scope.File ? out.concat([blob.name, blob.lastModified]) : out;
+      });
+    });
+  }
+  // Changes go out in order, so ones behind a value still being read wait
+  var sending = 0, outbox = Promise.resolve();
+  function send(op, key, value) {
+    if (!sending && !(value && typeof value.then === 'function')) return save(op, key, value);
+    sending++;
+    outbox = outbox.then(function () { return value; }).then(function (v) { save(op, key, v); }, function () {}).then(function () { sending--; });
+  }
+  function recordKey(dbName, storeName, key) {
+    return JSON.stringify([dbName, storeName, encode(key, [], [])]);
+  }
+  function schemaOf(db) {
+    var stores = {};
+    Object.keys(db.stores).forEach(function (name) {
+      var store = db.stores[name], indexes = {};
+      Object.keys(store.indexes).forEach(function (i) {
+        var index = store.indexes[i];
+        indexes[i] = { keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+      });
+      stores[name] = { keyPath: store.keyPath, autoIncrement: store.autoIncrement, next: store.next, indexes: indexes };
+    });
+    return { version: db.version, stores: stores };
+  }
+
+  // ── Records ──
+  function newStore(name, keyPath, autoIncrement, next) {
+    return { name: name, keyPath: keyPath, autoIncrement: autoIncrement, next: next || 1, indexes: {}, records: [], rev: 0, cache: {} };
+  }
+  function newIndex(name, keyPath, unique, multiEntry) {
+    return { name: name, keyPath: keyPath, unique: !!unique, multiEntry: !!multiEntry };
+  }
+  // First position in `list` (sorted by key, then primary key) at or
+  // after (key, primary), or after it when `strict`
+  function firstAt(list, key, primary, strict) {
+    var lo = 0, hi = list.length;
+    while (lo < hi) {
+      var mid = (lo + hi) >> 1, c = cmp(list[mid].key, key);
+      if (!c && primary !== undefined) c = cmp(list[mid].primaryKey, primary);
+      if (c < 0 || (c === 0 && strict)) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+  function getRecord(store, key) {
+    var i = firstAt(store.records, key), record = store.records[i];
+    return record && cmp(record.key, key) === 0 ? record : null;
+  }
+  function setRecord(store, key, value) {
+    var i = firstAt(store.records, key), record = store.records[i];
+    if (record && cmp(record.key, key) === 0) record.value = value;
+    else store.records.splice(i, 0, { key: key, primaryKey: key, value: value });
+    store.rev++;
+  }
+  function removeRecord(store, key) {
+    var i = firstAt(store.records, key), record = store.records[i];
+    if (record && cmp(record.key, key) === 0) store.records.splice(i, 1);
+    store.rev++;
+  }
+  function indexKeys(index, value) {
+    var key = evalPath(value, index.keyPath);
+    if (index.multiEntry && Array.isArray(key)) {
+      var keys = [];
+      key.forEach(function (k) {
+        if (keyType(k) && !keys.some(function (other) { return cmp(k, other) === 0; })) keys.push(copyKey(k));
+      });
+      return keys;
+    }
+    return key !== undefined && keyType(key) ? [copyKey(key)] : [];
+  }
+  // A store's records, or an index's entries, as {key, primaryKey, record}
+  // sorted by key and primary key
+  function entriesOf(store, index) {
+    if (!index) return store.records.map(function (record) { return { key: record.key, primaryKey: record.key, record: record }; });
+    var cached = store.cache[index.name];
+    if (cached && cached.rev === store.rev) return cached.list;
+    var list = [];
+    store.records.forEach(function (record) {
+      indexKeys(index, record.value).forEach(function (key) { list.push({ key: key, primaryKey: record.key, record: record }); });
+    });
+    list.sort(function (a, b) { return cmp(a.key, b.key) || cmp(a.primaryKey, b.primaryKey); });
+    store.cache[index.name] = { rev: store.rev, list: list };
+    return list;
+  }
+  function matching(list, range, count) {
+    var out = [], i = range && range.lower !== undefined ? firstAt(list, range.lower, undefined, range.lowerOpen) : 0;
+    for (; i < list.length && (!count || out.length < count) && inRange(list[i].key, range); i++) out.push(list[i]);
+    return out;
+  }
+
+  // ── Events and requests ──
+  function eventTarget(proto) {
+    var target = new scope.EventTarget();
+    Object.setPrototypeOf(target, proto);
+    return target;
+  }
+  // Fires `type` at `target` and its on<type> handler; returns whether the
+  // default action wasn't prevented
+  function fire(target, type, props, cancelable) {
+    var event = new scope.Event(type, { cancelable: !!cancelable });
+    for (var k in props) Object.defineProperty(event, k, { value: props[k] });
+    target.dispatchEvent(event);
+    var handler = target['on' + type];
+    if (typeof handler === 'function') handler.call(target, event);
+    return !event.defaultPrevented;
+  }
+  function fireSafe(target, type, props) {
+    try {
+      fire(target, type, props);
+    } catch (e) {
+      report(e);
+    }
+  }
+  var RequestProto = Object.create(scope.EventTarget.prototype);
+  function request(source, tx) {
+    var r = eventTarget(RequestProto);
+    r.source = source;
+    r.transaction = tx;
+    r.readyState = 'pending';
+    r.result = undefined;
+    r.error = null;
+    r.onsuccess = r.onerror = null;
+    return r;
+  }
+  function list(names) {
+    var out = names.slice().sort();
+    out.contains = function (name) { return out.indexOf(name) !== -1; };
+    out.item = function (i) { return out[i] === undefined ? null : out[i]; };
+    return out;
+  }
+
+  // ── Scheduling ──
+  function enqueue(job) {
+    jobs.push(job);
+    pump();
+  }
+  // Jobs start in a task of their own, once the caller has had the chance
+  // to set its handlers
+  function pump() {
+    if (busy || !ready || !jobs.length) return;
+    busy = true;
+    later(function () {
+      jobs.shift()(function () {
+        busy = false;
+        pump();
+      });
+    });
+  }
+
+  // ── Transactions ──
+  var TransactionProto = Object.create(scope.EventTarget.prototype, {
+    objectStoreNames: { get: function () {
+      var s = internal.get(this);
+      return list(s.mode === 'versionchange' ? Object.keys(dbs[s.db].stores) : s.names);
+    } },
+    mode: { get: function () { return internal.get(this).mode; } }
+  });
+  TransactionProto.objectStore = function (name) {
+    var s = internal.get(this);
+    if (s.finished) throw error('InvalidStateError', 'The transaction has finished');
+    if (!this.objectStoreNames.contains(name)) throw error('NotFoundError', 'No object store named ' + name + ' in this transaction');
+    if (!s.handles[name]) s.handles[name] = storeHandle(this, name);
+    return s.handles[name];
+  };
+  TransactionProto.abort = function () {
+    if (internal.get(this).finished) throw error('InvalidStateError', 'The transaction has finished');
+    abort(this, null);
+  };
+  TransactionProto.commit = function () {
+    var s = internal.get(this);
+    if (s.finished) throw error('InvalidStateError', 'The transaction has finished');
+    s.committing = true;
+  };
+  function transaction(conn, names, mode) {
+    var tx = eventTarget(TransactionProto);
+    tx.db = conn;
+    tx.error = null;
+    tx.durability = 'default';
+    tx.oncomplete = tx.onerror = tx.onabort = null;
+    internal.set(tx, {
+      db: conn.name, names: names, mode: mode, queue: [], undo: [], touched: {}, schema: false, handles: {},
+      started: false, finished: false, committing: false, done: null
+    });
+    return tx;
+  }
+  function state(tx) {
+    var s = internal.get(tx);
+    if (s.finished || s.committing) throw error('TransactionInactiveError', 'The transaction has finished');
+    return s;
+  }
+  function ask(tx, source, run) {
+    var r = request(source, tx);
+    state(tx).queue.push({ request: r, run: run });
+    return r;
+  }
+  function step(tx) {
+    var s = internal.get(tx);
+    if (s.finished) return;
+    var op = s.queue.shift();
+    if (!op) return commit(tx);
+    var r = op.request, result;
+    try {
+      result = op.run();
+    } catch (err) {
+      r.readyState = 'done';
+      r.result = undefined;
+      r.error = err;
+      var proceed;
+      try {
+        proceed = fire(r, 'error', null, true) && fire(tx, 'error', null, true);
+      } catch (e) {
+        report(e);
+        proceed = true;
+      }
+      if (proceed) return abort(tx, err);
+      return later(function () { step(tx); });
+    }
+    r.readyState = 'done';
+    r.result = result;
+    r.error = null;
+    try {
+      fire(r, 'success');
+    } catch (e) {
+      report(e);
+      return abort(tx, error('AbortError', 'A request handler threw an exception'));
+    }
+    later(function () { step(tx); });
+  }
+  function commit(tx) {
+    var s = internal.get(tx), db = dbs[s.db];
+    s.finished = true;
+    if (db) {
+      if (s.schema) send('set', JSON.stringify([s.db]), JSON.stringify(schemaOf(db)));
+      Object.keys(s.touched).forEach(function (k) {
+        var t = s.touched[k], store = db.stores[t.store], record = store && getRecord(store, t.key);
+        if (record) send('set', k, serialize(record.value));
+        else send('remove', k);
+      });
+    }
+    fireSafe(tx, 'complete');
+    if (s.done) s.done(false);
+  }
+  function abort(tx, err) {
+    var s = internal.get(tx);
+    if (s.finished) return;
+    s.finished = true;
+    tx.error = err;
+    for (var i = s.undo.length - 1; i >= 0; i--) s.undo[i]();
+    s.queue.forEach(function (op) {
+      op.request.readyState = 'done';
+      op.request.error = error('AbortError', 'The transaction was aborted');
+      fireSafe(op.request, 'error');
+    });
+    s.queue = [];
+    later(function () {
+      fireSafe(tx, 'abort');
+      if (s.done) s.done(true);
+    });
+  }
+  function touch(s, store, key) {
+    s.touched[recordKey(s.db, store.name, key)] = { store: store.name, key: key };
+  }
+  function writeRecord(s, store, key, value) {
+    var old = getRecord(store, key), prior = old && old.value;
+    setRecord(store, key, value);
+    s.undo.push(function () {
+      if (old) setRecord(store, key, prior);
+      else removeRecord(store, key);
+    });
+    touch(s, store, key);
+  }
+  function deleteRecord(s, store, key) {
+    var old = getRecord(store, key);
+    if (!old) return;
+    removeRecord(store, key);
+    s.undo.push(function () { setRecord(store, key, old.value); });
+    touch(s, store, key);
+  }
+  function setNext(s, store, next) {
+    var old = store.next;
+    store.next = Math.min(next, 9007199254740993);
+    s.undo.push(function () { store.next = old; });
+    s.schema = true;
+  }
+
+  // ── Object stores and indexes ──
+  // Handles name a store (and index) in a transaction; the data is looked
+  // up on each use, since a version change can replace it
+  function storeOf(h) {
+    var db = dbs[internal.get(h.tx).db], store = db && db.stores[h.store];
+    if (!store || (h.created && h.created !== store)) throw error('InvalidStateError', 'The object store has been deleted');
+    return store;
+  }
+  function indexOf(h) {
+    var store = storeOf(h), index = store.indexes[h.index];
+    if (!index || (h.indexCreated && h.indexCreated !== index)) throw error('InvalidStateError', 'The index has been deleted');
+    return index;
+  }
+  function writable(tx) {
+    if (internal.get(tx).mode === 'readonly') throw error('ReadOnlyError', 'The transaction is read-only');
+  }
+  function upgrading(tx) {
+    var s = state(tx);
+    if (s.mode !== 'versionchange') throw error('InvalidStateError', 'Not in a version change transaction');
+    return s;
+  }
+  function putRecord(tx, h, value, key, noOverwrite) {
+    var s = internal.get(tx), store = storeOf(h);
+    if (key === undefined) {
+      if (store.next > 9007199254740992) throw error('ConstraintError', 'The key generator has run out of keys');
+      key = store.next;
+      setNext(s, store, key + 1);
+      if (store.keyPath !== null) injectKey(value, store.keyPath, key);
+    } else if (store.autoIncrement && typeof key === 'number' && key >= store.next) {
+      setNext(s, store, Math.floor(key) + 1);
+    }
+    if (noOverwrite && getRecord(store, key)) throw error('ConstraintError', 'A record with this key already exists');
+    Object.keys(store.indexes).forEach(function (name) {
+      var index = store.indexes[name];
+      if (!index.unique) return;
+      var entries = entriesOf(store, index);
+      indexKeys(index, value).forEach(function (k) {
+        var clash = entries[firstAt(entries, k)];
+        if (clash && cmp(clash.key, k) === 0 && cmp(clash.primaryKey, key) !== 0) {
+          throw error('ConstraintError', 'Index ' + name + ' already has a record with this key');
+        }
+      });
+    });
+    writeRecord(s, store, key, value);
+    return copyKey(key);
+  }
+  function storeValue(h, value, key, noOverwrite) {
+    writable(h.tx);
+    state(h.tx);
+    var store = storeOf(h);
+    if (store.keyPath !== null && key !== undefined) throw error('DataError', 'The object store uses in-line keys');
+    if (store.keyPath === null && !store.autoIncrement && key === undefined) throw error('DataError', 'No key given for an object store without a key generator');
+    if (key !== undefined) key = checkKey(key);
+    var copy = clone(value);
+    if (store.keyPath !== null) {
+      key = keyAt(copy, store.keyPath);
+      if (key === undefined) {
+        if (evalPath(copy, store.keyPath) !== undefined || !store.autoIncrement || !injectTarget(copy, store.keyPath)) {
+          throw error('DataError', 'The value has no valid key at the key path');
+        }
+      }
+    }
+    return ask(h.tx, h.handle, function () { return putRecord(h.tx, h, copy, key, noOverwrite); });
+  }
+
+  // Queries shared by stores and indexes
+  var queries = {
+    get: function (query) {
+      var h = internal.get(this), range = toRange(query);
+      return ask(h.tx, this, function () {
+        var e = matching(entriesOf(storeOf(h), h.index && indexOf(h)), range, 1)[0];
+        return e ? clone(e.record.value) : undefined;
+      });
+    },
+    getKey: function (query) {
+      var h = internal.get(this), range = toRange(query);
+      return ask(h.tx, this, function () {
+        var e = matching(entriesOf(storeOf(h), h.index && indexOf(h)), range, 1)[0];
+        return e ? copyKey(e.primaryKey) : undefined;
+      });
+    },
+    getAll: function (query, count) {
+      var h = internal.get(this), range = toRange(query, true);
+      return ask(h.tx, this, function () {
+        return matching(entriesOf(storeOf(h), h.index && indexOf(h)), range, count).map(function (e) { return clone(e.record.value); });
+      });
+    },
+    getAllKeys: function (query, count) {
+      var h = internal.get(this), range = toRange(query, true);
+      return ask(h.tx, this, function () {
+        return matching(entriesOf(storeOf(h), h.index && indexOf(h)), range, count).map(function (e) { return copyKey(e.primaryKey); });
+      });
+    },
+    count: function (query) {
+      var h = internal.get(this), range = toRange(query, true);
+      return ask(h.tx, this, function () {
+        return matching(entriesOf(storeOf(h), h.index && indexOf(h)), range).length;
+      });
+    },
+    openCursor: function (query, direction) {
+      return openCursor(this, query, direction, true);
+    },
+    openKeyCursor: function (query, direction) {
+      return openCursor(this, query, direction, false);
+    }
+  };
+
+  var StoreProto = Object.create(Object.prototype, {
+    name: { get: function () { return internal.get(this).store; } },
+    keyPath: { get: function () { var p = storeOf(internal.get(this)).keyPath; return Array.isArray(p) ? p.slice() : p; } },
+    autoIncrement: { get: function () { return storeOf(internal.get(this)).autoIncrement; } },
+    indexNames: { get: function () { return list(Object.keys(storeOf(internal.get(this)).indexes)); } },
+    transaction: { get: function () { return internal.get(this).tx; } }
+  });
+  Object.keys(queries).forEach(function (k) { StoreProto[k] = queries[k]; });
+  StoreProto.put = function (value, key) {
+    return storeValue(internal.get(this), value, key, false);
+  };
+  StoreProto.add = function (value, key) {
+    return storeValue(internal.get(this), value, key, true);
+  };
+  StoreProto['delete'] = function (query) {
+    var h = internal.get(this);
+    writable(h.tx);
+    var range = toRange(query);
+    return ask(h.tx, this, function () {
+      var store = storeOf(h), s = internal.get(h.tx);
+      matching(entriesOf(store), range).forEach(function (e) { deleteRecord(s, store, e.key); });
+    });
+  };
+  StoreProto.clear = function () {
+    var h = internal.get(this);
+    writable(h.tx);
+    return ask(h.tx, this, function () {
+      var store = storeOf(h), s = internal.get(h.tx);
+      store.records.slice().forEach(function (record) { deleteRecord(s, store, record.key); });
+    });
+  };
+  StoreProto.index = function (name) {
+    var h = internal.get(this);
+    if (internal.get(h.tx).finished) throw error('InvalidStateError', 'The transaction has finished');
+    var index = storeOf(h).indexes[name];
+    if (!index) throw error('NotFoundError', 'No index named ' + name);
+    return indexHandle(this, name, index);
+  };
+  StoreProto.createIndex = function (name, keyPath, options) {
+    var h = internal.get(this), s = upgrading(h.tx), store = storeOf(h);
+    name = String(name);
+    options = options || {};
+    if (store.indexes[name]) throw error('ConstraintError', 'An index named ' + name + ' already exists');
+    if (!validPath(keyPath)) throw error('SyntaxError', 'Invalid key path');
+    if (options.multiEntry && Array.isArray(keyPath)) throw error('InvalidAccessError', 'multiEntry indexes need a single key path');
+    var index = store.indexes[name] = newIndex(name, Array.isArray(keyPath) ? keyPath.slice() : keyPath, options.unique, options.multiEntry);
+    s.undo.push(function () { delete store.indexes[name]; delete store.cache[name]; });
+    s.schema = true;
+    return indexHandle(this, name, index);
+  };
+  StoreProto.deleteIndex = function (name) {
+    var h = internal.get(this), s = upgrading(h.tx), store = storeOf(h), index = store.indexes[name];
+    if (!index) throw error('NotFoundError', 'No index named ' + name);
+    delete store.indexes[name];
+    delete store.cache[name];
+    s.undo.push(function () { store.indexes[name] = index; });
+    s.schema = true;
+  };
+  function storeHandle(tx, name, created) {
+    var handle = Object.create(StoreProto);
+    internal.set(handle, { tx: tx, store: name, index: null, handle: handle, created: created || null });
+    return handle;
+  }
+
+  var IndexProto = Object.create(Object.prototype, {
+    name: { get: function () { return internal.get(this).index; } },
+    keyPath: { get: function () { var p = indexOf(internal.get(this)).keyPath; return Array.isArray(p) ? p.slice() : p; } },
+    unique: { get: function () { return indexOf(internal.get(this)).unique; } },
+    multiEntry: { get: function () { return indexOf(internal.get(this)).multiEntry; } },
+    objectStore: { get: function () { return internal.get(this).objectStore; } }
+  });
+  Object.keys(queries).forEach(function (k) { IndexProto[k] = queries[k]; });
+  function indexHandle(storeHandle, name, index) {
+    var h = internal.get(storeHandle), handle = Object.create(IndexProto);
+    internal.set(handle, { tx: h.tx, store: h.store, index: name, handle: storeHandle, objectStore: storeHandle, created: h.created, indexCreated: index });
+    return handle;
+  }
+
+  // ── Cursors ──
+  var CursorProto = {};
+  CursorProto.advance = function (count) {
+    count = Math.floor(Number(count));
+    if (!(count > 0)) throw new TypeError('advance() needs a positive count');
+    resume(this, count);
+  };
+  CursorProto['continue'] = function (key) {
+    var c = internal.get(this);
+    if (key !== undefined) {
+      key = checkKey(key);
+      var c2 = cmp(key, this.key);
+      if (c.forward ? c2 <= 0 : c2 >= 0) throw error('DataError', 'The key is not past the cursor');
+    }
+    resume(this, 1, key);
+  };
+  CursorProto.continuePrimaryKey = function (key, primaryKey) {
+    var c = internal.get(this);
+    if (!c.h.index || /unique$/.test(this.direction)) throw error('InvalidAccessError', 'Only for index cursors without unique directions');
+    key = checkKey(key);
+    primaryKey = checkKey(primaryKey);
+    var order = cmp(key, this.key) || cmp(primaryKey, this.primaryKey);
+    if (c.forward ? order <= 0 : order >= 0) throw error('DataError', 'The key is not past the cursor');
+    resume(this, 1, key, primaryKey);
+  };
+  CursorProto.update = function (value) {
+    var c = internal.get(this), h = c.h;
+    writable(h.tx);
+    state(h.tx);
+    if (!c.withValue || !c.got) throw error('InvalidStateError', 'The cursor isn\'t on a record');
+    var store = storeOf(h), copy = clone(value), key = this.primaryKey;
+    if (store.keyPath !== null) {
+      var inline = keyAt(copy, store.keyPath);
+      if (inline === undefined || cmp(inline, key) !== 0) throw error('DataError', 'The value\'s key doesn\'t match the cursor');
+    }
+    var storeH = { tx: h.tx, store: h.store, created: null };
+    return ask(h.tx, this, function () { return putRecord(h.tx, storeH, copy, key, false); });
+  };
+  CursorProto['delete'] = function () {
+    var c = internal.get(this), h = c.h, key = this.primaryKey;
+    writable(h.tx);
+    if (!c.withValue || !c.got) throw error('InvalidStateError', 'The cursor isn\'t on a record');
+    return ask(h.tx, this, function () {
+      var store = storeOf({ tx: h.tx, store: h.store, created: null });
+      deleteRecord(internal.get(h.tx), store, key);
+    });
+  };
+  function openCursor(source, query, direction, withValue) {
+    var h = internal.get(source);
+    direction = direction === undefined ? 'next' : String(direction);
+    if (['next', 'nextunique', 'prev', 'prevunique'].indexOf(direction) === -1) throw new TypeError('Invalid cursor direction');
+    var range = toRange(query, true);
+    var cursor = Object.create(CursorProto);
+    cursor.source = source;
+    cursor.direction = direction;
+    cursor.key = cursor.primaryKey = undefined;
+    if (withValue) cursor.value = undefined;
+    internal.set(cursor, { h: h, range: range, forward: direction.indexOf('next') === 0, withValue: withValue, started: false, got: false, request: null });
+    var r = ask(h.tx, source, function () { return move(cursor, 1); });
+    internal.get(cursor).request = cursor.request = r;
+    return r;
+  }
+  function resume(cursor, count, key, primaryKey) {
+    var c = internal.get(cursor), s = state(c.h.tx);
+    if (!c.got) throw error('InvalidStateError', 'The cursor is already moving or done');
+    c.got = false;
+    c.request.readyState = 'pending';
+    s.queue.push({ request: c.request, run: function () { return move(cursor, count, key, primaryKey); } });
+  }
+  function nextEntry(c, list, key, primaryKey) {
+    var range = c.range, unique = /unique$/.test(c.cursor.direction), i;
+    if (c.forward) {
+      if (!c.started) i = range && range.lower !== undefined ? firstAt(list, range.lower, undefined, range.lowerOpen) : 0;
+      else i = unique ? firstAt(list, c.key, undefined, true) : firstAt(list, c.key, c.primaryKey, true);
+      if (key !== undefined) i = Math.max(i, firstAt(list, key, primaryKey, false));
+      return i < list.length && inRange(list[i].key, range) ? list[i] : null;
+    }
+    if (!c.started) i = range && range.upper !== undefined ? firstAt(list, range.upper, undefined, !range.upperOpen) - 1 : list.length - 1;
+    else i = unique ? firstAt(list, c.key, undefined, false) - 1 : firstAt(list, c.key, c.primaryKey, false) - 1;
+    if (key !== undefined) i = Math.min(i, firstAt(list, key, primaryKey, true) - 1);
+    if (i < 0 || !inRange(list[i].key, range)) return null;
+    if (c.cursor.direction === 'prevunique') i = firstAt(list, list[i].key);
+    return list[i];
+  }
+  function move(cursor, count, key, primaryKey) {
+    var c = internal.get(cursor), h = c.h, list = entriesOf(storeOf(h), h.index && indexOf(h)), e = null;
+    c.cursor = cursor;
+    for (var n = 0; n < count; n++) {
+      e = nextEntry(c, list, n === 0 ? key : undefined, n === 0 ? primaryKey : undefined);
+      c.started = true;
+      if (!e) break;
+      c.key = e.key;
+      c.primaryKey = e.primaryKey;
+    }
+    if (!e) {
+      cursor.key = cursor.primaryKey = undefined;
+      if (c.withValue) cursor.value = undefined;
+      return null;
+    }
+    cursor.key = copyKey(e.key);
+    cursor.primaryKey = copyKey(e.primaryKey);
+    if (c.withValue) cursor.value = clone(e.record.value);
+    c.got = true;
+    return cursor;
+  }
+
+  // ── Connections ──
+  var DatabaseProto = Object.create(scope.EventTarget.prototype, {
+    version: { get: function () { var db = dbs[this.name]; return db ? db.version : internal.get(this).version; } },
+    objectStoreNames: { get: function () { var db = dbs[this.name]; return list(db ? Object.keys(db.stores) : []); } }
+  });
+  DatabaseProto.createObjectStore = function (name, options) {
+    var c = internal.get(this), tx = c.upgrade;
+    if (!tx) throw error('InvalidStateError', 'Not in a version change transaction');
+    var s = upgrading(tx), db = dbs[this.name];
+    name = String(name);
+    options = options || {};
+    var keyPath = options.keyPath === undefined ? null : options.keyPath;
+    if (db.stores[name]) throw error('ConstraintError', 'An object store named ' + name + ' already exists');
+    if (keyPath !== null && !validPath(keyPath)) throw error('SyntaxError', 'Invalid key path');
+    if (options.autoIncrement && (keyPath === '' || Array.isArray(keyPath))) throw error('InvalidAccessError', 'A key generator needs a single, non-empty key path');
+    var store = db.stores[name] = newStore(name, Array.isArray(keyPath) ? keyPath.slice() : keyPath, !!options.autoIncrement);
+    s.undo.push(function () { if (db.stores[name] === store) delete db.stores[name]; });
+    s.schema = true;
+    var handle = storeHandle(tx, name, store);
+    s.handles[name] = handle;
+    return handle;
+  };
+  DatabaseProto.deleteObjectStore = function (name) {
+    var c = internal.get(this), tx = c.upgrade;
+    if (!tx) throw error('InvalidStateError', 'Not in a version change transaction');
+    var s = upgrading(tx), db = dbs[this.name], store = db.stores[name];
+    if (!store) throw error('NotFoundError', 'No object store named ' + name);
+    store.records.forEach(function (record) { touch(s, store, record.key); });
+    delete db.stores[name];
+    delete s.handles[name];
+    s.undo.push(function () { db.stores[name] = store; });
+    s.schema = true;
+  };
+  DatabaseProto.transaction = function (names, mode) {
+    var c = internal.get(this), db = dbs[this.name];
+    if (c.closed || !db) throw error('InvalidStateError', 'The connection is closed');
+    if (c.upgrade) throw error('InvalidStateError', 'A version change transaction is running');
+    names = typeof names === 'string' ? [names] : Array.prototype.slice.call(names).map(String);
+    names = names.filter(function (n, i) { return names.indexOf(n) === i; });
+    if (!names.length) throw error('InvalidAccessError', 'No object stores named');
+    names.forEach(function (n) {
+      if (!db.stores[n]) throw error('NotFoundError', 'No object store named ' + n);
+    });
+    mode = mode === undefined ? 'readonly' : mode;
+    if (mode !== 'readonly' && mode !== 'readwrite') throw new TypeError('Invalid transaction mode');
+    var tx = transaction(this, names, mode), s = internal.get(tx);
+    enqueue(function (done) {
+      s.done = done;
+      if (s.finished) return done();
+      s.started = true;
+      later(function () { step(tx); });
+    });
+    return tx;
+  };
+  DatabaseProto.close = function () {
+    internal.get(this).closed = true;
+    var i = connections.indexOf(this);
+    if (i !== -1) connections.splice(i, 1);
+  };
+  function connect(name, version) {
+    var conn = eventTarget(DatabaseProto);
+    conn.name = name;
+    conn.onabort = conn.onclose = conn.onerror = conn.onversionchange = null;
+    internal.set(conn, { closed: false, upgrade: null, version: version });
+    return conn;
+  }
+  function others(name, except, oldVersion, newVersion) {
+    connections.slice().forEach(function (conn) {
+      if (conn.name === name && conn !== except) fireSafe(conn, 'versionchange', { oldVersion: oldVersion, newVersion: newVersion });
+    });
+  }
+
+  var factory = {
+    open: function (name, version) {
+      name = String(name);
+      if (version !== undefined) {
+        version = Number(version);
+        if (!(version >= 1) || version !== Math.floor(version) || version > 9007199254740991) throw new TypeError('Invalid version');
+      }
+      var r = request(null, null);
+      r.onupgradeneeded = r.onblocked = null;
+      enqueue(function (done) {
+        var db = dbs[name], old = db ? db.version : 0, v = version === undefined ? (old || 1) : version;
+        if (v < old) {
+          r.readyState = 'done';
+          r.error = error('VersionError', 'The database is at a higher version');
+          fireSafe(r, 'error');
+          return done();
+        }
+        if (!db) db = dbs[name] = { name: name, version: 0, stores: {} };
+        var conn = connect(name, v);
+        if (v === old) {
+          connections.push(conn);
+          r.readyState = 'done';
+          r.result = conn;
+          fireSafe(r, 'success');
+          return done();
+        }
+        others(name, conn, old, v);
+        connections.push(conn);
+        var tx = transaction(conn, [], 'versionchange'), s = internal.get(tx), c = internal.get(conn);
+        db.version = v;
+        s.undo.push(function () { db.version = old; });
+        s.schema = true;
+        s.started = true;
+        c.upgrade = tx;
+        r.readyState = 'done';
+        r.result = conn;
+        r.transaction = tx;
+        s.done = function (aborted) {
+          c.upgrade = null;
+          r.transaction = null;
+          if (aborted) {
+            if (!old) delete dbs[name];
+            conn.close();
+            r.result = undefined;
+            r.error = error('AbortError', 'The version change was aborted');
+            fireSafe(r, 'error');
+          } else {
+            fireSafe(r, 'success');
+          }
+          done();
+        };
+        try {
+          fire(r, 'upgradeneeded', { oldVersion: old, newVersion: v });
+        } catch (e) {
+          report(e);
+          return abort(tx, error('AbortError', 'The upgradeneeded handler threw an exception'));
+        }
+        later(function () { step(tx); });
+      });
+      return r;
+    },
+    deleteDatabase: function (name) {
+      name = String(name);
+      var r = request(null, null);
+      r.onblocked = null;
+      enqueue(function (done) {
+        var db = dbs[name], old = db ? db.version : 0;
+        if (db) {
+          others(name, null, old, null);
+          connections.slice().forEach(function (conn) {
+            if (conn.name === name) conn.close();
+          });
+          Object.keys(db.stores).forEach(function (storeName) {
+            db.stores[storeName].records.forEach(function (record) { send('remove', recordKey(name, storeName, record.key)); });
+          });
+          send('remove', JSON.stringify([name]));
+          delete dbs[name];
+        }
+        r.readyState = 'done';
+        fireSafe(r, 'success', { oldVersion: old, newVersion: null });
+        done();
+      });
+      return r;
+    },
+    databases: function () {
+      return new Promise(function (resolve) {
+        enqueue(function (done) {
+          resolve(Object.keys(dbs).map(function (name) { return { name: name, version: dbs[name].version }; }));
+          done();
+        });
+      });
+    },
+    cmp: function (a, b) {
+      return cmp(checkKey(a), checkKey(b));
+    }
+  };
+
+  function load(entries) {
+    var records = [];
+    Object.keys(entries || {}).forEach(function (k) {
+      try {
+        var path = JSON.parse(k);
+        if (path.length === 1) {
+          var schema = JSON.parse(entries[k]), db = dbs[path[0]] = { name: path[0], version: schema.version, stores: {} };
+          Object.keys(schema.stores).forEach(function (name) {
+            var info = schema.stores[name], store = db.stores[name] = newStore(name, info.keyPath, info.autoIncrement, info.next);
+            Object.keys(info.indexes).forEach(function (i) {
+              var index = info.indexes[i];
+              store.indexes[i] = newIndex(i, index.keyPath, index.unique, index.multiEntry);
+            });
+          });
+        } else if (path.length === 3) {
+          records.push([path, entries[k]]);
+        }
+      } catch (e) {}
+    });
+    records.forEach(function (entry) {
+      var path = entry[0], db = dbs[path[0]], store = db && db.stores[path[1]];
+      if (!store) return;
+      try {
+        var key = decode(path[2]);
+        store.records.push({ key: key, primaryKey: key, value: decode(JSON.parse(entry[1]), []) });
+      } catch (e) {}
+    });
+    Object.keys(dbs).forEach(function (name) {
+      Object.keys(dbs[name].stores).forEach(function (storeName) {
+        dbs[name].stores[storeName].records.sort(function (a, b) { return cmp(a.key, b.key); });
+      });
+    });
+    ready = true;
+    pump();
+  }
+
+  return { indexedDB: factory, load: load };
+}
+
+// JS expression for the page runtime: createIndexedDb(scope, save)
+function browserIndexedDbSource() {
+  return `${createIndexedDb}`;
+}
+
+module.exports = { createIndexedDb, browserIndexedDbSource };
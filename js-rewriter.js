@@ -0,0 +1,332 @@
+const acorn = require('acorn');
+
+// Parser-based rewrite pointing page scripts at Drift's virtual location
+// (the __drift runtime in the injected page script) instead of the real
+// one, which is on Drift's origin:
+//
+//   location, window.location, x.location  ->  __drift.location, __drift.loc(x)
+//   location = url, x.location = url       ->  __drift.navigate(url), __drift.setLoc(x, url)
+//   location += s                          ->  __drift.navigate(__drift.location + (s))
+//   x.location += s                        ->  __drift.setLoc(x, (s), function(l,v){return l+v;})
+//   ({ location } = o), for (x.location of a)
+//                                          ->  ({ location: __drift.target().location } = o),
+//                                              for (__drift.target(x).location of a)
+//
+// __drift.loc(x) is undefined when x is null or undefined, and a chain
+// that could short-circuit before x.location (x?.location.href) goes on
+// with ?. after it, so it still does. ||= and ??= on a location never
+// assign (it's never falsy), so they're left as they are. Local variables
+// and parameters named location are left alone. Scripts that don't parse,
+// or are too large to be worth it, pass through unchanged.
+
+// Larger scripts are streamed through the regex rewrites only
+const MAX_SCRIPT_SIZE = 2 * 1024 * 1024;
+
+const PARSE_OPTIONS = {
+  ecmaVersion: 'latest',
+  allowHashBang: true,
+  allowReturnOutsideFunction: true,
+  allowAwaitOutsideFunction: true
+};
+
+function parse(source) {
+  try {
+    return acorn.parse(source, Object.assign({ sourceType: 'script' }, PARSE_OPTIONS));
+  } catch {
+    return acorn.parse(source, Object.assign({ sourceType: 'module' }, PARSE_OPTIONS));
+  }
+}
+
+function isNode(value) {
+  return value !== null && typeof value === 'object' && typeof value.type === 'string';
+}
+
+// Call visit(node, parent, key) for every node, parents first. `ancestors`
+// holds the path down to the node being visited.
+function walk(node, ancestors, visit) {
+  for (const key of Object.keys(node)) {
+    const value = node[key];
+    const children = Array.isArray(value) ? value : [value];
+    for (const child of children) {
+      if (!isNode(child)) continue;
+      visit(child, node, key);
+      ancestors.push(child);
+      walk(child, ancestors, visit);
+      ancestors.pop();
+    }
+  }
+}
+
+const FUNCTIONS = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+
+function patternBinds(pattern, name) {
+  if (!pattern) return false;
+  switch (pattern.type) {
+    case 'Identifier': return pattern.name === name;
+    case 'ObjectPattern': return pattern.properties.some(p => patternBinds(p.type === 'RestElement' ? p.argument : p.value, name));
+    case 'ArrayPattern': return pattern.elements.some(e => patternBinds(e, name));
+    case 'AssignmentPattern': return patternBinds(pattern.left, name);
+    case 'RestElement': return patternBinds(pattern.argument, name);
+    default: return false;
+  }
+}
+
+function declarationBinds(statement, name, kinds) {
+  if (!statement) return false;
+  if (statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration') {
+    statement = statement.declaration;
+    if (!statement) return false;
+  }
+  if (statement.type === 'VariableDeclaration') {
+    return kinds.includes(statement.kind) && statement.declarations.some(d => patternBinds(d.id, name));
+  }
+  if (statement.type === 'FunctionDeclaration' || statement.type === 'ClassDeclaration') {
+    return !!statement.id && statement.id.name === name;
+  }
+  return false;
+}
+
+// Does a var or function declaration anywhere in this function body (outside
+// nested functions) bind `name`?
+function hoists(node, name) {
+  let found = false;
+  (function scan(n) {
+    for (const key of Object.keys(n)) {
+      if (found) return;
+      const value = n[key];
+      for (const child of Array.isArray(value) ? value : [value]) {
+        if (!isNode(child)) continue;
+        if (child.type === 'VariableDeclaration' && child.kind === 'var' && declarationBinds(child, name, ['var'])) found = true;
+        if (child.type === 'FunctionDeclaration' && child.id && child.id.name === name) found = true;
+        if (!FUNCTIONS.has(child.type) && child.type !== 'ClassBody') scan(child);
+      }
+    }
+  })(node);
+  return found;
+}
+
+// Does this node open a scope with its own binding for `name`?
+function bindsName(node, name) {
+  switch (node.type) {
+    case 'Program':
+    case 'BlockStatement':
+    case 'StaticBlock':
+      return node.body.some(s => declarationBinds(s, name, ['let', 'const', 'var']));
+    case 'SwitchStatement':
+      return node.cases.some(c => c.consequent.some(s => declarationBinds(s, name, ['let', 'const'])));
+    case 'ForStatement':
+      return declarationBinds(node.init, name, ['let', 'const']);
+    case 'ForInStatement':
+    case 'ForOfStatement':
+      return declarationBinds(node.left, name, ['let', 'const']);
+    case 'CatchClause':
+      return patternBinds(node.param, name);
+    case 'ClassExpression':
+      return !!node.id && node.id.name === name;
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression':
+      return node.params.some(p => patternBinds(p, name)) ||
+        (node.type === 'FunctionExpression' && !!node.id && node.id.name === name) ||
+        (node.body.type === 'BlockStatement' && hoists(node.body, name));
+    default:
+      return false;
+  }
+}
+
+// Is `node` (reached from `parent` through `key`) a binding or assignment
+// target rather than a value being read?
+function isTarget(node, parent, key, grandparent) {
+  switch (parent.type) {
+    case 'ArrayPattern':
+    case 'RestElement':
+      return true;
+    case 'AssignmentPattern':
+      return key === 'left';
+    case 'Property':
+      return key === 'value' && grandparent && grandparent.type === 'ObjectPattern';
+    case 'UpdateExpression':
+      return true;
+    case 'UnaryExpression':
+      return parent.operator === 'delete';
+    case 'AssignmentExpression':
+    case 'ForInStatement':
+    case 'ForOfStatement':
+      return key === 'left';
+    default:
+      return false;
+  }
+}
+
+const PATTERNS = new Set(['ObjectPattern', 'ArrayPattern', 'AssignmentPattern', 'RestElement', 'Property']);
+
+// Is the pattern target whose parent ends `ancestors` assigned to, by an
+// assignment or a for-in/of head, rather than declared?
+function isAssigned(ancestors) {
+  let i = ancestors.length - 1;
+  while (i > 0 && PATTERNS.has(ancestors[i].type)) i--;
+  const top = ancestors[i];
+  if (top.type !== 'AssignmentExpression' && top.type !== 'ForInStatement' && top.type !== 'ForOfStatement') return false;
+  return i === ancestors.length - 1 || top.left === ancestors[i + 1];
+}
+
+// Is this Identifier a name (property key, label, declaration...) rather
+// than a variable reference?
+function isName(node, parent, key) {
+  switch (parent.type) {
+    case 'MemberExpression':
+      return key === 'property' && !parent.computed;
+    case 'Property':
+    case 'MethodDefinition':
+    case 'PropertyDefinition':
+      return key === 'key' && !parent.computed;
+    case 'VariableDeclarator':
+      return key === 'id';
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression':
+    case 'ClassDeclaration':
+    case 'ClassExpression':
+      return key === 'id' || key === 'params';
+    case 'CatchClause':
+    case 'LabeledStatement':
+    case 'BreakStatement':
+    case 'ContinueStatement':
+    case 'MetaProperty':
+    case 'ImportSpecifier':
+    case 'ImportDefaultSpecifier':
+    case 'ImportNamespaceSpecifier':
+    case 'ExportSpecifier':
+      return true;
+    default:
+      return false;
+  }
+}
+
+// The links of an optional chain (x?.a.b()), from the outermost in
+function chainLinks(chain) {
+  const links = [];
+  for (let n = chain.expression; n.type === 'MemberExpression' || n.type === 'CallExpression';
+    n = n.type === 'MemberExpression' ? n.object : n.callee) {
+    links.push(n);
+  }
+  return links;
+}
+
+// Compound assignment operators that can change a location, as the binary
+// operator they apply
+const COMPOUND = /^(\*\*|\*|\/|%|\+|-|<<|>>>|>>|&&|&|\^|\|)=$/;
+
+function isLocationProperty(node) {
+  if (node.type !== 'MemberExpression' || node.object.type === 'Super') return false;
+  return node.computed
+    ? node.property.type === 'Literal' && node.property.value === 'location'
+    : node.property.name === 'location';
+}
+
+// Rewrite a script's location accesses. Returns the source unchanged when
+// there's nothing to do or it can't be parsed.
+function rewriteLocation(source) {
+  if (!source.includes('location') || source.length > MAX_SCRIPT_SIZE) return source;
+  let ast;
+  try {
+    ast = parse(source);
+  } catch {
+    return source;
+  }
+
+  const edits = [];
+  const edit = (start, end, text) => edits.push({ start, end, text });
+  const ancestors = [ast];
+  const shadowed = new Map();
+  // Links of optional chains that can short-circuit (an optional link at or
+  // below them), and each link's next one out
+  const shortCircuits = new Set();
+  const nextLink = new Map();
+
+  function isShadowed() {
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+      const scope = ancestors[i];
+      if (!shadowed.has(scope)) shadowed.set(scope, bindsName(scope, 'location'));
+      if (shadowed.get(scope)) return true;
+    }
+    return false;
+  }
+
+  // Make the link after `node` in its chain optional, so the chain still
+  // short-circuits once __drift.loc() stands in for node
+  function continueChain(node) {
+    const next = nextLink.get(node);
+    if (!next || next.optional || !shortCircuits.has(node) || isLocationProperty(next)) return;
+    const at = next.type === 'CallExpression' ? source.indexOf('(', node.end)
+      : source.indexOf(next.computed ? '[' : '.', node.end);
+    if (at === -1) return;
+    if (next.type === 'MemberExpression' && !next.computed) edit(at, at + 1, '?.');
+    else edit(at, at, '?.');
+  }
+
+  function visit(node, parent, key) {
+    const grandparent = ancestors[ancestors.length - 2];
+    if (node.type === 'ChainExpression') {
+      const links = chainLinks(node);
+      let optional = false;
+      for (let i = links.length - 1; i >= 0; i--) {
+        optional = optional || !!links[i].optional;
+        if (optional) shortCircuits.add(links[i]);
+        if (i > 0) nextLink.set(links[i], links[i - 1]);
+      }
+    } else if (node.type === 'Identifier' && node.name === 'location') {
+      if (isName(node, parent, key) || isShadowed()) return;
+      if (parent.type === 'AssignmentExpression' && key === 'left') {
+        const compound = COMPOUND.exec(parent.operator);
+        if (parent.operator !== '=' && !compound) return;
+        edit(parent.start, parent.right.start, compound ? `__drift.navigate(__drift.location ${compound[1]} (` : '__drift.navigate(');
+        edit(parent.end, parent.end, compound ? '))' : ')');
+      } else if (isTarget(node, parent, key, grandparent)) {
+        if (!isAssigned(ancestors)) return;
+        const shorthand = parent.type === 'Property' ? parent.shorthand
+          : parent.type === 'AssignmentPattern' && grandparent.type === 'Property' && grandparent.shorthand;
+        edit(node.start, node.end, `${shorthand ? 'location: ' : ''}__drift.target().location`);
+      } else if (parent.type === 'Property' && parent.shorthand) {
+        edit(node.start, node.end, 'location: __drift.location');
+      } else {
+        edit(node.start, node.end, '__drift.location');
+      }
+    } else if (isLocationProperty(node)) {
+      if (parent.type === 'AssignmentExpression' && key === 'left') {
+        const compound = COMPOUND.exec(parent.operator);
+        if (parent.operator !== '=' && !compound) return;
+        edit(parent.start, parent.start, '__drift.setLoc(');
+        edit(node.object.end, parent.right.start, compound ? ', (' : ', ');
+        edit(parent.end, parent.end, compound ? `), function(l,v){return l${compound[1]}v;})` : ')');
+      } else if (!isTarget(node, parent, key, grandparent)) {
+        edit(node.start, node.start, '__drift.loc(');
+        edit(node.object.end, node.end, ')');
+        continueChain(node);
+      } else if (isAssigned(ancestors)) {
+        edit(node.start, node.start, '__drift.target(');
+        edit(node.object.end, node.end, ').location');
+      }
+    }
+  }
+
+  try {
+    walk(ast, ancestors, visit);
+  } catch {
+    // Nesting too deep for the walker
+    return source;
+  }
+  if (!edits.length) return source;
+
+  // Edits never overlap; insertions at the same offset keep walk order
+  edits.sort((a, b) => a.start - b.start || a.end - b.end);
+  let out = '';
+  let pos = 0;
+  for (const { start, end, text } of edits) {
+    out += source.slice(pos, start) + text;
+    pos = end;
+  }
+  return out + source.slice(pos);
+}
+
+module.exports = { rewriteLocation, MAX_SCRIPT_SIZE };
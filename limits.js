@@ -0,0 +1,187 @@
+const { Transform } = require('stream');
+const config = require('./config');
+
+// Resource limits for proxying, so one client can't starve a shared
+// instance: request rates per client address and per sign-in, sign-in
+// attempts per client address, concurrent upstream fetches and response sizes (the limits.* settings in config.js).
+// With limits.trustProxy, behind a reverse proxy such as Caddy, the client
+// address is the last X-Forwarded-For entry.
+
+// The limits.* settings in force, maxResponseSize in bytes
+let current = null;
+const SWEEP_INTERVAL = 60 * 1000;
+// Clients over the connection cap retry once something has finished
+const CONNECTION_RETRY_AFTER = 1;
+
+const refused = { rateIp: 0, rateSession: 0, rateLogin: 0, connections: 0, connectionsPerClient: 0, oversized: 0 };
+
+// Token buckets holding up to `burst` requests, refilled at `perMinute`.
+// take() returns 0 when a request may go ahead, otherwise the seconds until
+// it could.
+function createBuckets(perMinute, burst) {
+  const perMs = perMinute / 60000;
+  const buckets = new Map();
+
+  function level(bucket, now) {
+    return Math.min(burst, bucket.tokens + (now - bucket.updated) * perMs);
+  }
+
+  function take(key) {
+    if (!perMinute) return 0;
+    const now = Date.now();
+    const bucket = buckets.get(key) || { tokens: burst, updated: now };
+    bucket.tokens = level(bucket, now);
+    bucket.updated = now;
+    buckets.set(key, bucket);
+    if (bucket.tokens >= 1) {
+      bucket.tokens--;
+      return 0;
+    }
+    return Math.ceil((1 - bucket.tokens) / perMs / 1000);
+  }
+
+  // A full bucket is the same as no bucket
+  function sweep() {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (level(bucket, now) >= burst) buckets.delete(key);
+    }
+  }
+
+  return { take, sweep, get size() { return buckets.size; } };
+}
+
+let ipBuckets = null;
+let sessionBuckets = null;
+let loginBuckets = null;
+
+// New rates start from full buckets
+function loadLimits({ limits }) {
+  const rateChanged = !current || ['rateIp', 'burstIp', 'rateSession', 'burstSession', 'rateLogin', 'burstLogin'].some(k => limits[k] !== current[k]);
+  current = Object.assign({}, limits, { maxResponseSize: limits.maxResponseSize * 1024 * 1024 });
+  if (!rateChanged) return;
+  ipBuckets = createBuckets(current.rateIp, Math.max(1, current.burstIp));
+  sessionBuckets = createBuckets(current.rateSession, Math.max(1, current.burstSession));
+  loginBuckets = createBuckets(current.rateLogin, Math.max(1, current.burstLogin));
+}
+loadLimits(config.get());
+config.onChange(loadLimits);
+
+setInterval(() => {
+  ipBuckets.sweep();
+  sessionBuckets.sweep();
+  loginBuckets.sweep();
+}, SWEEP_INTERVAL).unref();
+
+// Address the request came from; works on plain http.IncomingMessage
+function clientIp(req) {
+  const forwarded = current.trustProxy && req.headers['x-forwarded-for'];
+  if (forwarded) return forwarded.split(',').pop().trim();
+  return (req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+}
+
+// Spend one request for the client address and the sign-in (`sessionKey`,
+// null for none). Returns null, or {scope, retryAfter} when over the limit.
+function checkRate(ip, sessionKey) {
+  let wait = ipBuckets.take(ip);
+  if (wait) {
+    refused.rateIp++;
+    return { scope: 'address', retryAfter: wait };
+  }
+  wait = sessionKey ? sessionBuckets.take(sessionKey) : 0;
+  if (wait) {
+    refused.rateSession++;
+    return { scope: 'session', retryAfter: wait };
+  }
+  return null;
+}
+
+// Spend one sign-in attempt for the client address. Returns null, or
+// {retryAfter} when over the limit. Checked before the password is, which
+// costs a scrypt hash.
+function checkLogin(ip) {
+  const wait = loginBuckets.take(ip);
+  if (!wait) return null;
+  refused.rateLogin++;
+  return { retryAfter: wait };
+}
+
+let activeConnections = 0;
+const activeByClient = new Map();
+
+// Claim an upstream connection slot for a client. Returns a release function
+// (safe to call more than once), or null when a cap is reached.
+function acquireConnection(ip) {
+  const mine = activeByClient.get(ip) || 0;
+  if (current.maxConnections && activeConnections >= current.maxConnections) {
+    refused.connections++;
+    return null;
+  }
+  if (current.maxConnectionsPerClient && mine >= current.maxConnectionsPerClient) {
+    refused.connectionsPerClient++;
+    return null;
+  }
+  activeConnections++;
+  activeByClient.set(ip, mine + 1);
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    activeConnections--;
+    const left = activeByClient.get(ip) - 1;
+    if (left) activeByClient.set(ip, left);
+    else activeByClient.delete(ip);
+  };
+}
+
+// Is a declared Content-Length over the response size limit?
+function tooLarge(contentLength) {
+  return !!current.maxResponseSize && Number(contentLength) > current.maxResponseSize;
+}
+
+// Pass-through stream that fails with code ETOOLARGE once more than the
+// response size limit has gone through it
+function sizeLimit() {
+  let size = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (current.maxResponseSize && size > current.maxResponseSize) {
+        refused.oversized++;
+        const err = new Error(`Response exceeded ${current.maxResponseSize / 1024 / 1024} MB`);
+        err.code = 'ETOOLARGE';
+        return callback(err);
+      }
+      callback(null, chunk);
+    }
+  });
+}
+
+function recordOversized() {
+  refused.oversized++;
+}
+
+function stats() {
+  const busiest = [...activeByClient]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 20)
+    .map(([client, active]) => ({ client, active }));
+  return {
+    config: current,
+    connections: { active: activeConnections, clients: activeByClient.size, busiest },
+    buckets: { address: ipBuckets.size, session: sessionBuckets.size, login: loginBuckets.size },
+    refused: Object.assign({}, refused)
+  };
+}
+
+module.exports = {
+  clientIp,
+  checkRate,
+  checkLogin,
+  acquireConnection,
+  tooLarge,
+  sizeLimit,
+  recordOversized,
+  stats,
+  CONNECTION_RETRY_AFTER
+};
@@ -0,0 +1,118 @@
+// Counters and histograms for /metrics, in the Prometheus text format.
+//
+// Labels whose values come from outside (blocklist rules, upstream proxies)
+// are capped per metric: once a metric has MAX_SERIES label sets, new ones
+// are counted under the label value "_other".
+const MAX_SERIES = 1000;
+const OTHER = '_other';
+
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(names, values, extra) {
+  const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Series of one metric keyed by label values, created on first use
+function createSeries(labelNames, create) {
+  const series = new Map();
+  function get(labels) {
+    let values = labelNames.map(name => (labels && labels[name] !== undefined ? String(labels[name]) : ''));
+    let key = JSON.stringify(values);
+    if (!series.has(key) && series.size >= MAX_SERIES) {
+      values = labelNames.map(() => OTHER);
+      key = JSON.stringify(values);
+    }
+    if (!series.has(key)) series.set(key, { values, data: create() });
+    return series.get(key).data;
+  }
+  return { get, all: () => [...series.values()] };
+}
+
+function counter(name, help, labelNames) {
+  labelNames = labelNames || [];
+  const series = createSeries(labelNames, () => ({ value: 0 }));
+  registry.push({
+    name,
+    help,
+    type: 'counter',
+    lines: () => series.all().map(({ values, data }) => `${name}${formatLabels(labelNames, values)} ${data.value}`)
+  });
+  return {
+    inc(labels, amount) {
+      series.get(labels).value += amount === undefined ? 1 : amount;
+    }
+  };
+}
+
+function histogram(name, help, labelNames, buckets) {
+  labelNames = labelNames || [];
+  const series = createSeries(labelNames, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+  registry.push({
+    name,
+    help,
+    type: 'histogram',
+    lines: () => series.all().flatMap(({ values, data }) => [
+      ...buckets.map((le, i) => `${name}_bucket${formatLabels(labelNames, values, `le="${le}"`)} ${data.counts[i]}`),
+      `${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${data.count}`,
+      `${name}_sum${formatLabels(labelNames, values)} ${data.sum}`,
+      `${name}_count${formatLabels(labelNames, values)} ${data.count}`
+    ])
+  });
+  return {
+    observe(labels, value) {
+      const data = series.get(labels);
+      buckets.forEach((le, i) => { if (value <= le) data.counts[i]++; });
+      data.sum += value;
+      data.count++;
+    }
+  };
+}
+
+// Every metric in the text exposition format
+function render() {
+  return registry.map(metric => [
+    `# HELP ${metric.name} ${metric.help}`,
+    `# TYPE ${metric.name} ${metric.type}`,
+    ...metric.lines()
+  ].join('\n')).join('\n') + '\n';
+}
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// branch: html, css or js when the body was rewritten, passthrough when it
+// was relayed as is, blocked, cleaned (redirected to the URL without its
+// tracking), limited (rate or connection caps) or error
+const requests = counter('drift_proxy_requests_total',
+  'Proxied requests by content branch and response status', ['branch', 'status']);
+const upstreamLatency = histogram('drift_upstream_response_seconds',
+  'Time from sending an upstream request to its response headers, per hop', ['route'], LATENCY_BUCKETS);
+const redirects = counter('drift_upstream_redirects_total',
+  'Upstream redirects followed', ['status']);
+const timeouts = counter('drift_upstream_timeouts_total',
+  'Upstream requests that timed out waiting for headers or stalled mid-body', ['phase']);
+const blocked = counter('drift_blocked_requests_total',
+  'Requests blocked by the ad blocker, by filter rule', ['rule']);
+const bytesIn = counter('drift_upstream_bytes_received_total',
+  'Body bytes received from upstream servers', ['branch']);
+const bytesOut = counter('drift_proxy_bytes_sent_total',
+  'Body bytes sent to clients for proxied requests', ['branch']);
+const websockets = counter('drift_websocket_upgrades_total',
+  'WebSocket upgrade requests by response status', ['status']);
+
+module.exports = {
+  render,
+  requests,
+  upstreamLatency,
+  redirects,
+  timeouts,
+  blocked,
+  bytesIn,
+  bytesOut,
+  websockets
+};
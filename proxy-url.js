@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const config = require('./config');
+
+// Mapping between target URLs and Drift's /proxy/ paths, shared by every
+// rewriter, the injected page script and the Drift UI so they all produce
+// the same links.
+//
+// The target URL is carried in a codec, so it isn't readable in paths, logs
+// or by filters in front of Drift:
+//
+//   urls.codec           codec for new links: plain (default), base64url,
+//                        xor:<secret> or aes-gcm:<secret>
+//   urls.previousCodecs  codecs still accepted, so links made before a
+//                        rotation keep working
+//
+// Encoded paths are /proxy/<tag>~<payload>; the tag names the codec (and,
+// for keyed codecs, which key), so every accepted codec can be told apart.
+// Plain paths are untagged encodeURIComponent output, as they always were.
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+// Short public id of a secret, so rotated keys get distinct tags
+function keyId(secret) {
+  return crypto.createHash('sha256').update(`drift-url-key:${secret}`).digest('hex').slice(0, 6);
+}
+
+// JS shared by the browser codecs: base64url and XOR over UTF-8 bytes
+const BROWSER_HELPERS = `function b64e(b){var s='';for(var i=0;i<b.length;i++)s+=String.fromCharCode(b[i]);return btoa(s).replace(/\\+/g,'-').replace(/\\//g,'_').replace(/=+$/,'');}
+    function b64d(s){var bin=atob(s.replace(/-/g,'+').replace(/_/g,'/')),b=new Uint8Array(bin.length);for(var i=0;i<bin.length;i++)b[i]=bin.charCodeAt(i);return b;}
+    function xor(b,k){var o=new Uint8Array(b.length);for(var i=0;i<b.length;i++)o[i]=b[i]^k[i%k.length];return o;}
+    function utf8(u){return new TextEncoder().encode(u);}
+    function text(b){return new TextDecoder('utf-8',{fatal:true}).decode(b);}`;
+
+// Each codec: encode(url) -> payload, decode(payload) -> url (throws on
+// garbage), plus the same two as browser JS function expressions when the
+// codec can run in a page
+const CODECS = {
+  plain: () => ({
+    tag: '',
+    encode: url => encodeURIComponent(url),
+    decode: payload => decodeURIComponent(payload),
+    browser: {
+      encode: 'function(u){return encodeURIComponent(u);}',
+      decode: 'function(p){return decodeURIComponent(p);}'
+    }
+  }),
+
+  base64url: () => ({
+    tag: 'b',
+    encode: url => base64url(Buffer.from(url)),
+    decode: payload => Buffer.from(payload, 'base64url').toString('utf-8'),
+    browser: {
+      encode: 'function(u){return b64e(utf8(u));}',
+      decode: 'function(p){return text(b64d(p));}'
+    }
+  }),
+
+  // Obfuscation only: keeps URLs out of plain sight, but isn't encryption
+  xor: (secret) => {
+    const key = crypto.createHash('sha256').update(secret).digest();
+    const apply = buffer => buffer.map((byte, i) => byte ^ key[i % key.length]);
+    const jsKey = `b64d('${base64url(key)}')`;
+    return {
+      tag: `x${keyId(secret)}`,
+      encode: url => base64url(apply(Buffer.from(url))),
+      decode: payload => Buffer.from(apply(Buffer.from(payload, 'base64url'))).toString('utf-8'),
+      browser: {
+        encode: `function(u){return b64e(xor(utf8(u),${jsKey}));}`,
+        decode: `function(p){return text(xor(b64d(p),${jsKey}));}`
+      }
+    };
+  },
+
+  // Authenticated encryption; the key never leaves the server. The IV is
+  // derived from the URL, so a URL always maps to the same path (stable
+  // links and cache keys) at the cost of showing when two paths are equal.
+  'aes-gcm': (secret) => {
+    const key = crypto.createHash('sha256').update(secret).digest();
+    return {
+      tag: `g${keyId(secret)}`,
+      encode(url) {
+        const iv = crypto.createHmac('sha256', key).update(url).digest().subarray(0, 12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const data = Buffer.concat([cipher.update(url, 'utf-8'), cipher.final()]);
+        return base64url(Buffer.concat([iv, data, cipher.getAuthTag()]));
+      },
+      decode(payload) {
+        const raw = Buffer.from(payload, 'base64url');
+        if (raw.length < 28) throw new Error('too short');
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, raw.subarray(0, 12));
+        decipher.setAuthTag(raw.subarray(raw.length - 16));
+        return Buffer.concat([decipher.update(raw.subarray(12, raw.length - 16)), decipher.final()]).toString('utf-8');
+      },
+      browser: null,
+      // Pages can't encrypt without the key, so links they build at runtime
+      // use XOR under a key derived from this one
+      browserFallback: crypto.createHmac('sha256', key).update('drift-browser-codec').digest('hex')
+    };
+  }
+};
+
+function createCodec(spec) {
+  const colon = spec.indexOf(':');
+  const name = colon === -1 ? spec : spec.slice(0, colon);
+  const secret = colon === -1 ? '' : spec.slice(colon + 1);
+  if (!CODECS[name]) throw new Error(`Unknown URL codec "${name}"`);
+  if ((name === 'xor' || name === 'aes-gcm') && !secret) throw new Error(`URL codec ${name} needs a secret (${name}:<secret>)`);
+  return Object.assign({ name }, CODECS[name](secret));
+}
+
+const active = createCodec(config.get().urls.codec);
+const browserCodec = active.browser ? active : createCodec(`xor:${active.browserFallback}`);
+const accepted = new Map();
+for (const codec of [active, browserCodec]
+  .concat(config.get().urls.previousCodecs.map(createCodec))) {
+  if (!accepted.has(codec.tag)) accepted.set(codec.tag, codec);
+}
+
+const TAGGED = /^([a-z][a-z0-9]*)~(.*)$/;
+
+// Path segment carrying targetUrl, in the active codec
+function encodeTarget(targetUrl) {
+  const payload = active.encode(targetUrl);
+  return active.tag ? `${active.tag}~${payload}` : payload;
+}
+
+// Target URL from a path segment in any accepted codec. Throws an error with
+// code EURLCODEC if it can't be read.
+function decodeTarget(segment) {
+  const tagged = TAGGED.exec(segment);
+  const codec = accepted.get(tagged ? tagged[1] : '');
+  let url;
+  try {
+    if (!codec) throw new Error('unknown codec');
+    url = codec.decode(tagged ? tagged[2] : segment);
+    new URL(url);
+  } catch {
+    const err = new Error('Unreadable proxy link');
+    err.code = 'EURLCODEC';
+    throw err;
+  }
+  return url;
+}
+
+function proxyPath(targetUrl) {
+  return '/proxy/' + encodeTarget(targetUrl);
+}
+
+// Resolve a URL found in page content against baseUrl and map it through the
+// proxy. Returns null for anything that must be left as-is: fragments,
+// non-http(s) schemes (data:, javascript:, mailto:, ...) and URLs that
+// already point into the proxy. `clean` (url -> url, optional) is applied
+// to the resolved URL first (see url-cleaner.js).
+function toProxyUrl(raw, baseUrl, clean) {
+  const value = raw.trim();
+  if (value.startsWith('#') || value.startsWith('/proxy/')) return null;
+  let resolved;
+  try {
+    resolved = new URL(value, baseUrl);
+  } catch {
+    return null;
+  }
+  if (resolved.protocol !== 'http:' && resolved.protocol !== 'https:') return null;
+  return proxyPath(clean ? clean(resolved.href) : resolved.href);
+}
+
+// JS expression for the browser side: {encode(url) -> segment,
+// decode(segment) -> url, or null when only the server can read it}
+function browserCodecSource() {
+  const decoders = [...accepted.values()].filter(codec => codec.browser)
+    .map(codec => `${JSON.stringify(codec.tag)}:${codec.browser.decode}`);
+  const prefix = browserCodec.tag ? `'${browserCodec.tag}~'+` : '';
+  return `(function(){
+    ${BROWSER_HELPERS}
+    var enc=${browserCodec.browser.encode},dec={${decoders.join(',')}};
+    return {
+      encode:function(u){return ${prefix}enc(u);},
+      decode:function(s){
+        var m=/^([a-z][a-z0-9]*)~(.*)$/.exec(s),d=dec[m?m[1]:''];
+        if(!d)return null;
+        try{var u=d(m?m[2]:s);new URL(u);return u;}catch(e){return null;}
+      }
+    };
+  })()`;
+}
+
+module.exports = { proxyPath, toProxyUrl, encodeTarget, decodeTarget, browserCodecSource };
@@ -0,0 +1,464 @@
+const { createTokenizer, decodeEntities, rewriteSrcset } = require('./html-rewriter');
+const { toProxyUrl, proxyPath } = require('./proxy-url');
+
+// Reader mode: pulls the main article out of a page — title, byline,
+// publish date, lead image and a cleaned-up body — in the spirit of
+// Readability. The page is parsed into a small tree with the HTML rewriter's
+// tokenizer; paragraphs are scored by their text and commas, the score
+// flows up to their containers and the best container (less its links)
+// wins. Only a small set of tags and attributes survives cleaning, and
+// every link and image is pointed back through /proxy/.
+
+const VOID = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+
+// Start tags that close an open <p>, and elements that end an open sibling
+// of their own kind (the parser doesn't need more of the HTML tree rules)
+const CLOSES_P = new Set(['address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figure',
+  'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section',
+  'table', 'ul']);
+const IMPLIED_END = {
+  li: ['li'],
+  dt: ['dt', 'dd'],
+  dd: ['dt', 'dd'],
+  tr: ['tr', 'td', 'th'],
+  td: ['td', 'th'],
+  th: ['td', 'th'],
+  option: ['option']
+};
+
+// Never part of an article
+const JUNK = new Set(['script', 'style', 'noscript', 'template', 'iframe', 'frame', 'object', 'embed', 'applet',
+  'form', 'input', 'button', 'select', 'textarea', 'svg', 'math', 'canvas', 'nav', 'aside', 'footer', 'dialog',
+  'link', 'meta', 'head', 'video', 'audio', 'map']);
+const JUNK_ROLES = new Set(['navigation', 'banner', 'complementary', 'contentinfo', 'dialog', 'alertdialog', 'menu', 'menubar', 'search']);
+
+const UNLIKELY = /banner|breadcrumb|combx|comment|community|cookie|disqus|extra|foot|gdpr|header|legends|menu|modal|newsletter|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|tags|teaser|tool|widget|-ad-|^ad-|advert/i;
+const MAYBE = /and|article|body|column|content|main|shadow|story|entry|post|text/i;
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i;
+const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+const BYLINE = /byline|author|writtenby|p-author/i;
+
+const BLOCKS = new Set(['address', 'article', 'blockquote', 'dl', 'div', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'ol', 'p', 'pre', 'section', 'table', 'ul']);
+
+// Tags kept in the cleaned article (others are unwrapped, keeping their
+// content) and the attributes each may keep
+const KEEP = {
+  p: [], br: [], hr: [], h2: [], h3: [], h4: [], h5: [], h6: [], div: [],
+  ul: [], ol: ['start', 'reversed'], li: [], dl: [], dt: [], dd: [],
+  blockquote: [], pre: [], code: [], em: [], i: [], strong: [], b: [], u: [], s: [],
+  sub: [], sup: [], small: [], mark: [], q: [], cite: [], abbr: ['title'], time: ['datetime'],
+  figure: [], figcaption: [], img: ['alt'], a: [],
+  table: [], caption: [], thead: [], tbody: [], tfoot: [], tr: [], th: ['colspan', 'rowspan'], td: ['colspan', 'rowspan']
+};
+const RENAME = { h1: 'h2', section: 'div', article: 'div', main: 'div' };
+
+const ARTICLE_TYPES = /^(?:Article|NewsArticle|BlogPosting|Report|ScholarlyArticle|TechArticle|AnalysisNewsArticle|OpinionNewsArticle|ReportageNewsArticle|ReviewNewsArticle|LiveBlogPosting|WebPage)$/;
+
+// ─── Parsing ───
+
+function parseDocument(html) {
+  const root = { tag: '#document', attrs: {}, children: [], parent: null };
+  let current = root;
+
+  function close(tags) {
+    if (tags.includes(current.tag)) current = current.parent;
+  }
+
+  const tokenizer = createTokenizer((token) => {
+    if (token.type === 'text') {
+      current.children.push({ text: decodeEntities(token.text), parent: current });
+    } else if (token.type === 'start') {
+      if (CLOSES_P.has(token.name)) close(['p']);
+      if (IMPLIED_END[token.name]) {
+        close(IMPLIED_END[token.name]);
+        if (token.name === 'tr') close(['tr']);
+      }
+      const attrs = {};
+      for (const attr of token.attrs) {
+        if (!(attr.name in attrs)) attrs[attr.name] = attr.value;
+      }
+      const node = { tag: token.name, attrs, children: [], parent: current };
+      current.children.push(node);
+      if (token.text !== undefined) {
+        const raw = token.name === 'script' || token.name === 'style';
+        if (token.text) node.children.push({ text: raw ? token.text : decodeEntities(token.text), parent: node });
+      } else if (!VOID.has(token.name) && !token.selfClosing) {
+        current = node;
+      }
+    } else if (token.type === 'end') {
+      for (let node = current; node !== root; node = node.parent) {
+        if (node.tag === token.name) {
+          current = node.parent;
+          break;
+        }
+      }
+    }
+  });
+  tokenizer.write(html);
+  tokenizer.end();
+  return root;
+}
+
+function* elements(node) {
+  for (const child of node.children) {
+    if (!child.tag) continue;
+    yield child;
+    yield* elements(child);
+  }
+}
+
+function find(root, test) {
+  for (const node of elements(root)) {
+    if (test(node)) return node;
+  }
+  return null;
+}
+
+function textOf(node) {
+  if (!node.tag) return node.text;
+  if (node.tag === 'script' || node.tag === 'style') return '';
+  const text = node.children.map(textOf).join('');
+  return BLOCKS.has(node.tag) || node.tag === 'br' || node.tag === 'li' ? ` ${text} ` : text;
+}
+
+function cleanText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function linkDensity(node) {
+  const length = cleanText(textOf(node)).length;
+  if (!length) return 0;
+  let links = 0;
+  for (const a of elements(node)) {
+    if (a.tag === 'a') links += cleanText(textOf(a)).length;
+  }
+  return links / length;
+}
+
+function remove(node) {
+  const siblings = node.parent.children;
+  siblings.splice(siblings.indexOf(node), 1);
+}
+
+function classAndId(node) {
+  return `${node.attrs.class || ''} ${node.attrs.id || ''}`;
+}
+
+// ─── Metadata ───
+
+function absolute(url, baseUrl) {
+  if (!url) return null;
+  try {
+    const resolved = new URL(url.trim(), baseUrl);
+    return resolved.protocol === 'http:' || resolved.protocol === 'https:' ? resolved.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function isoDate(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+function names(value) {
+  const list = Array.isArray(value) ? value : [value];
+  const result = list.map(v => (typeof v === 'string' ? v : v && typeof v.name === 'string' ? v.name : ''))
+    .map(cleanText).filter(v => v && !/^https?:/.test(v));
+  return result.length ? result.join(', ') : null;
+}
+
+function imageUrl(value) {
+  if (Array.isArray(value)) return imageUrl(value[0]);
+  if (typeof value === 'string') return value;
+  return value && typeof value.url === 'string' ? value.url : null;
+}
+
+// The first Article-like object in the page's JSON-LD blocks
+function jsonLdArticle(root) {
+  for (const node of elements(root)) {
+    if (node.tag !== 'script' || (node.attrs.type || '').toLowerCase() !== 'application/ld+json') continue;
+    let data;
+    try {
+      data = JSON.parse(node.children.map(child => child.text).join(''));
+    } catch {
+      continue;
+    }
+    const queue = [data];
+    while (queue.length) {
+      const item = queue.shift();
+      if (Array.isArray(item)) {
+        queue.push(...item);
+      } else if (item && typeof item === 'object') {
+        const types = [].concat(item['@type'] || []);
+        if (types.some(t => ARTICLE_TYPES.test(t)) && (item.headline || item.articleBody || item.author)) return item;
+        if (item['@graph']) queue.push(item['@graph']);
+      }
+    }
+  }
+  return {};
+}
+
+function metaTags(root) {
+  const meta = {};
+  for (const node of elements(root)) {
+    if (node.tag !== 'meta') continue;
+    const key = (node.attrs.property || node.attrs.name || node.attrs.itemprop || '').toLowerCase();
+    if (key && node.attrs.content && !(key in meta)) meta[key] = cleanText(node.attrs.content);
+  }
+  return meta;
+}
+
+function extractMetadata(root, pageUrl, baseUrl) {
+  const ld = jsonLdArticle(root);
+  const meta = metaTags(root);
+  const titleTag = find(root, n => n.tag === 'title');
+  const h1 = find(root, n => n.tag === 'h1');
+
+  let title = (typeof ld.headline === 'string' && cleanText(ld.headline)) || meta['og:title'] || meta['twitter:title'] ||
+    (titleTag && cleanText(textOf(titleTag))) || (h1 && cleanText(textOf(h1))) || '';
+  // "Headline | Site name": keep the headline when the page's h1 agrees
+  const h1Text = h1 ? cleanText(textOf(h1)) : '';
+  if (h1Text && title !== h1Text && title.startsWith(h1Text)) title = h1Text;
+
+  const bylineNode = find(root, n => n.attrs.rel === 'author' || n.attrs.itemprop === 'author' ||
+    (BYLINE.test(classAndId(n)) && cleanText(textOf(n)).length > 0 && cleanText(textOf(n)).length < 100));
+  const byline = names(ld.author) || meta.author || (meta['article:author'] && names(meta['article:author'])) ||
+    (bylineNode && cleanText(textOf(bylineNode)).replace(/^by\s+/i, '')) || null;
+
+  const timeNode = find(root, n => n.tag === 'time' && n.attrs.datetime);
+  const published = isoDate(ld.datePublished) || isoDate(meta['article:published_time']) ||
+    isoDate(meta.datepublished) || isoDate(meta.date) || isoDate(timeNode && timeNode.attrs.datetime);
+
+  return {
+    title,
+    byline,
+    published,
+    image: absolute(imageUrl(ld.image) || meta['og:image'] || meta['og:image:url'] || meta['twitter:image'], baseUrl),
+    siteName: meta['og:site_name'] || new URL(pageUrl).hostname,
+    excerpt: meta['og:description'] || meta.description || meta['twitter:description'] || null
+  };
+}
+
+// ─── Finding the article ───
+
+function isHidden(node) {
+  const style = (node.attrs.style || '').replace(/\s/g, '').toLowerCase();
+  return 'hidden' in node.attrs || node.attrs['aria-hidden'] === 'true' ||
+    style.includes('display:none') || style.includes('visibility:hidden');
+}
+
+// Take out everything that is never article content
+function prune(node) {
+  for (const child of node.children.slice()) {
+    if (!child.tag) continue;
+    const unlikely = UNLIKELY.test(classAndId(child)) && !MAYBE.test(classAndId(child)) &&
+      !['body', 'article', 'main', 'a', 'table', 'tbody', 'tr', 'td'].includes(child.tag) &&
+      !find(child, n => n.tag === 'article' || n.tag === 'main');
+    if (JUNK.has(child.tag) || JUNK_ROLES.has(child.attrs.role) || isHidden(child) || unlikely) {
+      remove(child);
+    } else {
+      prune(child);
+    }
+  }
+}
+
+function classWeight(node) {
+  let weight = 0;
+  for (const value of [node.attrs.class, node.attrs.id]) {
+    if (!value) continue;
+    if (NEGATIVE.test(value)) weight -= 25;
+    if (POSITIVE.test(value)) weight += 25;
+  }
+  return weight;
+}
+
+const TAG_SCORE = { div: 5, article: 10, main: 10, pre: 3, td: 3, blockquote: 3, section: 2,
+  form: -3, ol: -3, ul: -3, dl: -3, li: -3, address: -3, th: -5, h1: -5, h2: -5, h3: -5, h4: -5, h5: -5, h6: -5 };
+
+// Best-scoring container, or the body when nothing scores
+function topCandidate(body) {
+  const scores = new Map();
+  const score = (node) => {
+    if (!scores.has(node)) scores.set(node, (TAG_SCORE[node.tag] || 0) + classWeight(node));
+    return scores.get(node);
+  };
+
+  for (const node of elements(body)) {
+    const paragraph = ['p', 'pre', 'td', 'blockquote'].includes(node.tag) ||
+      (node.tag === 'div' && !node.children.some(c => c.tag && BLOCKS.has(c.tag)));
+    if (!paragraph) continue;
+    const text = cleanText(textOf(node));
+    if (text.length < 25) continue;
+    // One point, one per comma and up to three for length
+    const points = text.split(/[,，、]/).length + Math.min(Math.floor(text.length / 100), 3);
+    let ancestor = node.parent;
+    for (let level = 0; ancestor && ancestor !== body.parent && level < 3; level++, ancestor = ancestor.parent) {
+      scores.set(ancestor, score(ancestor) + points / (level === 0 ? 1 : level * 2));
+    }
+  }
+
+  let top = null;
+  let topScore = 0;
+  for (const [node, value] of scores) {
+    const adjusted = value * (1 - linkDensity(node));
+    scores.set(node, adjusted);
+    if (adjusted > topScore) {
+      top = node;
+      topScore = adjusted;
+    }
+  }
+  return { top: top || body, topScore, scores };
+}
+
+// The top candidate plus any siblings that look like more of the article
+function articleNodes(candidate) {
+  const { top, topScore, scores } = candidate;
+  if (!top.parent) return [top];
+  const threshold = Math.max(10, topScore * 0.2);
+  return top.parent.children.filter((sibling) => {
+    if (sibling === top) return true;
+    if (!sibling.tag) return false;
+    if ((scores.get(sibling) || 0) >= threshold) return true;
+    if (sibling.tag !== 'p') return false;
+    const text = cleanText(textOf(sibling));
+    const density = linkDensity(sibling);
+    return (text.length > 80 && density < 0.25) || (text.length > 0 && density === 0 && /\.( |$)/.test(text));
+  });
+}
+
+// ─── Cleaning and output ───
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttr(value) {
+  return escapeText(value).replace(/"/g, '&quot;');
+}
+
+// Best source for an image, looking past lazy-loading placeholders
+function imageSource(node) {
+  const lazy = node.attrs['data-src'] || node.attrs['data-lazy-src'] || node.attrs['data-original'] || node.attrs['data-url'];
+  const src = node.attrs.src || '';
+  if (lazy && (!src || src.startsWith('data:'))) return lazy;
+  if (src) return src;
+  const srcset = node.attrs.srcset || node.attrs['data-srcset'] || '';
+  const first = srcset.split(',')[0];
+  return first ? first.trim().split(/\s+/)[0] : '';
+}
+
+// Small containers that are mostly links or empty are navigation left over
+// inside the article
+function isClutter(node) {
+  if (!['div', 'section', 'ul', 'ol', 'table', 'p', 'figure'].includes(node.tag)) return false;
+  const text = cleanText(textOf(node));
+  const images = [...elements(node)].filter(n => n.tag === 'img').length;
+  if (!text && !images) return true;
+  if (classWeight(node) < 0 && text.length < 200 && !images) return true;
+  return linkDensity(node) > 0.5 && text.length < 200 && node.tag !== 'p';
+}
+
+function serializeNode(node, baseUrl, title) {
+  if (!node.tag) return escapeText(node.text);
+  if (JUNK.has(node.tag) || isClutter(node)) return '';
+  // The title and byline are shown above the article
+  if (/^h[1-6]$/.test(node.tag) && cleanText(textOf(node)) === title) return '';
+  if (BYLINE.test(classAndId(node)) && cleanText(textOf(node)).length < 100) return '';
+  const inner = node.children.map(child => serializeNode(child, baseUrl, title)).join('');
+  const tag = RENAME[node.tag] || node.tag;
+  if (!KEEP[tag]) return inner;
+
+  const attrs = KEEP[tag].filter(name => node.attrs[name] !== undefined).map(name => [name, node.attrs[name]]);
+  if (tag === 'a') {
+    const href = node.attrs.href || '';
+    const proxied = toProxyUrl(href, baseUrl);
+    if (proxied) attrs.push(['href', proxied]);
+    else if (href.startsWith('#')) attrs.push(['href', href]);
+  } else if (tag === 'img') {
+    const src = imageSource(node);
+    const proxied = src.startsWith('data:') ? src : toProxyUrl(src, baseUrl);
+    if (!proxied) return '';
+    attrs.push(['src', proxied]);
+    if (node.attrs.srcset && !node.attrs.srcset.includes('data:')) attrs.push(['srcset', rewriteSrcset(node.attrs.srcset, baseUrl)]);
+    attrs.push(['loading', 'lazy']);
+  }
+  const open = `<${tag}${attrs.map(([name, value]) => ` ${name}="${escapeAttr(value)}"`).join('')}>`;
+  if (VOID.has(tag)) return open;
+  if (!inner.trim() && tag !== 'td' && tag !== 'th') return '';
+  return `${open}${inner}</${tag}>`;
+}
+
+// Extract the article from a page's HTML. `pageUrl` is the page's real URL.
+function extractArticle(html, pageUrl) {
+  const root = parseDocument(html);
+  const base = find(root, n => n.tag === 'base' && n.attrs.href);
+  const baseUrl = (base && absolute(base.attrs.href, pageUrl)) || pageUrl;
+  const metadata = extractMetadata(root, pageUrl, baseUrl);
+
+  const body = find(root, n => n.tag === 'body') || root;
+  prune(body);
+  const content = articleNodes(topCandidate(body))
+    .map(node => serializeNode(node, baseUrl, metadata.title)).join('').trim();
+  const text = cleanText(textOf(parseDocument(content)));
+  const words = text ? text.split(' ').length : 0;
+
+  return Object.assign({ url: pageUrl }, metadata, {
+    excerpt: metadata.excerpt || (text.length > 200 ? text.slice(0, 200).replace(/\s\S*$/, '') + '…' : text) || null,
+    words,
+    content
+  });
+}
+
+// ─── Page ───
+
+// Pages with less text than this probably aren't articles
+const MIN_WORDS = 60;
+
+function renderArticle(article) {
+  const original = proxyPath(article.url);
+  const date = article.published
+    ? `<time datetime="${escapeAttr(article.published)}">${escapeText(new Date(article.published).toDateString().slice(4))}</time>` : '';
+  const meta = [article.byline && `<span>${escapeText(article.byline)}</span>`, date].filter(Boolean).join(' · ');
+  const leadImage = article.image && !article.content.includes(escapeAttr(proxyPath(article.image)))
+    ? `<img class="lead" src="${escapeAttr(proxyPath(article.image))}" alt="">` : '';
+  const notice = article.words < MIN_WORDS
+    ? `<p class="notice">This page doesn't look like an article, so reader mode may have missed parts of it.</p>` : '';
+
+  return `<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeText(article.title || article.siteName)}</title>
+<style>
+*{box-sizing:border-box}
+body{margin:0;background:#0c0c14;color:#d8d8e2;font-family:Charter,'Iowan Old Style',Georgia,serif;font-size:1.15rem;line-height:1.7}
+main{max-width:680px;margin:0 auto;padding:40px 20px 80px}
+.site{display:flex;justify-content:space-between;gap:12px;font:0.75rem -apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;text-transform:uppercase;letter-spacing:.08em;color:#666}
+.site a{color:#5eead4;text-decoration:none;text-transform:none;letter-spacing:0}
+h1{font-size:2.1rem;line-height:1.2;margin:14px 0 10px;color:#f0f0f6}
+.meta{font:0.85rem -apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;color:#888;margin-bottom:28px}
+.notice{font:0.85rem -apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;color:#888;border:1px solid #1e1e30;border-radius:8px;padding:10px 14px}
+img{max-width:100%;height:auto;border-radius:6px}
+img.lead{display:block;margin:0 auto 28px}
+a{color:#5eead4}
+h2,h3,h4,h5,h6{line-height:1.3;color:#f0f0f6;margin:1.6em 0 .5em}
+blockquote{margin:1.2em 0;padding-left:1em;border-left:3px solid #3b82f6;color:#aaa}
+pre{overflow:auto;background:#121220;border:1px solid #1e1e30;border-radius:8px;padding:12px;font-size:.85rem}
+code{font-family:ui-monospace,SFMono-Regular,Menlo,monospace;font-size:.9em}
+figure{margin:1.5em 0}
+figcaption{font-size:.85rem;color:#888;text-align:center}
+table{border-collapse:collapse;width:100%;font-size:.9rem}
+th,td{border:1px solid #1e1e30;padding:6px 8px}
+hr{border:none;border-top:1px solid #1e1e30}
+</style>
+</head><body><main>
+<div class="site"><span>${escapeText(article.siteName)}</span><a href="${escapeAttr(original)}">View original</a></div>
+<h1>${escapeText(article.title || article.siteName)}</h1>
+${meta ? `<div class="meta">${meta}</div>` : ''}
+${notice}${leadImage}
+<article>${article.content}</article>
+</main></body></html>`;
+}
+
+module.exports = { extractArticle, renderArticle };
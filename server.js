@@ -1,226 +1,1120 @@
-const express = require('express');
-const https = require('https');
+const fs = require('fs');
+const crypto = require('crypto');
 const http = require('http');
+const https = require('https');
+const express = require('express');
 const { URL } = require('url');
 const path = require('path');
-const { isBlocked } = require('./blocklist');
+const { pipeline, PassThrough, Transform, Writable } = require('stream');
+const { blockingRule, hidingCss, requestType, filtersVersion } = require('./blocklist');
+const {
+  sessionMiddleware, findSession, rememberPage, pageForReferer, rememberEncoding, pageEncoding, recordCleaned, cleanedCount
+} = require('./sessions');
+const { createCookieJar } = require('./cookie-jar');
+const { checkDestination } = require('./destination-guard');
+const { upstreamRequest, routeFor } = require('./upstream-proxy');
+const { createRewriteStream, cssSplitPoint, jsSplitPoint } = require('./stream-rewriter');
+const { createHtmlRewriter } = require('./html-rewriter');
+const { rewriteLocation, MAX_SCRIPT_SIZE } = require('./js-rewriter');
+const { rewriteCss } = require('./css-rewriter');
+const { extractArticle, renderArticle } = require('./reader');
+const { collectPage, singleFileHtml, createWarc } = require('./archive');
+const { proxyPath, decodeTarget, browserCodecSource } = require('./proxy-url');
+const compression = require('./compression');
+const { createTextDecoder, decodeText } = require('./charset');
+const { cleanUrl, browserCleanerSource, siteOf, rulesVersion } = require('./url-cleaner');
+const { storageGrant, checkGrant, isName } = require('./container-storage');
+const { clientHintHeaders, protectionSeed, browserProtectionSource, profileVersion } = require('./fingerprint');
+const { browserIndexedDbSource } = require('./indexeddb-shim');
+const { parseWebSocketPath, proxyWebSocket, handshakeUrl, rejectUpgrade } = require('./websocket-proxy');
+const { createHttpCache, unstorableReason, parseCacheControl } = require('./http-cache');
+const auth = require('./auth');
+const limits = require('./limits');
+const metrics = require('./metrics');
+const accessLog = require('./access-log');
+const config = require('./config');
 
 const app = express();
-const PORT = process.env.PORT || 3000;
-const MAX_REDIRECTS = 10;
-
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// CSP for the Drift UI itself (static files)
-const DRIFT_CSP = [
-  "default-src 'self'",
-  "script-src 'self' 'unsafe-inline'",
-  "style-src 'self' 'unsafe-inline'",
-  "img-src 'self' data:",
-  "frame-src 'self'",
-  "connect-src 'self'",
-  "font-src 'self'",
-  "object-src 'none'",
-  "base-uri 'self'",
-  "form-action 'self'",
-].join('; ');
+// Request bodies up to this size are kept so 307/308 redirects can resend them
+const REPLAY_LIMIT = 1024 * 1024;
+
+const httpCache = createHttpCache();
+
+// Body parsers for Drift's own endpoints only — /proxy/* needs the raw
+// request stream so it can be forwarded upstream untouched
+const parseBody = [express.json(), express.urlencoded({ extended: true })];
+
+app.use(accessLog.middleware);
 
 app.use((req, res, next) => {
   // Only apply Drift CSP to non-proxy routes
   if (!req.path.startsWith('/proxy/')) {
-    res.set('Content-Security-Policy', DRIFT_CSP);
+    res.set('Content-Security-Policy', config.get().csp.ui.join('; '));
     res.set('X-Content-Type-Options', 'nosniff');
-    res.set('X-Frame-Options', 'DENY');
+    // Reader pages open inside Drift's own tabs
+    res.set('X-Frame-Options', req.path.startsWith('/reader/') ? 'SAMEORIGIN' : 'DENY');
     res.set('Referrer-Policy', 'no-referrer');
   }
   next();
 });
 
+// Reachable without signing in: the sign-in page itself and Caddy's TLS check
+const PUBLIC_PATHS = new Set(['/login.html', '/drift.svg', '/auth/login', '/caddy-check']);
+
+// Everything else needs a signed-in user or an API token. Browsers are sent
+// to the sign-in page; proxied pages and scripts get a 401.
+function requireUser(req, res, next) {
+  if (PUBLIC_PATHS.has(req.path)) return next();
+  const found = auth.authenticate(req);
+  if (found) {
+    req.driftAuth = found;
+    return next();
+  }
+  res.set('WWW-Authenticate', 'Bearer realm="Drift"');
+  const navigation = req.method === 'GET' && req.accepts(['json', 'html']) === 'html';
+  if (navigation && req.path.startsWith('/proxy/')) {
+    return res.status(401).send(renderErrorPage('Signed out', 'Your Drift sign-in has ended. Reload Drift to sign in again.'));
+  }
+  if (navigation) return res.redirect(`/login.html?next=${encodeURIComponent(req.originalUrl)}`);
+  res.status(401).json({ error: 'Authentication required' });
+}
+
+// Proxied pages share Drift's origin and its sign-in cookie, so a request
+// signed in by cookie only reaches Drift's own API with proof it came from
+// the UI: the login session's UI token (see auth.js), which the server only
+// writes into the UI's pages as they load, and no Referer — the UI's pages
+// send none, proxied pages do. Open to pages: the proxy routes, the
+// endpoints the injected page script reports to, and plain GETs of Drift's
+// static files.
+const PAGE_ROUTES = /^\/(?:proxy|reader|archive)\//;
+const PAGE_ENDPOINTS = new Set(['/blocked-count', '/url-cleaning/cleaned', '/cookie-jar/document', '/storage/load', '/storage/load.js', '/storage/save']);
+const API_READS = /^\/(?:auth|admin)\/|^\/(?:adblock\/stats|metrics)$/;
+
+function requireUiProof(req, res, next) {
+  const found = req.driftAuth;
+  if (!found || found.via !== 'session' || PAGE_ROUTES.test(req.path) || PAGE_ENDPOINTS.has(req.path)) return next();
+  if ((req.method === 'GET' || req.method === 'HEAD') && !API_READS.test(req.path)) return next();
+  const site = req.headers['sec-fetch-site'];
+  if (auth.hasUiToken(req, found) && !req.headers.referer && (!site || site === 'same-origin')) return next();
+  res.status(403).json({ error: 'Only the Drift UI can make this request' });
+}
+
+function requireAdmin(req, res, next) {
+  if (!req.driftAuth.user.admin) return res.status(403).json({ error: 'Admin access required' });
+  next();
+}
+
+app.use(requireUser);
+app.use(requireUiProof);
+app.use(['/admin', '/admin.html', '/metrics'], requireAdmin);
+
+// Session next, so loading the Drift UI establishes the session cookie
+// before it starts syncing settings
+app.use(sessionMiddleware);
+
+// The UI's pages, carrying the UI token in a <meta> tag. Only loads of the
+// page itself get it, never a script's fetch() of it (Sec-Fetch-Dest can't
+// be set from script).
+const UI_PAGES = { '/': 'index.html', '/index.html': 'index.html', '/admin.html': 'admin.html' };
+app.get(Object.keys(UI_PAGES), (req, res, next) => {
+  fs.readFile(path.join(__dirname, 'public', UI_PAGES[req.path]), 'utf-8', (err, html) => {
+    if (err) return next(err);
+    const token = req.headers['sec-fetch-dest'] === 'document' && auth.uiToken(req.driftAuth);
+    res.set('Cache-Control', 'no-store');
+    res.type('html').send(html.replace('<head>', `<head>\n  <meta name="drift-ui" content="${token || ''}">`));
+  });
+});
 app.use(express.static(path.join(__dirname, 'public')));
 
-let blockedCount = 0;
-let adBlockEnabled = true;
+function isSecure(req) {
+  return req.secure || req.headers['x-forwarded-proto'] === 'https';
+}
+
+function sendAuthError(res, err) {
+  if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+  if (err.status) return res.status(err.status).json({ error: err.message });
+  console.log(`Account error: ${err.message}`);
+  res.status(500).json({ error: 'Account storage failed' });
+}
+
+app.post('/auth/login', parseBody, (req, res) => {
+  const meta = { ip: limits.clientIp(req), userAgent: req.headers['user-agent'] };
+  const limited = limits.checkLogin(meta.ip);
+  if (limited) return sendLimited(res, false, limited.retryAfter, 'Too many sign-in attempts from your address');
+  auth.login(req.body.username, req.body.password, meta, (err, secret, login) => {
+    if (err) return sendAuthError(res, err);
+    res.append('Set-Cookie', auth.loginCookie(secret, isSecure(req)));
+    res.json({ username: login.username });
+  });
+});
+
+app.post('/auth/logout', (req, res) => {
+  auth.logout(req);
+  res.append('Set-Cookie', auth.logoutCookie(isSecure(req)));
+  res.status(204).end();
+});
+
+app.get('/auth/me', (req, res) => {
+  const { user, via } = req.driftAuth;
+  res.json({ username: user.username, admin: user.admin, via });
+});
 
+// API tokens for the signed-in user. The token is only shown on creation.
+app.get('/auth/tokens', (req, res) => {
+  res.json({ tokens: auth.listTokens(req.driftAuth.user.username) });
+});
+
+app.post('/auth/tokens', parseBody, (req, res) => {
+  try {
+    res.json(auth.createToken(req.driftAuth.user.username, req.body.name));
+  } catch (err) {
+    sendAuthError(res, err);
+  }
+});
+
+app.post('/auth/tokens/revoke', parseBody, (req, res) => {
+  try {
+    res.json({ revoked: auth.revokeToken(req.body.id, req.driftAuth.user.username) });
+  } catch (err) {
+    sendAuthError(res, err);
+  }
+});
+
+// The URL codec for the Drift UI, as a script that sets window.DriftCodec
+app.get('/drift-codec.js', (req, res) => {
+  res.type('application/javascript');
+  res.set('Cache-Control', 'no-cache');
+  res.send(`window.DriftCodec=${browserCodecSource()};\n`);
+});
+
+const STATS_WINDOW = 60; // minutes
+const MAX_STATS_WINDOW = 24 * 60;
+
+// Blocked requests and cleaned URLs for this session; ?page=<url> adds the
+// counts for one proxied page (a tab)
 app.get('/blocked-count', (req, res) => {
-  res.json({ count: blockedCount });
+  const session = req.driftSession;
+  const result = { count: session.blockStats.total, cleaned: session.cleanedTotal };
+  if (typeof req.query.page === 'string') {
+    result.page = session.blockStats.countForPage(req.query.page);
+    result.pageCleaned = cleanedCount(session, req.query.page);
+  }
+  res.json(result);
+});
+
+// Blocked requests grouped by domain, by page and over time.
+// ?window=<minutes> (default 60), ?page=<url> to drill down into one page.
+app.get('/adblock/stats', (req, res) => {
+  const minutes = Math.min(Math.max(parseInt(req.query.window, 10) || STATS_WINDOW, 1), MAX_STATS_WINDOW);
+  res.json(Object.assign({ enabled: req.driftSession.adBlockEnabled, window: minutes },
+    req.driftSession.blockStats.summary({
+      windowMs: minutes * 60 * 1000,
+      bucketMs: minutes <= 60 ? 60 * 1000 : 60 * 60 * 1000,
+      page: typeof req.query.page === 'string' ? req.query.page : null
+    })));
+});
+
+app.post('/adblock', parseBody, (req, res) => {
+  const session = req.driftSession;
+  session.adBlockEnabled = req.body.enabled !== false;
+  res.json({ enabled: session.adBlockEnabled });
+});
+
+// Sites URL cleaning leaves alone (see url-cleaner.js): {sites: [hostname]}
+// replaces the list
+const MAX_EXEMPT_SITES = 500;
+app.post('/url-cleaning', parseBody, (req, res) => {
+  const session = req.driftSession;
+  const sites = req.body.sites;
+  if (!Array.isArray(sites) || sites.length > MAX_EXEMPT_SITES || !sites.every(site => typeof site === 'string')) {
+    return res.status(400).json({ error: `sites must be a list of up to ${MAX_EXEMPT_SITES} hostnames` });
+  }
+  session.cleaningExempt = new Set(sites.map(siteOf).filter(Boolean));
+  res.json({ sites: [...session.cleaningExempt] });
+});
+
+// Sites fingerprinting protection leaves alone (see fingerprint.js):
+// {sites: [hostname]} replaces the list
+app.post('/fingerprinting', parseBody, (req, res) => {
+  const session = req.driftSession;
+  const sites = req.body.sites;
+  if (!Array.isArray(sites) || sites.length > MAX_EXEMPT_SITES || !sites.every(site => typeof site === 'string')) {
+    return res.status(400).json({ error: `sites must be a list of up to ${MAX_EXEMPT_SITES} hostnames` });
+  }
+  session.fingerprintExempt = new Set(sites.map(siteOf).filter(Boolean));
+  res.json({ sites: [...session.fingerprintExempt] });
+});
+
+// URLs the injected page script cleaned, reported in batches
+const MAX_CLEANED_REPORT = 1000;
+app.post('/url-cleaning/cleaned', parseBody, (req, res) => {
+  const { page, count } = req.body;
+  if (typeof page === 'string' && Number.isInteger(count)) {
+    recordCleaned(req.driftSession, page, Math.min(count, MAX_CLEANED_REPORT));
+  }
+  res.status(204).end();
+});
+
+// Opt-in server-side cookie jar for the current Drift session. Turning it
+// off discards everything stored so far.
+app.post('/cookie-jar', parseBody, (req, res) => {
+  const session = req.driftSession;
+  if (req.body.enabled === true) {
+    if (!session.cookieJar) session.cookieJar = createCookieJar();
+  } else {
+    session.cookieJar = null;
+  }
+  res.json({ enabled: !!session.cookieJar });
+});
+
+// document.cookie writes from the injected shim. The cookie goes to the
+// page the Referer names, never to a URL the page picks, and is refused
+// when that page and the URL the shim reports aren't on the same origin
+// (or the page can't be told apart, e.g. after a History API change to a
+// path Drift hasn't seen).
+app.post('/cookie-jar/document', parseBody, (req, res) => {
+  const session = req.driftSession;
+  const jar = session.cookieJar;
+  if (!jar || typeof req.body.url !== 'string' || typeof req.body.cookie !== 'string') {
+    return res.status(204).end();
+  }
+  const pageUrl = pageForReferer(session, req.headers.referer);
+  let sameOrigin = false;
+  try {
+    sameOrigin = !!pageUrl && new URL(pageUrl).origin === new URL(req.body.url).origin;
+  } catch {}
+  if (!sameOrigin) return res.status(403).json({ error: "Cookie doesn't belong to the page that set it" });
+  try {
+    jar.setCookie(req.body.cookie, pageUrl, {
+      initiator: initiatorHost(pageUrl),
+      navigation: false,
+      method: 'GET',
+      script: true
+    });
+  } catch {}
+  res.status(204).end();
+});
+
+// Storage of pages in container tabs (see container-storage.js). A page
+// names its container, its tab and its real origin, and shows the grant the
+// proxy built into it for that origin.
+const MAX_STORAGE_CHANGES = 10000;
+const parseStorageBody = express.json({ limit: '12mb' });
+
+function storageTarget(req, res, params) {
+  if (!isName(params.container) || !isName(params.tab)) {
+    res.status(400).json({ error: 'Expected a container and a tab' });
+    return null;
+  }
+  if (!checkGrant(req.driftSession.id, params.origin, params.grant)) {
+    res.status(403).json({ error: 'No storage grant for this origin' });
+    return null;
+  }
+  return params;
+}
+
+app.get('/storage/load', (req, res) => {
+  const target = storageTarget(req, res, req.query);
+  if (!target) return;
+  res.set('Cache-Control', 'no-store');
+  res.json(req.driftSession.containers.load(target.container, target.tab, target.origin));
+});
+
+// The same as a script handing it to __driftStorage, for pages to load while
+// they're parsed (see the page runtime)
+app.get('/storage/load.js', (req, res) => {
+  const target = storageTarget(req, res, req.query);
+  if (!target) return;
+  res.set('Cache-Control', 'no-store');
+  res.type('application/javascript');
+  res.send(`__driftStorage(${scriptJson(req.driftSession.containers.load(target.container, target.tab, target.origin))})`);
+});
+
+// {container, tab, origin, grant, changes: [{area, op, key, value}]}
+app.post('/storage/save', parseStorageBody, (req, res) => {
+  const target = storageTarget(req, res, req.body);
+  if (!target) return;
+  const changes = req.body.changes;
+  if (!Array.isArray(changes) || changes.length > MAX_STORAGE_CHANGES) {
+    return res.status(400).json({ error: `changes must be a list of up to ${MAX_STORAGE_CHANGES} changes` });
+  }
+  if (!req.driftSession.containers.save(target.container, target.tab, target.origin, changes)) {
+    return res.status(413).json({ error: 'Storage quota exceeded' });
+  }
+  res.status(204).end();
+});
+
+// Drop a container's storage ({container}), or that of every temporary
+// (per-tab) container ({temporary: true})
+app.post('/storage/wipe', parseBody, (req, res) => {
+  const { container, temporary } = req.body;
+  if (temporary === true) {
+    req.driftSession.containers.wipe(name => name.startsWith('tab-'));
+  } else if (isName(container)) {
+    req.driftSession.containers.wipe(name => name === container);
+  } else {
+    return res.status(400).json({ error: 'Expected container or temporary' });
+  }
+  res.status(204).end();
+});
+
+// Wipe server-side state held for this session ("Clear" in the Drift UI)
+app.post('/session/clear', (req, res) => {
+  const session = req.driftSession;
+  if (session.cookieJar) session.cookieJar.clear();
+  session.containers.clear();
+  session.pages.clear();
+  session.encodings.clear();
+  session.blockStats.clear();
+  session.cleaned.clear();
+  session.cleanedTotal = 0;
+  httpCache.purge({ partition: session.id });
+  res.status(204).end();
+});
+
+// Proxy cache statistics
+app.get('/admin/cache', (req, res) => {
+  res.json(httpCache.stats());
+});
+
+// Purge the proxy cache: everything, or one URL ({url}) in every session
+app.post('/admin/cache/purge', parseBody, (req, res) => {
+  const removed = httpCache.purge(typeof req.body.url === 'string' ? { url: req.body.url } : {});
+  res.json({ removed });
+});
+
+// Signed-in browsers and API tokens across all users
+app.get('/admin/sessions', (req, res) => {
+  const current = req.driftAuth.session && req.driftAuth.session.id;
+  res.json({
+    sessions: auth.listLogins().map(s => Object.assign(s, { current: s.id === current })),
+    tokens: auth.listTokens()
+  });
+});
+
+// Sign out one login session ({id}) or all of a user's ({username})
+app.post('/admin/sessions/revoke', parseBody, (req, res) => {
+  const { id, username } = req.body;
+  if (typeof id !== 'string' && typeof username !== 'string') {
+    return res.status(400).json({ error: 'Expected id or username' });
+  }
+  res.json({ revoked: auth.revokeLogins(typeof id === 'string' ? { id } : { username }) });
+});
+
+app.post('/admin/tokens/revoke', parseBody, (req, res) => {
+  try {
+    res.json({ revoked: auth.revokeToken(req.body.id) });
+  } catch (err) {
+    sendAuthError(res, err);
+  }
 });
 
-app.post('/adblock', (req, res) => {
-  adBlockEnabled = req.body.enabled !== false;
-  res.json({ enabled: adBlockEnabled });
+app.get('/admin/users', (req, res) => {
+  res.json({ users: auth.listUsers() });
+});
+
+// Create a user or reset one's password ({username, password, admin})
+app.post('/admin/users', parseBody, (req, res) => {
+  auth.setUser(req.body.username, req.body.password, req.body.admin === true, (err, user) => {
+    if (err) return sendAuthError(res, err);
+    res.json(user);
+  });
+});
+
+app.post('/admin/users/delete', parseBody, (req, res) => {
+  if (req.body.username === req.driftAuth.user.username) {
+    return res.status(400).json({ error: "You can't delete your own account" });
+  }
+  try {
+    res.json({ deleted: auth.deleteUser(req.body.username) });
+  } catch (err) {
+    sendAuthError(res, err);
+  }
 });
 
-// Caddy on-demand TLS permission check — always approve
+// Rate limit, connection and response size settings with current usage
+app.get('/admin/limits', (req, res) => {
+  res.json(limits.stats());
+});
+
+// Effective settings (drift.config.json merged with the environment), secrets masked
+app.get('/admin/config', (req, res) => {
+  res.json(config.describe());
+});
+
+// Prometheus scrape endpoint; scrapers sign in with an admin's API token
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// Hostnames Caddy may obtain certificates for on demand (listen.onDemandTlsDomains)
+function tlsAllowed(domain) {
+  domain = domain.toLowerCase().replace(/\.$/, '');
+  return config.get().listen.onDemandTlsDomains.map(d => d.toLowerCase())
+    .some(pattern => pattern.startsWith('*.') ? domain.endsWith(pattern.slice(1)) : domain === pattern);
+}
+
+// Caddy on-demand TLS permission check (?domain=<hostname>). Anyone can ask,
+// so refusals only show in the access log, where the domain is escaped and
+// kept to what log.urls allows
 app.get('/caddy-check', (req, res) => {
-  res.status(200).send('OK');
+  const domain = typeof req.query.domain === 'string' ? req.query.domain : '';
+  if (domain && tlsAllowed(domain)) return res.status(200).send('OK');
+  req.driftLog.branch = 'tls-refused';
+  if (domain) req.driftLog.target = `https://${domain}/`;
+  res.status(403).send('Forbidden');
 });
 
+// Wrap an incoming request body so it can be streamed upstream on the first
+// hop and, if small enough, sent again after a 307/308 redirect
+function createRequestBody(req) {
+  return {
+    stream: req,
+    contentType: req.headers['content-type'],
+    contentLength: req.headers['content-length'],
+    chunks: [],
+    size: 0,
+    started: false,
+    done: false,
+    overflow: false
+  };
+}
+
+function sendBody(body, proxyReq) {
+  if (!body.started) {
+    body.started = true;
+    body.stream.on('data', (chunk) => {
+      body.size += chunk.length;
+      if (body.size > REPLAY_LIMIT) {
+        body.overflow = true;
+        body.chunks = [];
+      } else {
+        body.chunks.push(chunk);
+      }
+    });
+    body.stream.on('end', () => { body.done = true; });
+    body.stream.pipe(proxyReq);
+    return;
+  }
+
+  const replay = () => {
+    if (body.overflow) return proxyReq.destroy(new Error('Request body too large to replay'));
+    proxyReq.end(Buffer.concat(body.chunks));
+  };
+  if (body.done) replay();
+  else body.stream.once('end', replay);
+}
+
+// Method and body for the next redirect hop: 303 turns everything but HEAD
+// into GET, 301/302 do the same for POST (as browsers do), and 307/308 repeat
+// the request unchanged. Returns null if the body can't be replayed.
+function redirectOptions(statusCode, options) {
+  const method = options.method || 'GET';
+  if ((statusCode === 303 && method !== 'HEAD') ||
+      ((statusCode === 301 || statusCode === 302) && method === 'POST')) {
+    const cookieContext = options.cookieContext && Object.assign({}, options.cookieContext, { method: 'GET' });
+    return Object.assign({}, options, { method: 'GET', body: null, cookieContext });
+  }
+  if (options.body && options.body.overflow) return null;
+  return options;
+}
+
 function fetchWithRedirects(targetUrl, redirectCount, callback, options) {
-  if (redirectCount > MAX_REDIRECTS) {
+  options = options || {};
+  const settings = config.get();
+  if (redirectCount > settings.network.maxRedirects) {
     return callback(new Error('Too many redirects'), null);
   }
 
+  // Every hop is checked, so a public URL can't redirect into the private network
+  const refused = checkDestination(targetUrl);
+  if (refused) return callback(refused, null);
+
+  let settled = false;
+  function finish(err, response) {
+    if (settled) return;
+    settled = true;
+    callback(err, response);
+  }
+
   try {
-    const parsedUrl = new URL(targetUrl);
-    const protocol = parsedUrl.protocol === 'https:' ? https : http;
+    const headers = {
+      'User-Agent': settings.headers.userAgent,
+      'Accept': options.accept || '*/*',
+      'Accept-Language': settings.headers.acceptLanguage,
+      'Accept-Encoding': compression.UPSTREAM_ACCEPT_ENCODING
+    };
+    Object.assign(headers, clientHintHeaders(targetUrl));
+    if (settings.headers.doNotTrack) {
+      headers['DNT'] = '1';
+      headers['Sec-GPC'] = '1';
+    }
+    // Forward byte-range requests so media seeking and resumable downloads work
+    if (options.range) {
+      // Ranges are byte offsets into the body as sent, so keep it uncompressed
+      headers['Accept-Encoding'] = 'identity';
+      headers['Range'] = options.range;
+      if (options.ifRange) headers['If-Range'] = options.ifRange;
+    }
 
-    const proxyReq = protocol.get(targetUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Accept': (options && options.accept) || '*/*',
-        'Accept-Language': 'en-US,en;q=0.5',
-        'DNT': '1',
-        'Sec-GPC': '1'
-      }
-    }, (proxyRes) => {
+    const jar = options.cookieJar;
+    if (jar) {
+      const cookie = jar.getCookieHeader(targetUrl, options.cookieContext);
+      if (cookie) headers['Cookie'] = cookie;
+    }
+
+    // Revalidating a cached copy (If-None-Match / If-Modified-Since)
+    if (options.conditional) Object.assign(headers, options.conditional);
+
+    const body = options.body;
+    if (body) {
+      if (body.contentType) headers['Content-Type'] = body.contentType;
+      if (body.contentLength) headers['Content-Length'] = body.contentLength;
+    }
+
+    const requestOptions = { method: options.method || 'GET', headers };
+    const route = routeFor(new URL(targetUrl).hostname);
+    const started = Date.now();
+    const log = options.log;
+    const proxyReq = upstreamRequest(targetUrl, requestOptions, (proxyRes) => {
       const statusCode = proxyRes.statusCode;
+      const elapsed = Date.now() - started;
+      metrics.upstreamLatency.observe({ route: route ? route.href : 'direct' }, elapsed / 1000);
+      if (log) log.upstreamMs = (log.upstreamMs || 0) + elapsed;
+
+      // Store cookies from every hop, redirects included
+      if (jar) jar.setCookies(proxyRes.headers['set-cookie'], targetUrl, options.cookieContext);
 
       // Handle redirects (301, 302, 303, 307, 308)
-      if (statusCode >= 300 && statusCode < 400 && proxyRes.headers.location) {
+      const nextOptions = statusCode >= 300 && statusCode < 400 && proxyRes.headers.location &&
+        redirectOptions(statusCode, options);
+      if (nextOptions) {
+        settled = true;
         proxyRes.resume(); // drain the response so the socket can be reused
         proxyReq.setTimeout(0); // cancel the timeout for this request
         const redirectUrl = new URL(proxyRes.headers.location, targetUrl).href;
-        console.log(`Redirect ${statusCode}: ${targetUrl} -> ${redirectUrl}`);
-        return fetchWithRedirects(redirectUrl, redirectCount + 1, callback, options);
+        metrics.redirects.inc({ status: statusCode });
+        if (log) log.redirects = (log.redirects || 0) + 1;
+        // Validators belong to the original URL only
+        return fetchWithRedirects(redirectUrl, redirectCount + 1, callback,
+          Object.assign({}, nextOptions, { conditional: null }));
       }
 
-      let data = [];
-
-      proxyRes.on('data', chunk => {
-        data.push(chunk);
+      // Headers are in — from here on only a stalled body is an error, so
+      // large but steady downloads are never cut off
+      proxyReq.setTimeout(settings.network.bodyIdleTimeout, () => {
+        metrics.timeouts.inc({ phase: 'body' });
+        proxyRes.destroy(new Error('Upstream stalled'));
       });
 
-      proxyRes.on('end', () => {
-        callback(null, {
-          statusCode,
-          headers: proxyRes.headers,
-          body: Buffer.concat(data),
-          finalUrl: targetUrl
-        });
+      finish(null, {
+        statusCode,
+        headers: proxyRes.headers,
+        stream: proxyRes,
+        finalUrl: targetUrl,
+        requestHeaders: headers,
+        sentCookie: !!headers['Cookie']
       });
     });
 
     proxyReq.on('error', (err) => {
-      callback(err, null);
+      finish(err, null);
     });
 
-    proxyReq.setTimeout(10000, () => {
+    proxyReq.setTimeout(settings.network.connectTimeout, () => {
+      if (settled) return;
+      metrics.timeouts.inc({ phase: 'headers' });
       proxyReq.destroy();
-      callback(new Error('Request timed out'), null);
+      finish(new Error('Request timed out'), null);
     });
 
+    if (body) sendBody(body, proxyReq);
+    else proxyReq.end();
+
   } catch (err) {
-    callback(err, null);
+    finish(err, null);
   }
 }
 
-function rewriteUrls(html, baseUrl) {
-  const base = new URL(baseUrl);
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Error page shown inside the tab when a proxied request can't be served.
+// It reports itself to the tab as an "error" message (see runtimeSource).
+function renderErrorPage(title, message) {
+  return `<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><title>${escapeHtml(title)}</title>
+<style>body{margin:0;min-height:100vh;display:flex;align-items:center;justify-content:center;background:#0c0c14;color:#e0e0e8;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif}
+.box{max-width:460px;padding:32px;text-align:center}h1{font-size:1.3rem;margin:0 0 12px;color:#ff6b6b}p{margin:0;color:#888;font-size:.9rem;line-height:1.5}</style>
+<script>(function(){var m=/^drift-tab:([A-Za-z0-9_-]+)$/.exec(window.name);
+if(m&&window.parent!==window)window.parent.postMessage({drift:1,token:m[1],type:'error',title:${scriptJson(title)},message:${scriptJson(message)}},location.origin);})()</script>
+</head><body><div class="box"><h1>${escapeHtml(title)}</h1><p>${escapeHtml(message)}</p></div></body></html>`;
+}
 
-  function toProxyUrl(raw) {
+// Rate limits follow the sign-in: a browser's login session or an API token
+function signInKey(found) {
+  return found.via === 'token' ? `token:${found.token.id}` : `login:${found.session.id}`;
+}
+
+function sendLimited(res, navigation, retryAfter, message) {
+  res.set('Retry-After', String(retryAfter));
+  if (navigation) {
+    const wait = retryAfter === 1 ? 'a second' : `${retryAfter} seconds`;
+    return res.status(429).send(renderErrorPage('Slow down', `${message}. Try again in ${wait}.`));
+  }
+  res.status(429).json({ error: message });
+}
+
+// What a page's document.referrer reports: the referring page for
+// same-origin navigations, nothing across origins — Drift sends no Referer
+// upstream, so scripts shouldn't learn more than the site's servers do
+function documentReferrer(pageUrl, targetUrl) {
+  try {
+    return pageUrl && new URL(pageUrl).origin === new URL(targetUrl).origin ? pageUrl.split('#')[0] : null;
+  } catch {
+    return null;
+  }
+}
+
+function initiatorHost(pageUrl) {
+  try {
+    return pageUrl ? new URL(pageUrl).hostname : null;
+  } catch {
+    return null;
+  }
+}
+
+// JSON that is safe to embed inside an inline <script>
+function scriptJson(value) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+function setCharset(contentType, charset) {
+  const declared = /;\s*charset\s*=\s*(?:"[^"]*"|[^\s;]+)/i;
+  if (declared.test(contentType)) return contentType.replace(declared, '; charset=' + charset);
+  return contentType + '; charset=' + charset;
+}
+
+function rewriteJs(js, baseUrl) {
+  function resolveJsPath(relPath) {
     try {
-      // Decode HTML entities before resolving (e.g. &amp; → &)
-      raw = raw.replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'");
-      const resolved = new URL(raw, baseUrl).href;
-      return '/proxy/' + encodeURIComponent(resolved);
+      return proxyPath(new URL(relPath, baseUrl).href);
     } catch {
-      return raw;
+      return relPath;
     }
   }
 
-  // Rewrite href, src, action attributes
-  html = html.replace(
-    /(<[^>]+\s)(href|src|action)\s*=\s*"([^"]*?)"/gi,
-    (match, pre, attr, url) => {
-      if (url.startsWith('data:') || url.startsWith('javascript:') || url.startsWith('#')) return match;
-      return `${pre}${attr}="${toProxyUrl(url)}"`;
-    }
+  // Rewrite static imports: from "./foo.js" / from './foo.js'
+  js = js.replace(
+    /(\bfrom\s*)(["'])(\.\.?\/[^"']+)\2/g,
+    (match, prefix, quote, path) => `${prefix}${quote}${resolveJsPath(path)}${quote}`
   );
-  html = html.replace(
-    /(<[^>]+\s)(href|src|action)\s*=\s*'([^']*?)'/gi,
-    (match, pre, attr, url) => {
-      if (url.startsWith('data:') || url.startsWith('javascript:') || url.startsWith('#')) return match;
-      return `${pre}${attr}='${toProxyUrl(url)}'`;
-    }
+
+  // Rewrite side-effect imports: import "./foo.js" / import'./foo.js'
+  js = js.replace(
+    /(\bimport\s*)(["'])(\.\.?\/[^"']+)\2/g,
+    (match, prefix, quote, path) => `${prefix}${quote}${resolveJsPath(path)}${quote}`
   );
 
-  // Rewrite srcset attributes
-  html = html.replace(
-    /srcset\s*=\s*"([^"]*)"/gi,
-    (match, value) => {
-      const rewritten = value.split(',').map(entry => {
-        const parts = entry.trim().split(/\s+/);
-        if (parts[0]) parts[0] = toProxyUrl(parts[0]);
-        return parts.join(' ');
-      }).join(', ');
-      return `srcset="${rewritten}"`;
-    }
+  // Rewrite dynamic imports: import("./foo.js") / import('./foo.js')
+  js = js.replace(
+    /(\bimport\s*\(\s*)(["'])(\.\.?\/[^"']+)\2(\s*\))/g,
+    (match, pre, quote, path, post) => `${pre}${quote}${resolveJsPath(path)}${quote}${post}`
   );
 
-  // Rewrite url() in styles — but protect <script> blocks first
-  // so we don't corrupt JavaScript strings containing url(...)
-  const scripts = [];
-  html = html.replace(/<script[\s\S]*?<\/script>/gi, (m) => {
-    scripts.push(m);
-    return `<!--DS${scripts.length - 1}-->`;
-  });
+  // Rewrite Vite/webpack asset paths in string arrays like ["assets/foo.css"]
+  // These are relative to site root, not the JS file
+  js = js.replace(
+    /(\[(?:\s*"(?:assets\/[^"]+)"(?:\s*,)?)+\s*\])/g,
+    (match) => {
+      return match.replace(/"(assets\/[^"]+)"/g, (m, path) => {
+        try {
+          return '"' + proxyPath(new URL('/' + path, baseUrl).href) + '"';
+        } catch {
+          return m;
+        }
+      });
+    }
+  );
 
-  html = html.replace(
-    /url\(\s*['"]?([^'")]+?)['"]?\s*\)/gi,
+  // Rewrite url() in JS strings (e.g. CSS-in-JS)
+  js = js.replace(
+    /url\(\s*['"]?(\.\.?\/[^'")]+?)['"]?\s*\)/gi,
     (match, url) => {
       if (url.startsWith('data:')) return match;
-      return `url('${toProxyUrl(url)}')`;
+      return `url('${resolveJsPath(url)}')`;
     }
   );
 
-  // Restore <script> blocks
-  html = html.replace(/<!--DS(\d+)-->/g, (_, i) => scripts[i]);
+  // Rewrite new URL("path", import.meta.url) pattern used by Vite for workers/assets
+  js = js.replace(
+    /new\s+URL\(\s*(["'])([^"']+)\1\s*,\s*import\.meta\.url\s*\)/g,
+    (match, quote, path) => {
+      if (path.startsWith('data:') || path.startsWith('http:') || path.startsWith('https:') || path.startsWith('/proxy/')) return match;
+      return `new URL(${quote}${resolveJsPath(path)}${quote}, import.meta.url)`;
+    }
+  );
+
+  // Rewrite absolute path strings that reference known asset types (fonts, images, etc.)
+  // This catches paths like "/Rubik-VariableWeight.woff2" used by FontFace in workers
+  js = js.replace(
+    /(["'])(\/[^"']*\.(?:woff2?|ttf|otf|eot|png|jpe?g|gif|svg|webp|avif|ico|mp[34]|webm|ogg|wav|json))\1/gi,
+    (match, quote, path) => {
+      if (path.startsWith('/proxy/')) return match;
+      try {
+        return quote + proxyPath(new URL(path, baseUrl).href) + quote;
+      } catch {
+        return match;
+      }
+    }
+  );
 
-  return html;
+  return js;
 }
 
-function stripTrackingElements(html) {
-  // Remove common tracking pixels (1x1 images)
-  html = html.replace(/<img[^>]+(?:width|height)\s*=\s*["']?1["']?[^>]+(?:width|height)\s*=\s*["']?1["']?[^>]*\/?>/gi, '');
+// Query parameter a Drift tab adds to its frame's first /proxy/ request:
+// the tab's token, which the injected script signs its messages with. Not
+// passed on to the site.
+const TAB_PARAM = '__drift_tab';
+const TAB_TOKEN = /^[A-Za-z0-9_-]{16,64}$/;
+// Query parameter a tab's page adds to its own frame's navigations. Browsers
+// send those as iframe loads, like the page's own frames, but they're the
+// tab's document and filtered as one. Not passed on to the site either.
+const NAV_PARAM = '__drift_nav';
 
-  // Remove known tracking script patterns
-  html = html.replace(/<script[^>]*>[^<]*(?:google-analytics|googletagmanager|gtag|fbq|_gaq|ga\s*\(|analytics\.js|adsbygoogle|googlesyndication|doubleclick|hotjar|clarity|mixpanel|segment|amplitude|heap)[^<]*<\/script>/gi, '');
+// Proxy path for a tab navigation that goes on to `url`
+function tabNavigationPath(url) {
+  const next = proxyPath(url);
+  return `${next}${next.includes('?') ? '&' : '?'}${NAV_PARAM}=1`;
+}
 
-  // Remove tracking noscript pixels
-  html = html.replace(/<noscript[^>]*>\s*<img[^>]+(?:facebook\.com\/tr|google-analytics|googletagmanager|bat\.bing|analytics)[^>]*\/?>\s*<\/noscript>/gi, '');
+// The script proxied pages run before their own, served at
+// /drift-runtime.js so browsers cache one copy of it rather than get one in
+// every page. It defines __driftRuntime(BASE, REFERRER, TAB, STATUS, PAGE),
+// which each page calls with its own data (see injectMetaScript). Built on
+// first use and again when the fingerprinting profile or the URL cleaning
+// rules built into it change; its URL carries a hash of the source, so pages
+// always ask for the current one.
+let runtime = null;
 
-  return html;
+function driftRuntime() {
+  const version = `${profileVersion()}:${rulesVersion()}`;
+  if (!runtime || runtime.version !== version) {
+    const source = runtimeSource();
+    const hash = crypto.createHash('sha256').update(source).digest('base64url').slice(0, 16);
+    runtime = { version, source, url: `/drift-runtime.js?v=${hash}` };
+  }
+  return runtime;
 }
 
-function injectMetaScript(html, finalUrl) {
-  const privacyTags = '<meta name="referrer" content="no-referrer"><meta http-equiv="Cache-Control" content="no-store">';
+app.get('/drift-runtime.js', (req, res) => {
+  const { source, url } = driftRuntime();
+  // Old URLs get the current runtime too, but mustn't keep it
+  res.set('Cache-Control', req.originalUrl === url ? 'private, max-age=31536000, immutable' : 'no-cache');
+  res.type('js').send(source);
+});
+
+// Markup the HTML rewriter places at the top of <head>: privacy meta tags,
+// the page runtime and the call that starts it with this page's data.
+// options.cookies: [name, value] pairs from the session cookie jar for
+// document.cookie, or null to keep cookies disabled; options.referrer: the
+// page's document.referrer; options.cleaningExempt: sites URL cleaning leaves
+// alone; options.tab: the token of the Drift tab loading the page, when the
+// request carried one; options.status: the upstream status code;
+// options.fingerprint: the fingerprinting protection seed, or null to leave
+// the page unprotected; options.storage: the page origin's grant for
+// container storage.
+function injectMetaScript(finalUrl, options) {
+  const referrer = (options && options.referrer) || '';
+  const tab = (options && options.tab) || '';
+  const status = (options && options.status) || 200;
+  const { url } = driftRuntime();
+  const page = {
+    cookies: (options && options.cookies) || null,
+    cleaningExempt: options && options.cleaningExempt ? [...options.cleaningExempt] : [],
+    fingerprint: options && typeof options.fingerprint === 'number' ? options.fingerprint : null,
+    storage: (options && options.storage) || '',
+    runtime: url
+  };
+  const privacyTags = '<meta name="referrer" content="same-origin"><meta http-equiv="Cache-Control" content="no-store">';
+  return privacyTags + `<script src="${url}"></script>` +
+    `<script>__driftRuntime(${scriptJson(finalUrl)},${scriptJson(referrer)},${scriptJson(tab)},${status},${scriptJson(page)})</script>`;
+}
 
-  const escaped = finalUrl.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
-  const script = `<script>(function(){
+// Source of /drift-runtime.js. PAGE: {cookies, cleaningExempt, fingerprint,
+// storage, runtime}, as injectMetaScript describes them (runtime: this
+// script's URL).
+function runtimeSource() {
+  return `Object.defineProperty(window,'__driftRuntime',{value:function drift(BASE,REFERRER,TAB,STATUS,PAGE){
+    // ── Fingerprinting protection (see fingerprint.js) ──
+    if(typeof PAGE.fingerprint==='number')${browserProtectionSource()}(window,PAGE.fingerprint);
+    // about:blank and srcdoc frames run a copy of this script handed down by
+    // the page that made them (see shimFrame), with its URL as BASE
+    var INHERITED=location.protocol==='about:';
     // ── Session isolation ──
-    // Replace localStorage/sessionStorage with in-memory shims so
-    // proxied pages cannot persist data across sessions
+    // localStorage and sessionStorage are in-memory stand-ins that start
+    // empty on every load, unless the page's tab is in a storage container
+    // (see public/index.html): its frame is marked with data-drift-storage
+    // and data-drift-session, and pages in it load their origin's storage
+    // from the server as they start and send their changes back
+    // (container-storage.js), showing the grant the proxy built in for the
+    // origin. Only those pages get indexedDB, kept the same way
+    // (indexeddb-shim.js). Nothing is kept in Drift's own storage, which
+    // every proxied page shares.
     var _mem={},_smem={};
-    function makeStore(m){return{getItem:function(k){return m.hasOwnProperty(k)?m[k]:null},setItem:function(k,v){m[k]=''+v},removeItem:function(k){delete m[k]},clear:function(){for(var k in m)delete m[k]},get length(){return Object.keys(m).length},key:function(i){return Object.keys(m)[i]||null}};}
-    try{Object.defineProperty(window,'localStorage',{get:function(){return makeStore(_mem)},configurable:false})}catch(e){}
-    try{Object.defineProperty(window,'sessionStorage',{get:function(){return makeStore(_smem)},configurable:false})}catch(e){}
-    // Block document.cookie reads/writes
-    try{Object.defineProperty(document,'cookie',{get:function(){return ''},set:function(){},configurable:false})}catch(e){}
-    // Disable IndexedDB, caches API, and service workers
-    try{Object.defineProperty(window,'indexedDB',{get:function(){return undefined},configurable:false})}catch(e){}
+    function makeStore(m,area){return{getItem:function(k){return Object.prototype.hasOwnProperty.call(m,k)?m[k]:null},setItem:function(k,v){k=''+k;v=''+v;m[k]=v;save(area,'set',k,v)},removeItem:function(k){k=''+k;delete m[k];save(area,'remove',k)},clear:function(){for(var k in m)delete m[k];save(area,'clear')},get length(){return Object.keys(m).length},key:function(i){return Object.keys(m)[i]||null}};}
+    function tabFrame(){
+      try{var w=window;while(w.parent!==w.top)w=w.parent;return w.parent===w?null:w.frameElement;}catch(e){return null;}
+    }
+    var GRANT=PAGE.storage,_frame=tabFrame(),_storage=null,_storageFetch=window.fetch,_changes=[],_saveTimer=null;
+    try{
+      _storage={container:_frame.getAttribute('data-drift-storage'),tab:_frame.getAttribute('data-drift-session'),origin:new URL(BASE).origin,grant:GRANT};
+      if(!GRANT||!/^[A-Za-z0-9_-]{1,80}$/.test(_storage.container)||!/^[A-Za-z0-9_-]{1,80}$/.test(_storage.tab))_storage=null;
+    }catch(e){_storage=null;}
+    function flushStorage(){
+      clearTimeout(_saveTimer);_saveTimer=null;
+      if(!_changes.length)return;
+      var body=JSON.stringify({container:_storage.container,tab:_storage.tab,origin:_storage.origin,grant:_storage.grant,changes:_changes});
+      _changes=[];
+      try{_storageFetch.call(window,'/storage/save',{method:'POST',headers:{'Content-Type':'application/json'},body:body,keepalive:body.length<60000})}catch(e){}
+    }
+    function save(area,op,key,value){
+      if(!_storage)return;
+      _changes.push({area:area,op:op,key:key,value:value});
+      if(!_saveTimer)_saveTimer=setTimeout(flushStorage,0);
+    }
+    var _localStore=makeStore(_mem,'local'),_sessionStore=makeStore(_smem,'session'),_idb=null,_indexedDB;
+    if(_storage){
+      _idb=${browserIndexedDbSource()}(window,function(op,key,value){save('idb',op,key,value)});
+      _indexedDB=_idb.indexedDB;
+    }
+    // data: what /storage/load has for the page, or null when it couldn't
+    // be loaded; keys the page has set meanwhile keep its values
+    function loaded(data){
+      if(!data)_storage=null;
+      [[_mem,data&&data.local],[_smem,data&&data.session]].forEach(function(a){
+        for(var k in a[1])if(!Object.prototype.hasOwnProperty.call(a[0],k))a[0][k]=a[1][k];
+      });
+      _idb.load(data?data.idb:{});
+    }
+    // Loading the storage never blocks the browser. Frames made by the
+    // page's own scripts share its stores. A page being parsed loads its
+    // storage with a script written in after this one, which holds the
+    // page's scripts back until it has run; other documents get theirs in
+    // the background.
+    var _parent=null;
+    if(_storage&&INHERITED){
+      try{if(window.parent!==window&&window.parent.__drift&&window.parent.__drift.origin===_storage.origin)_parent=window.parent;}catch(e){}
+    }
+    if(_parent){
+      _storage=null;_idb=null;
+      _localStore=_parent.localStorage;_sessionStore=_parent.sessionStorage;_indexedDB=_parent.indexedDB;
+    }else if(_storage){
+      var _storageQuery=['container','tab','origin','grant'].map(function(k){return k+'='+encodeURIComponent(_storage[k])}).join('&');
+      try{
+        if(document.readyState!=='loading')throw 0;
+        Object.defineProperty(window,'__driftStorage',{value:function(data){delete window.__driftStorage;loaded(data)},configurable:true});
+        document.write('<script src="/storage/load.js?'+_storageQuery+'"><\\/script><script>window.__driftStorage&&__driftStorage(null)<\\/script>');
+      }catch(e){
+        try{delete window.__driftStorage}catch(e2){}
+        _storageFetch.call(window,'/storage/load?'+_storageQuery,{cache:'no-store'}).then(function(r){if(!r.ok)throw 0;return r.json()}).then(loaded,function(){loaded(null)});
+      }
+      window.addEventListener('pagehide',flushStorage);
+    }
+    try{Object.defineProperty(window,'localStorage',{get:function(){return _localStore},configurable:false})}catch(e){}
+    try{Object.defineProperty(window,'sessionStorage',{get:function(){return _sessionStore},configurable:false})}catch(e){}
+    // document.cookie: backed by the server-side cookie jar when the user
+    // opted in, otherwise reads and writes are blocked
+    var COOKIES=PAGE.cookies;
+    if(COOKIES){
+      var _jar={},_postJar=window.fetch;
+      COOKIES.forEach(function(c){_jar[c[0]]=c[1]});
+      try{Object.defineProperty(document,'cookie',{
+        get:function(){return Object.keys(_jar).map(function(k){return k+'='+_jar[k]}).join('; ')},
+        set:function(v){
+          v=''+v;var pair=v.split(';')[0],i=pair.indexOf('=');if(i<1)return;
+          var n=pair.slice(0,i).trim(),exp=/;\\s*expires\\s*=\\s*([^;]+)/i.exec(v),age=/;\\s*max-age\\s*=\\s*(-?\\d+)/i.exec(v);
+          if(age?+age[1]<=0:exp&&Date.parse(exp[1])<Date.now())delete _jar[n];else _jar[n]=pair.slice(i+1).trim();
+          try{_postJar.call(window,'/cookie-jar/document',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({url:BASE,cookie:v}),keepalive:true})}catch(e){}
+        },
+        configurable:false
+      })}catch(e){}
+    }else{
+      try{Object.defineProperty(document,'cookie',{get:function(){return ''},set:function(){},configurable:false})}catch(e){}
+    }
+    // indexedDB only in containers (above); no caches API or service
+    // workers: they'd live in Drift's own storage
+    try{Object.defineProperty(window,'indexedDB',{get:function(){return _indexedDB},configurable:false})}catch(e){}
     try{Object.defineProperty(window,'caches',{get:function(){return undefined},configurable:false})}catch(e){}
     if(navigator.serviceWorker){try{Object.defineProperty(navigator,'serviceWorker',{get:function(){return undefined},configurable:false})}catch(e){}}
 
-    var BASE='${escaped}';
+    // ── Tab messaging ──
+    // The page tells the Drift tab it's in about itself with messages
+    // {drift:1,token,type,...} (protocol in public/index.html). The token is
+    // the tab frame's: built in by the proxy on the frame's first load, and
+    // handed from page to page in the frame through window.name, which the
+    // page itself sees empty. Child frames have none and stay quiet.
+    var TOKEN=null,_tabName=/^drift-tab:([A-Za-z0-9_-]+)$/;
+    if(!INHERITED&&window.parent!==window){
+      var _tm=_tabName.exec(window.name);
+      TOKEN=TAB||(_tm&&_tm[1]);
+      if(TOKEN){
+        try{window.name='';}catch(e){}
+        window.addEventListener('pagehide',function(){try{window.name='drift-tab:'+TOKEN;}catch(e){}});
+      }
+    }
+    function tell(type,data){
+      if(!TOKEN)return;
+      var m={drift:1,token:TOKEN,type:type};
+      for(var k in data)m[k]=data[k];
+      try{window.parent.postMessage(m,location.origin);}catch(e){}
+    }
+    tell('progress',{state:'loading'});
     // Make the page think it's at its original path so SPA routers work
-    try{var _b=new URL(BASE);history.replaceState(null,'',_b.pathname+_b.search+_b.hash);}catch(e){}
+    if(!INHERITED){try{var _b=new URL(BASE);history.replaceState(null,'',_b.pathname+_b.search+_b.hash);}catch(e){}}
+    // The page's real URL: its original origin with whatever path, query and
+    // hash the page (or its router) is at now
+    function realUrl(){
+      if(INHERITED)return new URL(location.href);
+      if(location.pathname.indexOf('/proxy/')!==0){try{return new URL(location.pathname+location.search+location.hash,BASE);}catch(e){}}
+      var u=new URL(BASE);u.hash=location.hash;return u;
+    }
+    function realOrigin(){return new URL(INHERITED?BASE:realUrl().href).origin;}
+    // The server rewriter moves <base href> into data-drift-href so the
+    // browser keeps resolving against the document, not the real site
+    function base(){
+      var b=document.querySelector('base[data-drift-href]');
+      return b?b.getAttribute('data-drift-href'):INHERITED?BASE:realUrl().href;
+    }
+    // Same URL codec as the server's rewriters
+    var DriftCodec=${browserCodecSource()};
+    // Tracking parameters and redirectors come off the URLs the page makes
+    // (see url-cleaner.js); the cleaned ones are counted for the tab UI
+    var DriftCleaner=${browserCleanerSource()}(PAGE.cleaningExempt),_cleaned=0,_cleanedTimer=null,_nativeFetch=window.fetch;
+    function clean(u){
+      var c=DriftCleaner.clean(u);
+      if(c!==u){
+        _cleaned++;clearTimeout(_cleanedTimer);
+        _cleanedTimer=setTimeout(function(){
+          var n=_cleaned;_cleaned=0;
+          try{_nativeFetch.call(window,'/url-cleaning/cleaned',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({page:BASE,count:n}),keepalive:true})}catch(e){}
+        },1000);
+      }
+      return c;
+    }
     function toProxy(u){
-      try{var url=new URL(u,BASE);return '/proxy/'+encodeURIComponent(url.href);}catch(e){return u;}
+      try{var url=new URL(u,base());return '/proxy/'+DriftCodec.encode(clean(url.href));}catch(e){return u;}
     }
     function isExternal(u){
-      try{return new URL(u,BASE).origin!==location.origin;}catch(e){return false;}
+      try{return new URL(u,base()).origin!==location.origin;}catch(e){return false;}
     }
+    // ── Location virtualization ──
+    // Page scripts are rewritten (js-rewriter.js) to read and assign
+    // location through __drift, which reports the real URL and navigates
+    // through the proxy
+    // A tab's page marks the proxy URLs its own frame goes to, which the
+    // browser asks for as iframes (see NAV_PARAM)
+    function navMark(u){
+      if(!TOKEN)return u;
+      try{
+        var url=new URL(u,location.href);
+        if(url.origin!==location.origin||url.pathname.indexOf('/proxy/')!==0)return u;
+        url.searchParams.set('${NAV_PARAM}','1');
+        return url.pathname+url.search+url.hash;
+      }catch(e){return u;}
+    }
+    function ownFrame(target){return !target||target==='_self';}
+    function navigate(u,replace){
+      var url;try{url=new URL(String(u),base());}catch(e){return;}
+      if(url.protocol!=='http:'&&url.protocol!=='https:'){location.href=String(u);return;}
+      // Same document, new fragment: no reload, like a real location
+      if(url.hash&&url.href.split('#')[0]===realUrl().href.split('#')[0]){if(replace)location.replace(url.hash);else location.hash=url.hash;return;}
+      if(replace)location.replace(navMark(toProxy(url.href)));else location.assign(navMark(toProxy(url.href)));
+    }
+    var vloc={
+      assign:function(u){navigate(u);},
+      replace:function(u){navigate(u,true);},
+      reload:function(){location.reload();},
+      toString:function(){return realUrl().href;}
+    };
+    ['href','protocol','host','hostname','port','pathname','search','hash','origin'].forEach(function(k){
+      Object.defineProperty(vloc,k,{enumerable:true,get:function(){return k==='origin'?realOrigin():realUrl()[k];},set:function(v){
+        if(k==='href')return navigate(v);
+        if(k==='hash')return void(location.hash=v);
+        if(k==='origin')return;
+        var u=realUrl();u[k]=v;navigate(u.href);
+      }});
+    });
+    // The __drift runtime behind a window or document. Drift's tab UI sits
+    // above top-level pages, so it stands in for this page.
+    function runtimeOf(o){
+      try{
+        if(o&&o.nodeType===9)o=o.defaultView;
+        if(!o||o.window!==o)return null;
+        if(o.__drift)return o.__drift;
+        if(o===top)return DRIFT;
+      }catch(e){}
+      return null;
+    }
+    var DRIFT={
+      get location(){return vloc;},
+      get origin(){return realOrigin();},
+      loc:function(o){var r=runtimeOf(o);return r?r.location:o==null?void 0:o.location;},
+      // combine: how a compound assignment (+= ...) makes the new value
+      setLoc:function(o,v,combine){
+        if(combine)v=combine(DRIFT.loc(o),v);
+        var r=runtimeOf(o);
+        if(!r)o.location=v;
+        // Frame-busting scripts send the tab UI to this page's own URL
+        else if(r!==DRIFT||o===window||o===document||String(v).split('#')[0]!==realUrl().href.split('#')[0])r.navigate(v);
+        return v;
+      },
+      navigate:function(v){navigate(v);return v;},
+      // Stands in for location (no argument) or o.location as a destructuring
+      // or for-in/of target
+      target:function(o){
+        var bare=!arguments.length;
+        return {set location(v){if(bare)navigate(v);else DRIFT.setLoc(o,v);}};
+      }
+    };
+    // Configurable: an iframe's initial about:blank window is reused by the
+    // proxied document that replaces it, whose own copy takes over
+    try{Object.defineProperty(window,'__drift',{value:DRIFT,configurable:true})}catch(e){}
+    try{Object.defineProperty(window,'origin',{get:realOrigin,set:function(){},configurable:true})}catch(e){}
+    [['domain',function(){return new URL(realOrigin()).hostname}],['referrer',function(){return REFERRER}],
+     ['URL',function(){return realUrl().href}],['documentURI',function(){return realUrl().href}],['baseURI',base]].forEach(function(p){
+      try{Object.defineProperty(document,p[0],{get:p[1],set:function(){},configurable:true})}catch(e){}
+    });
+    // Messages from proxied frames carry their real origin...
+    try{
+      var _msgOrigin=Object.getOwnPropertyDescriptor(MessageEvent.prototype,'origin');
+      Object.defineProperty(MessageEvent.prototype,'origin',{configurable:true,enumerable:true,get:function(){
+        var o=_msgOrigin.get.call(this);
+        try{var r=o===location.origin&&this.source&&this.source.__drift;if(r)return r.origin;}catch(e){}
+        return o;
+      }});
+    }catch(e){}
+    // ...and a target origin is checked against this page's real origin,
+    // as every frame is really on Drift's
+    var _postMessage=window.postMessage;
+    window.postMessage=function(message,target){
+      var args=Array.prototype.slice.call(arguments),options=target&&typeof target==='object'?target:null;
+      var origin=options?options.targetOrigin:target;
+      if(typeof origin==='string'&&origin!=='*'&&origin!=='/'){
+        var wanted;try{wanted=new URL(origin).origin;}catch(e){return _postMessage.apply(window,args);}
+        if(wanted!==realOrigin())return;
+        if(options)args[1]=Object.assign({},options,{targetOrigin:'/'});else args[1]='/';
+      }
+      return _postMessage.apply(window,args);
+    };
     // Intercept link clicks — proxy all links (external and relative)
     document.addEventListener('click',function(e){
       var a=e.target.closest('a');
@@ -228,21 +1122,48 @@ function injectMetaScript(html, finalUrl) {
       var h=a.getAttribute('href')||'';
       if(h.startsWith('#')||h.startsWith('javascript:')||h.startsWith('data:'))return;
       if(h.indexOf('/proxy/')!==-1||a.href.indexOf('/proxy/')!==-1)return;
-      e.preventDefault();location.href=toProxy(h);
+      e.preventDefault();location.href=navMark(toProxy(h));
     },true);
     // Intercept form submissions
     document.addEventListener('submit',function(e){
       var f=e.target;if(!f||f.tagName!=='FORM')return;
       var action=f.getAttribute('action')||'';
       if(action.indexOf('/proxy/')!==-1)return;
-      var resolved;try{resolved=new URL(action||location.href,BASE).href;}catch(x){return;}
+      var resolved;try{resolved=new URL(action||realUrl().href,base()).href;}catch(x){return;}
       f.action=toProxy(resolved);
     },true);
+    // Links and forms that load the tab's own frame are marked once the
+    // page's handlers have let them go ahead, and unmarked after
+    if(TOKEN){
+      window.addEventListener('click',function(e){
+        var a=e.target.closest&&e.target.closest('a[href]');
+        if(e.defaultPrevented||!a||!ownFrame(a.target))return;
+        var h=a.getAttribute('href'),marked=navMark(a.href);
+        if(marked===a.href)return;
+        a.setAttribute('href',marked);
+        setTimeout(function(){a.setAttribute('href',h);});
+      });
+      window.addEventListener('submit',function(e){
+        var f=e.target;
+        if(e.defaultPrevented||!f||f.tagName!=='FORM'||!ownFrame(f.target)||navMark(f.action)===f.action)return;
+        // GET submissions replace the action's query with the form's fields
+        if(f.method==='get'){
+          var field=document.createElement('input');
+          field.type='hidden';field.name='${NAV_PARAM}';field.value='1';
+          f.appendChild(field);
+          setTimeout(function(){field.remove();});
+        }else if(f.method==='post'){
+          var action=f.getAttribute('action');
+          f.setAttribute('action',navMark(f.action));
+          setTimeout(function(){if(action===null)f.removeAttribute('action');else f.setAttribute('action',action);});
+        }
+      });
+    }
     // Intercept window.open to route through proxy
     var _open=window.open;
     window.open=function(u){if(u&&isExternal(u)){return _open.call(window,toProxy(u));}return _open.apply(window,arguments);};
-    // Intercept window.close to notify parent
-    window.close=function(){window.parent.postMessage({type:'drift-close'},'*');};
+    // window.close() closes the tab
+    window.close=function(){tell('close',{});};
     // Helper: should this URL be rewritten through the proxy?
     function needsProxy(u){
       if(!u)return false;
@@ -290,6 +1211,69 @@ function injectMetaScript(html, finalUrl) {
       }
       return _xhrOpen.apply(this,arguments);
     };
+    // Route WebSockets through /proxy-ws/ — they'd otherwise connect
+    // straight to the site. URLs built from location.host point at Drift,
+    // so those are resolved against the real page instead.
+    if(window.WebSocket){
+      var _WS=window.WebSocket;
+      var DriftWebSocket=function(u,protocols){
+        var url;
+        try{
+          url=new URL(u,base());
+          if(url.host===location.host&&url.pathname.indexOf('/proxy-ws/')!==0)url=new URL(url.pathname+url.search,BASE);
+          if(url.protocol==='http:')url.protocol='ws:';else if(url.protocol==='https:')url.protocol='wss:';
+          if(url.pathname.indexOf('/proxy-ws/')!==0)u=(location.protocol==='https:'?'wss:':'ws:')+'//'+location.host+'/proxy-ws/'+DriftCodec.encode(url.href)+'?page='+encodeURIComponent(DriftCodec.encode(BASE));
+        }catch(e){}
+        return protocols===undefined?new _WS(u):new _WS(u,protocols);
+      };
+      DriftWebSocket.prototype=_WS.prototype;
+      ['CONNECTING','OPEN','CLOSING','CLOSED'].forEach(function(k){DriftWebSocket[k]=_WS[k];});
+      window.WebSocket=DriftWebSocket;
+    }
+    // Workers load through the proxy, which prepends a shim of their own
+    ['Worker','SharedWorker'].forEach(function(k){
+      var _W=window[k];if(!_W)return;
+      var DriftWorker=function(u,options){
+        if(typeof u!=='string')u=String(u);
+        if(needsProxy(u))u=toProxy(u);
+        return options===undefined?new _W(u):new _W(u,options);
+      };
+      DriftWorker.prototype=_W.prototype;
+      window[k]=DriftWorker;
+    });
+    // ── Child frames ──
+    // Frames without a URL of their own (about:blank, srcdoc, filled in
+    // with document.write) share this page's origin and would otherwise run
+    // unpatched. Frames that already exist get this function as they're
+    // reached; srcdoc documents load the runtime like any page.
+    function childArgs(){
+      return [base(),INHERITED?REFERRER:realUrl().href,'',void 0,PAGE].map(function(v){return v===void 0?'void 0':JSON.stringify(v).replace(/</g,'\\\\u003c')}).join(',');
+    }
+    function shimFrame(w){
+      try{if(w&&w!==window&&!w.__drift&&w.location.protocol==='about:')w.eval('('+drift+')('+childArgs()+')');}catch(e){}
+    }
+    var SRCDOC_MARK='<script src="'+PAGE.runtime+'"><\\/script>';
+    function shimSrcdoc(html){
+      html=String(html);
+      return html.lastIndexOf(SRCDOC_MARK,0)===0?html:SRCDOC_MARK+'<script>__driftRuntime('+childArgs()+')<\\/script>'+html;
+    }
+    try{
+      ['contentWindow','contentDocument'].forEach(function(prop){
+        var d=Object.getOwnPropertyDescriptor(HTMLIFrameElement.prototype,prop);
+        Object.defineProperty(HTMLIFrameElement.prototype,prop,{get:function(){
+          var v=d.get.call(this);shimFrame(prop==='contentWindow'?v:v&&v.defaultView);return v;
+        },enumerable:d.enumerable,configurable:d.configurable});
+      });
+      var _srcdoc=Object.getOwnPropertyDescriptor(HTMLIFrameElement.prototype,'srcdoc');
+      Object.defineProperty(HTMLIFrameElement.prototype,'srcdoc',{get:_srcdoc.get,set:function(v){_srcdoc.set.call(this,shimSrcdoc(v));},
+        enumerable:_srcdoc.enumerable,configurable:_srcdoc.configurable});
+    }catch(e){}
+    function _rwFrame(el){
+      if(!el||el.tagName!=='IFRAME')return;
+      var doc=el.getAttribute('srcdoc');
+      if(doc!==null&&doc.lastIndexOf(SRCDOC_MARK,0)!==0)el.setAttribute('srcdoc',shimSrcdoc(doc));
+      shimFrame(el.contentWindow);
+    }
     // Rewrite src/href on dynamically added elements (script, link, img, etc.)
     function _rwEl(el){
       if(!el||el.nodeType!==1)return;
@@ -303,218 +1287,836 @@ function injectMetaScript(html, finalUrl) {
     }
     try{new MutationObserver(function(muts){muts.forEach(function(m){
       if(m.type==='childList'){m.addedNodes.forEach(function(n){
-        _rwEl(n);
-        if(n.querySelectorAll){try{n.querySelectorAll('script[src],link[href],img[src],source[src],video[src],audio[src],iframe[src],embed[src]').forEach(_rwEl);}catch(e){}}
+        _rwEl(n);_rwFrame(n);
+        if(n.querySelectorAll){try{
+          n.querySelectorAll('script[src],link[href],img[src],source[src],video[src],audio[src],iframe[src],embed[src]').forEach(_rwEl);
+          n.querySelectorAll('iframe').forEach(_rwFrame);
+        }catch(e){}}
       });}
-      else if(m.type==='attributes'){_rwEl(m.target);}
-    });}).observe(document.documentElement,{childList:true,subtree:true,attributes:true,attributeFilter:['src','href']});}catch(e){}
-    // Send metadata
-    function send(){
-      var fav='';
-      var el=document.querySelector('link[rel~="icon"]')||document.querySelector('link[rel="shortcut icon"]');
-      if(el)fav=el.href;
-      else try{fav=new URL('/favicon.ico',BASE).href}catch(e){}
-      window.parent.postMessage({type:'drift-meta',title:document.title||'',favicon:fav,url:BASE},'*');
-    }
-    if(document.readyState==='complete')send();
-    else window.addEventListener('load',send);
-  })()<\/script>`;
-
-  // Inject at the very top of <head> so interceptors run before any page scripts
-  const injection = privacyTags + script;
-  if (/<head[^>]*>/i.test(html)) {
-    return html.replace(/<head[^>]*>/i, '$&' + injection);
-  }
-  return injection + html;
+      else if(m.type==='attributes'){_rwEl(m.target);_rwFrame(m.target);}
+    });}).observe(document.documentElement,{childList:true,subtree:true,attributes:true,attributeFilter:['src','href','srcdoc']});}catch(e){}
+    // ── Reports to the tab ──
+    // The real URL of the page's icon (its <link> has been proxied)
+    function favicon(){
+      var el=document.querySelector('link[rel~="icon"]'),h=el&&el.getAttribute('href');
+      try{
+        if(h){
+          var u=new URL(h,location.href);
+          if(u.origin===location.origin&&u.pathname.indexOf('/proxy/')===0)return DriftCodec.decode(u.pathname.slice(7))||'';
+          return new URL(h,base()).href;
+        }
+        return new URL('/favicon.ico',BASE).href;
+      }catch(e){return '';}
+    }
+    // Navigations: the page loading, and the URL changing under it through
+    // the History API or the fragment
+    var _lastUrl=null,_lastTitle=null;
+    function reportNav(kind){
+      var u=realUrl().href;
+      if(u===_lastUrl)return;
+      _lastUrl=u;_lastTitle=document.title||'';
+      tell('nav',{kind:kind,url:u,title:_lastTitle,favicon:favicon(),status:STATUS});
+    }
+    function reportTitle(){
+      var t=document.title||'';
+      if(t!==_lastTitle){_lastTitle=t;tell('title',{title:t});}
+    }
+    // Blocked requests and cleaned URLs on this page, while its tab is shown.
+    // Only told when they change; they're asked for again once the page has
+    // made more requests, at most every few seconds.
+    var _lastCounts=null,_countsTimer=null;
+    function reportCounts(){
+      _countsTimer=null;
+      if(!window.innerWidth)return;
+      _nativeFetch.call(window,'/blocked-count?page='+encodeURIComponent(BASE)).then(function(r){return r.json();}).then(function(d){
+        var counts={blocked:d.page||0,cleaned:d.pageCleaned||0,blockedTotal:d.count||0,cleanedTotal:d.cleaned||0};
+        var key=JSON.stringify(counts);
+        if(key===_lastCounts)return;
+        _lastCounts=key;
+        tell('counts',counts);
+      }).catch(function(){});
+    }
+    function countsChanged(list){
+      // Not for the count requests themselves
+      var more=list.getEntries().some(function(e){return e.name.indexOf(location.origin+'/blocked-count')!==0;});
+      if(more&&!_countsTimer)_countsTimer=setTimeout(reportCounts,3000);
+    }
+    if(TOKEN){
+      ['pushState','replaceState'].forEach(function(k){
+        var _orig=history[k];
+        history[k]=function(){var r=_orig.apply(history,arguments);reportNav(k==='pushState'?'push':'replace');return r;};
+      });
+      window.addEventListener('popstate',function(){reportNav('pop');});
+      window.addEventListener('hashchange',function(){reportNav('hash');});
+      document.addEventListener('DOMContentLoaded',function(){
+        reportNav('load');
+        tell('progress',{state:'interactive'});
+        try{new MutationObserver(reportTitle).observe(document.head||document.documentElement,{subtree:true,childList:true,characterData:true});}catch(e){}
+      });
+      window.addEventListener('load',function(){
+        tell('progress',{state:'complete'});
+        reportCounts();
+        try{new PerformanceObserver(countsChanged).observe({type:'resource'});}catch(e){}
+      });
+      window.addEventListener('beforeunload',function(){tell('progress',{state:'navigating'});});
+    }
+  }});`;
 }
 
-app.get('/proxy/*', (req, res) => {
-  let targetUrl = decodeURIComponent(req.params[0]);
+// Shim prepended to scripts loaded as workers (dedicated, shared and
+// service), which run without the page script: routes their fetch, XHR,
+// importScripts, WebSockets and nested workers through the proxy. URLs are
+// resolved against the script's real URL; ones built from the worker's own
+// location point at Drift and are resolved against the real site instead
+// (relative ones resolved against its /proxy/ URL included), and cleaned of
+// tracking unless their site is in `cleaningExempt`. Collapsed to one line,
+// so the worker's own line numbers don't move.
+function workerShim(scriptUrl, cleaningExempt, fingerprint) {
+  return `;(function(){
+    ${typeof fingerprint === 'number' ? `${browserProtectionSource()}(self,${fingerprint});` : ''}
+    var BASE=${scriptJson(scriptUrl)},HOST=self.location.host,DriftCodec=${browserCodecSource()};
+    var DriftCleaner=${browserCleanerSource()}(${scriptJson(cleaningExempt ? [...cleaningExempt] : [])});
+    function real(u){
+      var url=new URL(u,BASE);
+      if(url.host!==HOST)return url;
+      var path=url.pathname+url.search+url.hash,segment=url.pathname.slice(7);
+      if(path.indexOf('/proxy-ws/')===0)return null;
+      if(path.indexOf('/proxy/')===0){
+        if(/^[a-z][a-z0-9]*~/.test(segment)||DriftCodec.decode(segment))return null;
+        path=path.slice(7);
+      }
+      return new URL(path,BASE);
+    }
+    function toProxy(u){
+      try{
+        u=String(u);
+        var url=/^\\/proxy(-ws)?\\//.test(u)?null:real(u);
+        return url&&(url.protocol==='http:'||url.protocol==='https:')?'/proxy/'+DriftCodec.encode(DriftCleaner.clean(url.href)):u;
+      }catch(e){return u;}
+    }
+    if(self.fetch){var _fetch=self.fetch;self.fetch=function(input,init){
+      try{
+        if(typeof input==='string'||input instanceof URL)input=toProxy(input);
+        else if(input&&input.url){var p=toProxy(input.url);if(p!==input.url)input=new Request(p,input);}
+      }catch(e){}
+      return _fetch.call(self,input,init);
+    };}
+    if(self.XMLHttpRequest){var _xhrOpen=XMLHttpRequest.prototype.open;XMLHttpRequest.prototype.open=function(){
+      var a=Array.prototype.slice.call(arguments);a[1]=toProxy(a[1]);return _xhrOpen.apply(this,a);
+    };}
+    if(typeof importScripts==='function'){var _import=importScripts;self.importScripts=function(){
+      return _import.apply(self,Array.prototype.map.call(arguments,toProxy));
+    };}
+    ['Worker','SharedWorker'].forEach(function(k){
+      var _W=self[k];if(!_W)return;
+      var DriftWorker=function(u,options){return options===undefined?new _W(toProxy(u)):new _W(toProxy(u),options);};
+      DriftWorker.prototype=_W.prototype;self[k]=DriftWorker;
+    });
+    if(self.WebSocket){var _WS=self.WebSocket;var DriftWebSocket=function(u,protocols){
+      try{
+        var url=real(u);
+        if(url){
+          if(url.protocol==='http:')url.protocol='ws:';else if(url.protocol==='https:')url.protocol='wss:';
+          u=(self.location.protocol==='https:'?'wss:':'ws:')+'//'+HOST+'/proxy-ws/'+DriftCodec.encode(url.href)+'?page='+encodeURIComponent(DriftCodec.encode(BASE));
+        }
+      }catch(e){}
+      return protocols===undefined?new _WS(u):new _WS(u,protocols);
+    };
+    DriftWebSocket.prototype=_WS.prototype;
+    ['CONNECTING','OPEN','CLOSING','CLOSED'].forEach(function(k){DriftWebSocket[k]=_WS[k];});
+    self.WebSocket=DriftWebSocket;}
+  })();`.replace(/\n\s*/g, '');
+}
+
+// The worker shim goes after a leading "use strict", so it still applies
+const USE_STRICT = /^(?:\s|\/\*[\s\S]*?\*\/|\/\/.*\n)*(["'])use strict\1;?/;
+
+// Pass-through stage reporting how many bytes flow through it
+function countBytes(record) {
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      record(chunk.length);
+      callback(null, chunk);
+    }
+  });
+}
 
-  if (!targetUrl) {
+app.all('/proxy/*', (req, res) => {
+  // What happened to the request, for the access log and /metrics
+  const log = req.driftLog;
+  log.branch = 'error';
+  res.on('close', () => metrics.requests.inc({ branch: log.branch, status: res.statusCode }));
+
+  const encoded = req.path.slice('/proxy/'.length);
+  if (!encoded) {
     return res.status(400).json({ error: 'Missing target URL' });
   }
 
-  // Block ad/tracker domains (skip if ad blocking is disabled)
-  if (adBlockEnabled) {
-    try {
-      const hostname = new URL(targetUrl).hostname;
-      if (isBlocked(hostname)) {
-        blockedCount++;
-        console.log(`Blocked: ${hostname} (${blockedCount} total)`);
-        return res.status(204).end();
-      }
-    } catch {}
+  let targetUrl;
+  try {
+    targetUrl = decodeTarget(encoded);
+  } catch {
+    return res.status(400).send(renderErrorPage('Broken link',
+      "This Drift link can't be read. It may have been damaged, or made before the server changed how links are encoded."));
   }
 
+  // The Drift tab loading this page marks its frame's first request with
+  // its token (see runtimeSource)
+  const tab = typeof req.query[TAB_PARAM] === 'string' && TAB_TOKEN.test(req.query[TAB_PARAM]) ? req.query[TAB_PARAM] : '';
+
   // Append any query params (e.g. from form submissions like ?q=test) to the target
-  const queryKeys = Object.keys(req.query);
+  const queryKeys = Object.keys(req.query).filter(key => key !== TAB_PARAM && key !== NAV_PARAM);
   if (queryKeys.length > 0) {
     const parsed = new URL(targetUrl);
-    for (const [key, value] of Object.entries(req.query)) {
-      parsed.searchParams.append(key, value);
+    for (const key of queryKeys) {
+      parsed.searchParams.append(key, req.query[key]);
     }
     targetUrl = parsed.href;
   }
+  log.target = targetUrl;
 
-  let responded = false;
-  const fetchOptions = { accept: req.headers.accept || '*/*' };
-  fetchWithRedirects(targetUrl, 0, (err, response) => {
-    if (responded) return;
-    responded = true;
+  const session = req.driftSession;
+  const navigation = req.headers['sec-fetch-mode'] === 'navigate';
+  // Pages loaded into a frame get their origin's storage grant; never ones
+  // fetched by script, or any page could read another origin's grant off it
+  const frameNavigation = navigation && ['iframe', 'document'].includes(req.headers['sec-fetch-dest']);
+  // The tab's own page rather than a frame in it: its first load carries the
+  // tab token, later ones NAV_PARAM
+  const tabNavigation = frameNavigation && (!!tab || req.query[NAV_PARAM] === '1');
+  // Real URL of the proxied page that made this request, when it's known
+  const pageUrl = pageForReferer(session, req.headers.referer);
+  const referrer = navigation ? documentReferrer(pageUrl, targetUrl) : null;
+  // Stylesheets and scripts that don't declare an encoding are in their page's
+  const fallbackEncoding = pageEncoding(session, pageUrl);
+  // Worker scripts run without the injected page script: they get the
+  // worker shim instead, and their location is left alone
+  const workerScript = /worker$/.test(req.headers['sec-fetch-dest'] || '');
+  // Noise seed for fingerprinting protection, or null when it's off here
+  const fingerprint = protectionSeed(targetUrl, session.id, session.fingerprintExempt);
+
+  // Tracking parameters and click-logging redirectors (see url-cleaner.js).
+  // The browser is sent on to the clean URL, so a tab shows that one.
+  const cleanedUrl = cleanUrl(targetUrl, session.cleaningExempt);
+  if (cleanedUrl !== targetUrl) {
+    recordCleaned(session, navigation ? cleanedUrl : pageUrl, 1);
+    log.branch = 'cleaned';
+    return res.redirect(307, tabNavigation ? tabNavigationPath(cleanedUrl) : proxyPath(cleanedUrl));
+  }
+
+  const client = limits.clientIp(req);
+  const limited = limits.checkRate(client, signInKey(req.driftAuth));
+  if (limited) {
+    log.branch = 'limited';
+    return sendLimited(res, navigation, limited.retryAfter,
+      limited.scope === 'address' ? 'Too many requests from your address' : 'Too many requests from this session');
+  }
+
+  // Block ads and trackers (skip if ad blocking is disabled)
+  const type = tabNavigation ? 'document' : requestType(req.headers['sec-fetch-dest']);
+  const rule = session.adBlockEnabled && blockingRule(targetUrl, type, pageUrl);
+  if (rule) {
+    session.blockStats.record(targetUrl, type, pageUrl);
+    metrics.blocked.inc({ rule });
+    log.branch = 'blocked';
+    log.rule = rule;
+    return res.status(204).end();
+  }
+
+  // Forward the raw body of POST/PUT/PATCH/DELETE requests
+  const hasBody = req.headers['content-length'] > 0 || req.headers['transfer-encoding'] !== undefined;
+  const fetchOptions = {
+    method: req.method,
+    body: hasBody ? createRequestBody(req) : null,
+    accept: req.headers.accept || '*/*',
+    cookieJar: session.cookieJar,
+    cookieContext: {
+      initiator: initiatorHost(pageUrl),
+      navigation,
+      method: req.method
+    },
+    range: req.headers.range,
+    ifRange: req.headers['if-range'],
+    log
+  };
+  // Plain GETs are served from and stored in the proxy cache. Rewritten
+  // HTML embeds the session's ad-block, cookie, URL cleaning and
+  // fingerprinting settings, the page's referrer and, for frame loads, its
+  // storage grant, and page scripts are rewritten differently from workers,
+  // hence the variant. Requests that carry a tab token skip the cache: the
+  // page built for them has that tab's token in it, and no other tab may
+  // send messages with it.
+  const requestCacheControl = req.headers['cache-control'] || (req.headers.pragma === 'no-cache' ? 'no-cache' : '');
+  const cacheRequest = req.method === 'GET' && !hasBody && !fetchOptions.range && !tab &&
+    !parseCacheControl(requestCacheControl)['no-store'] ? {
+      partition: session.id,
+      url: targetUrl,
+      headers: {
+        'accept': fetchOptions.accept,
+        'accept-encoding': compression.UPSTREAM_ACCEPT_ENCODING,
+        'accept-language': config.get().headers.acceptLanguage,
+        'user-agent': config.get().headers.userAgent
+      },
+      variant: `${session.adBlockEnabled ? `adblock:${filtersVersion()}` : 'plain'} ${session.cookieJar ? 'jar' : 'nojar'}` +
+        (workerScript ? ' worker' : '') + (frameNavigation ? ' frame' : '') + (referrer ? ` referrer:${referrer}` : '') +
+        (fallbackEncoding ? ` charset:${fallbackEncoding}` : '') +
+        ` clean:${rulesVersion()}` + (session.cleaningExempt.size ? `:${[...session.cleaningExempt].sort().join(',')}` : '') +
+        (fingerprint !== null ? ` fp:${profileVersion()}` : ''),
+      cacheControl: requestCacheControl
+    } : null;
+
+  // Each upstream fetch holds one of the client's connection slots until
+  // the response has been relayed
+  function fetchUpstream(callback, options) {
+    const release = limits.acquireConnection(client);
+    if (!release) {
+      log.branch = 'limited';
+      return sendLimited(res, navigation, limits.CONNECTION_RETRY_AFTER, 'Too many requests in progress');
+    }
+    res.on('close', release);
+    fetchWithRedirects(targetUrl, 0, callback, options);
+  }
+
+  // A page that couldn't be fetched gets an error page its tab can show;
+  // other requests get JSON
+  function fetchFailed(status, title, message) {
+    if (navigation) return res.status(status).send(renderErrorPage(title, message));
+    res.status(status).json({ error: message });
+  }
+
+  function handleResponse(err, response) {
     if (err) {
+      log.error = err;
+      if (err.code === 'EDESTINATION') {
+        return res.status(403).send(renderErrorPage('Destination not allowed',
+          `${err.message}. Drift only connects to public http(s) addresses — private, loopback and link-local networks can't be reached through the proxy.`));
+      }
+      if (err.code === 'EUPSTREAMPROXY') {
+        return fetchFailed(502, "Couldn't load the page", err.message);
+      }
       if (err.message === 'Too many redirects') {
-        return res.status(508).json({ error: 'Too many redirects' });
+        return fetchFailed(508, 'Too many redirects', 'Too many redirects');
       }
       if (err.message === 'Request timed out') {
-        return res.status(504).json({ error: 'Request timed out' });
+        return fetchFailed(504, 'Request timed out', 'Request timed out');
       }
-      return res.status(500).json({ error: `Failed to fetch: ${err.message}` });
+      return fetchFailed(500, "Couldn't load the page", `Failed to fetch: ${err.message}`);
+    }
+    sendResponse(response);
+  }
+
+  // A stored copy, presented like a fresh upstream response
+  function cachedResponse(entry, body) {
+    const stream = new PassThrough();
+    stream.end(body);
+    return { statusCode: 200, headers: Object.assign({}, entry.headers), stream, finalUrl: entry.url, cached: entry };
+  }
+
+  function sendResponse(response, cacheStatus) {
+    if (!response.cached && limits.tooLarge(response.headers['content-length'])) {
+      response.stream.destroy();
+      limits.recordOversized();
+      return res.status(502).send(renderErrorPage('Response too large',
+        `${targetUrl} is larger than this Drift server allows.`));
     }
 
     const contentType = response.headers['content-type'] || 'text/html';
 
-    // Privacy: prevent browser from caching proxied content to disk,
-    // strip cookies from the remote site, and block referrer leaks
+    // Privacy: prevent browser from caching proxied content to disk
+    // and keep referrers from leaving the Drift origin
     res.set('Content-Type', contentType);
     res.set('Cache-Control', 'no-store, no-cache, must-revalidate, private');
     res.set('Pragma', 'no-cache');
     res.set('Expires', '0');
-    res.set('Referrer-Policy', 'no-referrer');
+    res.set('Referrer-Policy', 'same-origin');
     res.set('X-Content-Type-Options', 'nosniff');
-    // Don't forward remote site cookies to the user's browser
-    res.removeHeader('Set-Cookie');
     // Strip headers that block iframe embedding
     res.removeHeader('X-Frame-Options');
     res.removeHeader('Content-Security-Policy-Report-Only');
-    // Apply a permissive CSP for proxied content — allows same-origin
-    // resources (all URLs are rewritten to /proxy/*) and inline code,
-    // but blocks plugins and restricts base-uri
-    // Permissive CSP: rewritten URLs go through /proxy/* ('self'),
-    // but dynamic JS-loaded resources may hit external origins
-    res.set('Content-Security-Policy', [
-      "default-src * 'unsafe-inline' 'unsafe-eval' data: blob:",
-      "img-src * data: blob:",
-      "media-src * data: blob:",
-      "font-src * data:",
-      "connect-src * data: blob:",
-      "object-src 'none'",
-      "base-uri 'self'",
-    ].join('; '));
+    // Permissive CSP (csp.proxied): rewritten URLs go through /proxy/*
+    // ('self'), but dynamic JS-loaded resources may hit external origins
+    res.set('Content-Security-Policy', config.get().csp.proxied.join('; '));
 
     const finalUrl = response.finalUrl || targetUrl;
+    if (navigation) rememberPage(session, finalUrl);
+
+    // A redirect that couldn't be followed here (its body was too large to
+    // replay) goes to the browser, pointed back through the proxy
+    if (response.headers.location) {
+      try {
+        const next = new URL(response.headers.location, finalUrl).href;
+        res.set('Location', tabNavigation ? tabNavigationPath(next) : proxyPath(next));
+      } catch {}
+    }
+
+    // Partial responses, empty bodies and bodies in an encoding we can't
+    // decode can't be rewritten — relay them byte-for-byte
+    const upstreamEncoding = compression.normalizeEncoding(response.headers['content-encoding']);
+    const hasBody = req.method !== 'HEAD' && response.statusCode !== 204 && response.statusCode !== 304;
+    const rewritable = hasBody && !response.cached && response.statusCode !== 206 && compression.canDecode(upstreamEncoding);
+    const storable = cacheRequest && !response.cached &&
+      !unstorableReason(response.statusCode, response.headers, response.sentCookie);
+    if (cacheRequest) {
+      log.cache = cacheStatus || 'MISS';
+      res.set('X-Drift-Cache', log.cache);
+    }
+    const kind = contentType.includes('text/html') ? 'html'
+      : contentType.includes('text/css') ? 'css'
+        : contentType.includes('javascript') ? 'js' : null;
+
+    // A rewritten page from the cache is UTF-8 now and its links are clean;
+    // what it was and how many links were cleaned stay with the entry
+    if (kind === 'html' && response.cached && response.cached.rewritten) {
+      rememberEncoding(session, finalUrl, response.cached.encoding || 'utf-8');
+      recordCleaned(session, finalUrl, response.cached.cleaned);
+    }
 
     // Rewrite URLs in HTML responses so links stay within the proxy
-    if (contentType.includes('text/html')) {
-      const charset = (contentType.match(/charset=([^\s;]+)/i) || [])[1] || 'utf-8';
-      let html = response.body.toString(charset);
-      html = stripTrackingElements(html);
-      html = rewriteUrls(html, finalUrl);
-      html = injectMetaScript(html, finalUrl);
-      res.status(response.statusCode).send(html);
-    } else if (contentType.includes('text/css')) {
+    let rewriter = null;
+    if (rewritable && kind === 'html') {
+      const documentCookies = session.cookieJar ? session.cookieJar.getDocumentCookies(finalUrl) : null;
+      rewriter = createHtmlRewriter({
+        decoder: createTextDecoder('html', contentType, null, (encoding) => {
+          rememberEncoding(session, finalUrl, encoding);
+          // Only known once the body starts arriving, so set on the entry
+          // being captured rather than up front
+          if (cacheMeta) cacheMeta.encoding = encoding;
+        }),
+        baseUrl: finalUrl,
+        injection: injectMetaScript(finalUrl, {
+          cookies: documentCookies,
+          referrer,
+          cleaningExempt: session.cleaningExempt,
+          tab,
+          status: response.statusCode,
+          fingerprint,
+          storage: frameNavigation ? storageGrant(session.id, new URL(finalUrl).origin) : ''
+        }),
+        cleanUrl: (url) => {
+          const cleaned = cleanUrl(url, session.cleaningExempt);
+          if (cleaned !== url) {
+            recordCleaned(session, finalUrl, 1);
+            if (cacheMeta) cacheMeta.cleaned = (cacheMeta.cleaned || 0) + 1;
+          }
+          return cleaned;
+        },
+        rewriteScript: rewriteLocation,
+        hideCss: session.adBlockEnabled ? hidingCss(finalUrl) : ''
+      });
+    } else if (rewritable && kind === 'css') {
       // Rewrite url() references in CSS so fonts/images stay proxied
-      let css = response.body.toString('utf-8');
-      css = css.replace(
-        /url\(\s*['"]?([^'")]+?)['"]?\s*\)/gi,
-        (match, url) => {
-          if (url.startsWith('data:')) return match;
-          try {
-            const resolved = new URL(url, finalUrl).href;
-            return `url('/proxy/${encodeURIComponent(resolved)}')`;
-          } catch {
-            return match;
+      rewriter = createRewriteStream(createTextDecoder('css', contentType, fallbackEncoding), cssSplitPoint,
+        (css) => rewriteCss(css, finalUrl));
+    } else if (rewritable && kind === 'js') {
+      // Rewrite relative paths in JS so ES module imports resolve correctly.
+      // Page scripts are held back whole, up to a size limit, so the parser
+      // can rewrite their location accesses too; workers get the worker shim
+      // in front.
+      let shim = workerScript ? workerShim(finalUrl, session.cleaningExempt, fingerprint) : '';
+      rewriter = createRewriteStream(createTextDecoder('js', contentType, fallbackEncoding),
+        (js) => workerScript || js.length > MAX_SCRIPT_SIZE ? jsSplitPoint(js) : 0,
+        (js, whole) => {
+          js = rewriteJs(whole && !workerScript ? rewriteLocation(js) : js, finalUrl);
+          if (shim) {
+            const prologue = (USE_STRICT.exec(js) || [''])[0];
+            js = prologue + shim + js.slice(prologue.length);
+            shim = '';
           }
-        }
-      );
-      res.status(response.statusCode).send(css);
-    } else if (contentType.includes('javascript')) {
-      // Rewrite relative paths in JS so ES module imports resolve correctly
-      let js = response.body.toString('utf-8');
+          return js;
+        });
+    }
 
-      function resolveJsPath(relPath) {
-        try {
-          const resolved = new URL(relPath, finalUrl).href;
-          return '/proxy/' + encodeURIComponent(resolved);
-        } catch {
-          return relPath;
+    const rewritten = rewriter || (response.cached && response.cached.rewritten);
+    const branch = rewritten ? kind : 'passthrough';
+    log.branch = branch;
+
+    // Bodies without a Content-Length are cut off once they pass the limit
+    const stages = [response.stream];
+    if (!response.cached) {
+      stages.push(countBytes((bytes) => {
+        metrics.bytesIn.inc({ branch }, bytes);
+        log.upstreamBytes = (log.upstreamBytes || 0) + bytes;
+      }));
+      stages.push(limits.sizeLimit());
+    }
+    const clientEncodings = req.headers['accept-encoding'];
+    const cacheMeta = storable && {
+      partition: session.id,
+      url: finalUrl,
+      requestUrl: targetUrl,
+      headers: response.headers,
+      requestHeaders: cacheRequest.headers,
+      variant: cacheRequest.variant
+    };
+    if (rewritten) {
+      // Rewritten output is re-encoded as UTF-8 and its length isn't known
+      // up front; it is decoded first and compressed again for the client
+      res.set('Content-Type', setCharset(contentType, 'utf-8'));
+      res.set('Vary', 'Accept-Encoding');
+      if (rewriter) {
+        const decoder = compression.createDecoder(upstreamEncoding);
+        if (decoder) stages.push(decoder);
+        stages.push(rewriter);
+      }
+      // The rewritten output is what gets cached — except HTML carrying a
+      // snapshot of the session's document cookies
+      if (cacheMeta && !(session.cookieJar && contentType.includes('text/html'))) {
+        stages.push(httpCache.capture(Object.assign(cacheMeta, {
+          headers: Object.assign({}, response.headers, {
+            'content-type': setCharset(contentType, 'utf-8'),
+            'content-encoding': undefined,
+            'content-length': undefined
+          }),
+          rewritten: true
+        })));
+      }
+      const outputEncoding = compression.negotiateEncoding(clientEncodings);
+      if (outputEncoding) {
+        res.set('Content-Encoding', outputEncoding);
+        stages.push(compression.createEncoder(outputEncoding));
+      }
+    } else {
+      // Everything else is cached as the upstream sent it
+      if (cacheMeta) stages.push(httpCache.capture(cacheMeta));
+      if (upstreamEncoding === 'identity' || !compression.canDecode(upstreamEncoding) ||
+          compression.acceptsEncoding(clientEncodings, upstreamEncoding)) {
+        // Pass-through: relay the body as sent, still compressed, with its
+        // length and range headers so the browser can seek
+        for (const name of ['Content-Encoding', 'Content-Length', 'Content-Range', 'Accept-Ranges']) {
+          const value = response.headers[name.toLowerCase()];
+          if (value) res.set(name, value);
         }
+      } else {
+        // Pass-through in an encoding the client didn't ask for (e.g. br to a
+        // plain-http client): decode it here, length unknown
+        stages.push(compression.createDecoder(upstreamEncoding));
       }
+    }
+    stages.push(countBytes(bytes => metrics.bytesOut.inc({ branch }, bytes)));
+    stages.push(res);
 
-      // Rewrite static imports: from "./foo.js" / from './foo.js'
-      js = js.replace(
-        /(\bfrom\s*)(["'])(\.\.?\/[^"']+)\2/g,
-        (match, prefix, quote, path) => `${prefix}${quote}${resolveJsPath(path)}${quote}`
-      );
-
-      // Rewrite side-effect imports: import "./foo.js" / import'./foo.js'
-      js = js.replace(
-        /(\bimport\s*)(["'])(\.\.?\/[^"']+)\2/g,
-        (match, prefix, quote, path) => `${prefix}${quote}${resolveJsPath(path)}${quote}`
-      );
-
-      // Rewrite dynamic imports: import("./foo.js") / import('./foo.js')
-      js = js.replace(
-        /(\bimport\s*\(\s*)(["'])(\.\.?\/[^"']+)\2(\s*\))/g,
-        (match, pre, quote, path, post) => `${pre}${quote}${resolveJsPath(path)}${quote}${post}`
-      );
-
-      // Rewrite Vite/webpack asset paths in string arrays like ["assets/foo.css"]
-      // These are relative to site root, not the JS file
-      js = js.replace(
-        /(\[(?:\s*"(?:assets\/[^"]+)"(?:\s*,)?)+\s*\])/g,
-        (match) => {
-          return match.replace(/"(assets\/[^"]+)"/g, (m, path) => {
-            try {
-              const resolved = new URL('/' + path, finalUrl).href;
-              return '"/proxy/' + encodeURIComponent(resolved) + '"';
-            } catch {
-              return m;
-            }
-          });
-        }
-      );
-
-      // Rewrite url() in JS strings (e.g. CSS-in-JS)
-      js = js.replace(
-        /url\(\s*['"]?(\.\.?\/[^'")]+?)['"]?\s*\)/gi,
-        (match, url) => {
-          if (url.startsWith('data:')) return match;
-          return `url('${resolveJsPath(url)}')`;
-        }
-      );
-
-      // Rewrite new URL("path", import.meta.url) pattern used by Vite for workers/assets
-      js = js.replace(
-        /new\s+URL\(\s*(["'])([^"']+)\1\s*,\s*import\.meta\.url\s*\)/g,
-        (match, quote, path) => {
-          if (path.startsWith('data:') || path.startsWith('http:') || path.startsWith('https:') || path.startsWith('/proxy/')) return match;
-          return `new URL(${quote}${resolveJsPath(path)}${quote}, import.meta.url)`;
-        }
-      );
-
-      // Rewrite absolute path strings that reference known asset types (fonts, images, etc.)
-      // This catches paths like "/Rubik-VariableWeight.woff2" used by FontFace in workers
-      js = js.replace(
-        /(["'])(\/[^"']*\.(?:woff2?|ttf|otf|eot|png|jpe?g|gif|svg|webp|avif|ico|mp[34]|webm|ogg|wav|json))\1/gi,
-        (match, quote, path) => {
-          if (path.startsWith('/proxy/')) return match;
-          try {
-            const resolved = new URL(path, finalUrl).href;
-            return `${quote}/proxy/${encodeURIComponent(resolved)}${quote}`;
-          } catch {
-            return match;
-          }
-        }
-      );
+    res.status(response.statusCode);
+    pipeline(...stages, (err) => {
+      if (err && err.code === 'ETOOLARGE') {
+        accessLog.event(req, 'oversized', err);
+      } else if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        accessLog.event(req, 'stream-failed', err);
+      }
+    });
+  }
 
-      res.status(response.statusCode).send(js);
-    } else {
-      res.status(response.statusCode).send(response.body);
+  if (!cacheRequest) return fetchUpstream(handleResponse, fetchOptions);
+
+  httpCache.lookup(cacheRequest, (entry, body, fresh) => {
+    if (entry && fresh) return sendResponse(cachedResponse(entry, body), 'HIT');
+    // Stale: ask upstream whether the stored copy is still good. One found
+    // through a redirect is fetched again, as its validators are for the
+    // URL redirected to.
+    const conditional = entry && entry.url === targetUrl && httpCache.conditionalHeaders(entry);
+    if (!conditional) return fetchUpstream(handleResponse, fetchOptions);
+    fetchUpstream((err, response) => {
+      if (err || response.statusCode !== 304) return handleResponse(err, response);
+      response.stream.resume();
+      httpCache.refresh(entry, response.headers);
+      sendResponse(cachedResponse(entry, body), 'REVALIDATED');
+    }, Object.assign({}, fetchOptions, { conditional }));
+  });
+});
+
+// Collect a fetched response's decoded body, failing with code ETOOLARGE
+// once it passes maxSize
+function readBody(response, maxSize, callback) {
+  const contentEncoding = compression.normalizeEncoding(response.headers['content-encoding']);
+  if (!compression.canDecode(contentEncoding)) {
+    response.stream.destroy();
+    return callback(new Error(`Unsupported content encoding ${contentEncoding}`));
+  }
+  const chunks = [];
+  let size = 0;
+  const stages = [response.stream, limits.sizeLimit()];
+  const decoder = compression.createDecoder(contentEncoding);
+  if (decoder) stages.push(decoder);
+  stages.push(new Writable({
+    write(chunk, encoding, done) {
+      size += chunk.length;
+      if (size > maxSize) {
+        const err = new Error(`Body exceeded ${maxSize / 1024 / 1024} MB`);
+        err.code = 'ETOOLARGE';
+        return done(err);
+      }
+      chunks.push(chunk);
+      done();
+    }
+  }));
+  pipeline(...stages, err => callback(err, err ? null : Buffer.concat(chunks)));
+}
+
+// Largest page reader mode will parse
+const READER_MAX_SIZE = 5 * 1024 * 1024;
+
+// Reader mode: /reader/<encoded url> fetches the page and shows just its
+// article in a Drift page, links and images pointing through /proxy/.
+// ?format=json returns the extracted fields instead.
+app.get('/reader/*', (req, res) => {
+  const json = req.query.format === 'json';
+  function fail(status, title, message) {
+    if (json) return res.status(status).json({ error: message });
+    res.status(status).send(renderErrorPage(title, message));
+  }
+
+  let targetUrl;
+  try {
+    targetUrl = decodeTarget(req.path.slice('/reader/'.length));
+  } catch {
+    return fail(400, 'Broken link', "This Drift link can't be read.");
+  }
+  req.driftLog.target = targetUrl;
+
+  const client = limits.clientIp(req);
+  const limited = limits.checkRate(client, signInKey(req.driftAuth));
+  if (limited) {
+    return sendLimited(res, !json, limited.retryAfter,
+      limited.scope === 'address' ? 'Too many requests from your address' : 'Too many requests from this session');
+  }
+  const release = limits.acquireConnection(client);
+  if (!release) return sendLimited(res, !json, limits.CONNECTION_RETRY_AFTER, 'Too many requests in progress');
+  res.on('close', release);
+
+  const session = req.driftSession;
+  fetchWithRedirects(targetUrl, 0, (err, response) => {
+    if (err) {
+      req.driftLog.error = err;
+      if (err.code === 'EDESTINATION') return fail(403, 'Destination not allowed', `${err.message}.`);
+      return fail(502, "Couldn't load the page", `Failed to fetch: ${err.message}`);
+    }
+    const finalUrl = response.finalUrl;
+    const contentType = response.headers['content-type'] || 'text/html';
+    if (!contentType.includes('text/html')) {
+      response.stream.destroy();
+      if (json) return res.status(415).json({ error: 'Not an HTML page' });
+      return res.redirect(proxyPath(finalUrl));
+    }
+    if (limits.tooLarge(response.headers['content-length'])) {
+      response.stream.destroy();
+      limits.recordOversized();
+      return fail(502, 'Response too large', `${finalUrl} is larger than this Drift server allows.`);
     }
-  }, fetchOptions);
+
+    readBody(response, READER_MAX_SIZE, (err, body) => {
+      if (err) {
+        req.driftLog.error = err;
+        return fail(502, "Couldn't load the page", err.code === 'ETOOLARGE'
+          ? 'The page is too large for reader mode.' : `Failed to fetch: ${err.message}`);
+      }
+      let article;
+      try {
+        article = extractArticle(decodeText('html', body, contentType).text, finalUrl);
+      } catch (err) {
+        // Markup nested too deeply for the parser
+        req.driftLog.error = err;
+        return fail(422, 'No article found', "Reader mode couldn't make sense of this page.");
+      }
+      res.set('Cache-Control', 'no-store');
+      if (json) return res.json(article);
+      res.send(renderArticle(article));
+    });
+  }, {
+    accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+    cookieJar: session.cookieJar,
+    cookieContext: { initiator: null, navigation: true, method: 'GET' },
+    log: req.driftLog
+  });
 });
 
-app.listen(PORT, () => {
-  console.log(`Proxy server running at http://localhost:${PORT}`);
+// Accept headers for the requests a saved copy makes, by request type
+const ARCHIVE_ACCEPT = {
+  document: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+  stylesheet: 'text/css,*/*;q=0.1',
+  script: '*/*',
+  image: 'image/avif,image/webp,image/png,image/svg+xml,image/*;q=0.8,*/*;q=0.5',
+  font: '*/*'
+};
+
+function archiveFilename(pageUrl, date, format) {
+  const stamp = date.toISOString().replace(/\D/g, '').slice(0, 14);
+  return `${new URL(pageUrl).hostname}-${stamp}.${format}`;
+}
+
+// Saved copies: /archive/<encoded url> downloads the page with its assets as
+// one HTML file, or ?format=warc as a WARC file (see archive.js). Assets are
+// fetched with the session's cookies and ad blocker, like the proxied page's.
+app.get('/archive/*', (req, res) => {
+  const format = req.query.format === 'warc' ? 'warc' : 'html';
+  let targetUrl;
+  try {
+    targetUrl = decodeTarget(req.path.slice('/archive/'.length));
+  } catch {
+    return res.status(400).json({ error: 'Invalid target URL' });
+  }
+  req.driftLog.target = targetUrl;
+
+  const client = limits.clientIp(req);
+  const limited = limits.checkRate(client, signInKey(req.driftAuth));
+  if (limited) {
+    return sendLimited(res, false, limited.retryAfter,
+      limited.scope === 'address' ? 'Too many requests from your address' : 'Too many requests from this session');
+  }
+  const release = limits.acquireConnection(client);
+  if (!release) return sendLimited(res, false, limits.CONNECTION_RETRY_AFTER, 'Too many requests in progress');
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+    release();
+  });
+
+  const session = req.driftSession;
+  function fetchResource(url, type, maxSize, callback) {
+    if (closed) return callback(new Error('Client went away'));
+    const navigation = type === 'document';
+    if (!navigation && session.adBlockEnabled && blockingRule(url, type, targetUrl)) {
+      session.blockStats.record(url, type, targetUrl);
+      const blocked = new Error('Blocked');
+      blocked.code = 'EBLOCKED';
+      return callback(blocked);
+    }
+    fetchWithRedirects(url, 0, (err, response) => {
+      if (err) return callback(err);
+      const length = parseInt(response.headers['content-length'], 10);
+      if (limits.tooLarge(response.headers['content-length']) || length > maxSize) {
+        response.stream.destroy();
+        const tooLarge = new Error(`${response.finalUrl} is too large to save`);
+        tooLarge.code = 'ETOOLARGE';
+        return callback(tooLarge);
+      }
+      readBody(response, maxSize, (err, body) => {
+        if (err) return callback(err);
+        callback(null, {
+          url,
+          finalUrl: response.finalUrl,
+          statusCode: response.statusCode,
+          headers: response.headers,
+          requestHeaders: response.requestHeaders,
+          body,
+          date: new Date()
+        });
+      });
+    }, {
+      accept: ARCHIVE_ACCEPT[type],
+      cookieJar: session.cookieJar,
+      cookieContext: { initiator: navigation ? null : initiatorHost(targetUrl), navigation, method: 'GET' },
+      log: navigation ? req.driftLog : undefined
+    });
+  }
+
+  collectPage(targetUrl, fetchResource, (err, archive) => {
+    if (closed) return;
+    if (err) {
+      req.driftLog.error = err;
+      if (err.code === 'EDESTINATION') return res.status(403).json({ error: `${err.message}.` });
+      if (err.code === 'ENOTHTML') return res.status(415).json({ error: 'Only HTML pages can be saved' });
+      if (err.code === 'ETOOLARGE') return res.status(502).json({ error: 'The page is too large to save' });
+      return res.status(502).json({ error: `Failed to fetch: ${err.message}` });
+    }
+    const page = archive.page;
+    res.set('Cache-Control', 'no-store');
+    res.attachment(archiveFilename(page.finalUrl, page.date, format));
+    if (format === 'warc') return res.type('application/warc').send(createWarc(archive));
+    res.type('text/html; charset=utf-8').send(singleFileHtml(archive));
+  });
+});
+
+// WebSockets opened by proxied pages arrive as /proxy-ws/<encoded ws(s) URL>
+// upgrades (see the WebSocket shim in runtimeSource)
+function handleUpgrade(req, socket, head) {
+  const target = parseWebSocketPath(req.url);
+  if (!target) return socket.destroy();
+  const log = accessLog.begin(req);
+  log.target = target.targetUrl;
+  function done(statusCode, err) {
+    log.error = err;
+    metrics.websockets.inc({ status: statusCode });
+    accessLog.end(req, statusCode);
+  }
+
+  const found = auth.authenticate(req);
+  if (!found) {
+    done(401);
+    return rejectUpgrade(socket, 401, 'Authentication required');
+  }
+  req.driftAuth = found;
+  if (limits.checkRate(limits.clientIp(req), signInKey(found))) {
+    done(429);
+    return rejectUpgrade(socket, 429, 'Too many requests');
+  }
+
+  // Upgrades skip the session middleware; without a session the defaults apply
+  const session = findSession(req);
+  const rule = (!session || session.adBlockEnabled) && blockingRule(target.targetUrl, 'websocket', target.pageUrl);
+  if (rule) {
+    if (session) session.blockStats.record(target.targetUrl, 'websocket', target.pageUrl);
+    metrics.blocked.inc({ rule });
+    log.branch = 'blocked';
+    log.rule = rule;
+    done(204);
+    return socket.destroy();
+  }
+
+  // The upstream sees the page's origin, as it would without the proxy
+  let origin;
+  try {
+    origin = new URL(target.pageUrl || handshakeUrl(target.targetUrl)).origin;
+  } catch {
+    origin = new URL(handshakeUrl(target.targetUrl)).origin;
+  }
+  const headers = {
+    'User-Agent': config.get().headers.userAgent,
+    'Accept-Language': config.get().headers.acceptLanguage,
+    'Origin': origin,
+    'Pragma': 'no-cache',
+    'Cache-Control': 'no-cache'
+  };
+  Object.assign(headers, clientHintHeaders(handshakeUrl(target.targetUrl)));
+
+  const jar = session && session.cookieJar;
+  const cookieUrl = handshakeUrl(target.targetUrl);
+  const cookieContext = { initiator: initiatorHost(target.pageUrl), navigation: false, method: 'GET' };
+  if (jar) {
+    const cookie = jar.getCookieHeader(cookieUrl, cookieContext);
+    if (cookie) headers['Cookie'] = cookie;
+  }
+
+  // Like an upstream fetch, the relay holds one of the client's connection
+  // slots, until either side of it closes
+  const release = limits.acquireConnection(limits.clientIp(req));
+  if (!release) {
+    log.branch = 'limited';
+    done(503);
+    return rejectUpgrade(socket, 503, 'Too many requests in progress', { 'Retry-After': limits.CONNECTION_RETRY_AFTER });
+  }
+  proxyWebSocket(target.targetUrl, req, socket, head, {
+    headers,
+    onCookies: cookies => { if (jar) jar.setCookies(cookies, cookieUrl, cookieContext); },
+    onResult: done,
+    onClose: release
+  });
+}
+
+// Drift serves HTTPS itself when listen.tlsCert and listen.tlsKey are set
+const { host, port, tlsCert, tlsKey } = config.get().listen;
+let server;
+if (tlsCert || tlsKey) {
+  let credentials;
+  try {
+    credentials = { cert: fs.readFileSync(tlsCert), key: fs.readFileSync(tlsKey) };
+  } catch (err) {
+    console.error(`Invalid Drift configuration:\n  listen.tlsCert and listen.tlsKey must both name readable PEM files (${err.message})`);
+    process.exit(1);
+  }
+  server = https.createServer(credentials, app);
+} else {
+  server = http.createServer(app);
+}
+server.listen(port, host || undefined, () => {
+  const scheme = tlsCert ? 'https' : 'http';
+  console.log(`Proxy server running at ${scheme}://${host || 'localhost'}:${server.address().port}`);
 });
+server.on('upgrade', handleUpgrade);
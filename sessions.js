@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const { createBlockStats } = require('./block-stats');
+const { createContainerStorage } = require('./container-storage');
+const { decodeTarget } = require('./proxy-url');
+
+// Drift's own sessions, identified by an HttpOnly cookie on the Drift
+// origin. Server-side per-user state (the cookie jar, ...) hangs off the
+// session object. Nothing here is ever sent to upstream sites.
+const COOKIE_NAME = 'drift_sid';
+const SESSION_TTL = 24 * 60 * 60 * 1000;
+const SWEEP_INTERVAL = 10 * 60 * 1000;
+const MAX_PAGES = 50;
+
+const sessions = new Map();
+
+function parseCookieHeader(header) {
+  const cookies = {};
+  if (!header) return cookies;
+  for (const part of header.split(';')) {
+    const eq = part.indexOf('=');
+    if (eq === -1) continue;
+    const name = part.slice(0, eq).trim();
+    if (name && !(name in cookies)) cookies[name] = part.slice(eq + 1).trim();
+  }
+  return cookies;
+}
+
+function createSession() {
+  const session = {
+    id: crypto.randomBytes(24).toString('hex'),
+    created: Date.now(),
+    lastSeen: Date.now(),
+    pages: new Map(),
+    // Real URL -> character encoding, for pages that weren't UTF-8
+    encodings: new Map(),
+    cookieJar: null,
+    adBlockEnabled: true,
+    blockStats: createBlockStats(),
+    // Sites whose URLs aren't cleaned (see url-cleaner.js), and how many
+    // URLs were cleaned, by the real URL of the page they were on
+    cleaningExempt: new Set(),
+    cleaned: new Map(),
+    cleanedTotal: 0,
+    // Sites left without fingerprinting protection (see fingerprint.js)
+    fingerprintExempt: new Set(),
+    // Storage of pages in container tabs (see container-storage.js)
+    containers: createContainerStorage()
+  };
+  sessions.set(session.id, session);
+  return session;
+}
+
+// Attach req.driftSession, starting a new session if the cookie is missing
+// or refers to one that has expired
+function sessionMiddleware(req, res, next) {
+  const id = parseCookieHeader(req.headers.cookie)[COOKIE_NAME];
+  let session = id && sessions.get(id);
+  if (!session) {
+    session = createSession();
+    res.append('Set-Cookie', `${COOKIE_NAME}=${session.id}; Path=/; HttpOnly; SameSite=Lax`);
+  }
+  session.lastSeen = Date.now();
+  req.driftSession = session;
+  next();
+}
+
+// Existing session for a request that bypasses the middleware (WebSocket
+// upgrades), or null. Never creates one — there's no response to set it on.
+function findSession(req) {
+  const id = parseCookieHeader(req.headers.cookie)[COOKIE_NAME];
+  const session = id && sessions.get(id);
+  if (!session) return null;
+  session.lastSeen = Date.now();
+  return session;
+}
+
+// Remember a page the session navigated to. Proxied pages rewrite their own
+// URL to the original path (see runtimeSource in server.js), so the Referer
+// Drift later receives from them is that path on the Drift origin.
+function rememberPage(session, url) {
+  let key;
+  try {
+    const u = new URL(url);
+    key = u.pathname + u.search;
+  } catch {
+    return;
+  }
+  const urls = session.pages.get(key) || new Set();
+  session.pages.delete(key);
+  urls.add(url);
+  session.pages.set(key, urls);
+  if (session.pages.size > MAX_PAGES) session.pages.delete(session.pages.keys().next().value);
+}
+
+// Remember the encoding a page turned out to be in: its stylesheets and
+// scripts fall back to it (see charset.js)
+function rememberEncoding(session, url, encoding) {
+  session.encodings.delete(url);
+  if (encoding === 'utf-8') return;
+  session.encodings.set(url, encoding);
+  if (session.encodings.size > MAX_PAGES) session.encodings.delete(session.encodings.keys().next().value);
+}
+
+function pageEncoding(session, url) {
+  return (url && session.encodings.get(url)) || null;
+}
+
+// Count `count` URLs cleaned on a page (pageUrl null when it isn't known)
+function recordCleaned(session, pageUrl, count) {
+  if (!(count > 0)) return;
+  session.cleanedTotal += count;
+  if (!pageUrl) return;
+  const sum = (session.cleaned.get(pageUrl) || 0) + count;
+  session.cleaned.delete(pageUrl);
+  session.cleaned.set(pageUrl, sum);
+  if (session.cleaned.size > MAX_PAGES) session.cleaned.delete(session.cleaned.keys().next().value);
+}
+
+function cleanedCount(session, pageUrl) {
+  return session.cleaned.get(pageUrl) || 0;
+}
+
+// Real URL of the proxied page behind a Referer, or null if it can't be
+// told apart from another page the session has open
+function pageForReferer(session, referer) {
+  let ref;
+  try {
+    ref = new URL(referer);
+  } catch {
+    return null;
+  }
+  if (ref.pathname.startsWith('/proxy/')) {
+    try { return decodeTarget(ref.pathname.slice('/proxy/'.length)); } catch { return null; }
+  }
+  const urls = session.pages.get(ref.pathname + ref.search);
+  if (!urls) return null;
+  const origins = new Set([...urls].map(u => new URL(u).origin));
+  return origins.size === 1 ? [...urls][urls.size - 1] : null;
+}
+
+setInterval(() => {
+  const cutoff = Date.now() - SESSION_TTL;
+  for (const [id, session] of sessions) {
+    if (session.lastSeen < cutoff) sessions.delete(id);
+  }
+}, SWEEP_INTERVAL).unref();
+
+module.exports = {
+  sessionMiddleware,
+  findSession,
+  parseCookieHeader,
+  rememberPage,
+  pageForReferer,
+  rememberEncoding,
+  pageEncoding,
+  recordCleaned,
+  cleanedCount
+};
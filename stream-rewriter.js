@@ -0,0 +1,114 @@
+const { Transform } = require('stream');
+const acorn = require('acorn');
+
+// Index just past the string that opens at `start`, or -1 when it doesn't
+// end in `text`. An unescaped line break ends it too, as CSS has it.
+function cssStringEnd(text, start) {
+  for (let i = start + 1; i < text.length; i++) {
+    if (text[i] === '\\') i++;
+    else if (text[i] === text[start] || text[i] === '\n') return i + 1;
+  }
+  return -1;
+}
+
+// CSS can be cut after any complete declaration or rule: a ";" or "}"
+// outside strings, comments and url(...). Returns 0 until there is one.
+function cssSplitPoint(text) {
+  let at = 0;
+  let inUrl = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      if (end === -1) break;
+      i = end + 1;
+    } else if (c === '"' || c === "'") {
+      const end = cssStringEnd(text, i);
+      if (end === -1) break;
+      i = end - 1;
+    } else if (c === '\\') {
+      i++;
+    } else if (inUrl) {
+      if (c === ')') inUrl = false;
+    } else if ((c === 'u' || c === 'U') && /^url\(/i.test(text.slice(i, i + 4))) {
+      inUrl = true;
+      i += 3;
+    } else if (c === ';' || c === '}') {
+      at = i + 1;
+    }
+  }
+  return at;
+}
+
+// JS is cut at statement or line ends; none of the JS rewrites span them.
+// Only ends the tokenizer reaches count, so never inside a string, template
+// literal, comment or regex; it stops at the first token `text` cuts short
+// (or can't read). Returns 0 until there is one.
+function jsSplitPoint(text) {
+  const tt = acorn.tokTypes;
+  // Open template literals (`), ${...} and {...} in them
+  const open = [];
+  let at = 0;
+  try {
+    for (const token of acorn.tokenizer(text, { ecmaVersion: 'latest', allowHashBang: true })) {
+      if (token.type === tt.backQuote) {
+        if (open[open.length - 1] === '`') open.pop();
+        else open.push('`');
+      } else if (open.length && (token.type === tt.dollarBraceL || token.type === tt.braceL)) {
+        open.push('{');
+      } else if (open.length && token.type === tt.braceR) {
+        open.pop();
+      }
+      if (open.length) continue;
+      if (token.type === tt.semi) at = token.end;
+      if (text[token.end] === '\n') at = token.end + 1;
+    }
+  } catch {}
+  return at;
+}
+
+// Turn a rewrite function over text fragments into a Transform stream.
+// Bytes are read with `decoder` (see charset.js), and the text is held back
+// until split() finds a point where nothing the rewriter matches can
+// straddle the boundary, then the complete prefix is rewritten and emitted
+// as UTF-8. rewrite(text, whole) is told when the text is the complete body,
+// because split() never cut it.
+function createRewriteStream(decoder, split, rewrite) {
+  let pending = '';
+  let emitted = false;
+
+  function emit(stream, text, whole) {
+    const out = rewrite(text, whole);
+    emitted = true;
+    if (out) stream.push(Buffer.from(out, 'utf-8'));
+  }
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      pending += decoder.write(chunk);
+      try {
+        const at = split(pending);
+        if (at > 0) {
+          const ready = pending.slice(0, at);
+          pending = pending.slice(at);
+          emit(this, ready, false);
+        }
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+    flush(callback) {
+      pending += decoder.end();
+      try {
+        if (pending) emit(this, pending, !emitted);
+        pending = '';
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+  });
+}
+
+module.exports = { createRewriteStream, cssSplitPoint, jsSplitPoint };
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startDrift } = require('./support/drift');
+
+test('refused certificate checks only show in the access log, escaped', async (t) => {
+  const drift = await startDrift({ DRIFT_ACCESS_LOG: 'true', DRIFT_LOG_URLS: 'full' });
+  t.after(() => drift.stop());
+  let output = '';
+  drift.child.stdout.on('data', (data) => { output += data; });
+
+  const forged = 'evil.example\n{"forged":true}\u001b[2J';
+  const res = await drift.request('/caddy-check?domain=' + encodeURIComponent(forged));
+  assert.strictEqual(res.status, 403);
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  const lines = output.split('\n').filter(Boolean);
+  const entries = lines.map(line => JSON.parse(line));
+  assert.ok(!entries.some(entry => entry.forged), 'no line of the caller\'s making');
+  assert.ok(!output.includes('\u001b'));
+  const refused = entries.find(entry => entry.path === '/caddy-check');
+  assert.strictEqual(refused.branch, 'tls-refused');
+  assert.strictEqual(refused.status, 403);
+  assert.ok(refused.target.includes('{"forged":true}'));
+});
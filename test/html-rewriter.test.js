@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { rewriteHtml, decodeEntities } = require('../html-rewriter');
+const { decodeTarget } = require('../proxy-url');
+
+// The real URL a rewritten href points at
+function hrefTarget(html) {
+  const href = /href="([^"]*)"/.exec(rewriteHtml(html, { baseUrl: 'https://example.com/' }))[1];
+  return decodeTarget(href.replace(/&amp;/g, '&').slice('/proxy/'.length));
+}
+
+test('query parameters named like entities survive in attributes', () => {
+  assert.strictEqual(hrefTarget('<a href="/search?q=x&num=20&period=7d">'), 'https://example.com/search?q=x&num=20&period=7d');
+  assert.strictEqual(hrefTarget('<a href="/p?a=1&copy=2&lt=3">'), 'https://example.com/p?a=1&copy=2&lt=3');
+  assert.strictEqual(hrefTarget('<a href="/p?a=1&amp;copy=2">'), 'https://example.com/p?a=1&copy=2');
+});
+
+test('attribute values decode entities the way browsers do', () => {
+  assert.strictEqual(decodeEntities('a&copy;b&num;c', true), 'a©b#c');
+  assert.strictEqual(decodeEntities('a&copy b', true), 'a© b');
+  assert.strictEqual(decodeEntities('a&copyb&num=1', true), 'a&copyb&num=1');
+  assert.strictEqual(decodeEntities('&#38;&#x26;', true), '&&');
+});
+
+test('text decodes legacy entities without their semicolon', () => {
+  assert.strictEqual(decodeEntities('a&copy=b &amp c'), 'a©=b & c');
+  assert.strictEqual(decodeEntities('a&num=b'), 'a&num=b');
+});
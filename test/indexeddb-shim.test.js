@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createIndexedDb } = require('../indexeddb-shim');
+
+// The page's window, with a MessageChannel that doesn't hold the process open
+const scope = Object.create(globalThis, {
+  MessageChannel: {
+    value: function () {
+      const port1 = { onmessage: null };
+      this.port1 = port1;
+      this.port2 = { postMessage: () => setImmediate(() => port1.onmessage({})) };
+    }
+  }
+});
+
+// A shim whose saved changes land in `area`, loaded from it
+function open(area) {
+  const idb = createIndexedDb(scope, (op, key, value) => {
+    if (op === 'set') area[key] = value;
+    else delete area[key];
+  });
+  idb.load(Object.assign({}, area));
+  return idb.indexedDB;
+}
+
+function done(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function finished(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = () => reject(tx.error || new Error('aborted'));
+  });
+}
+
+function openShop(indexedDB) {
+  const request = indexedDB.open('shop', 1);
+  request.onupgradeneeded = (event) => {
+    assert.strictEqual(event.oldVersion, 0);
+    const items = request.result.createObjectStore('items', { keyPath: 'id', autoIncrement: true });
+    items.createIndex('byTag', 'tags', { multiEntry: true });
+    items.createIndex('bySku', 'sku', { unique: true });
+  };
+  return done(request);
+}
+
+test('stores, indexes and cursors', async () => {
+  const db = await openShop(open({}));
+  assert.deepStrictEqual([...db.objectStoreNames], ['items']);
+
+  let tx = db.transaction('items', 'readwrite');
+  const items = tx.objectStore('items');
+  const ids = await Promise.all([
+    done(items.add({ sku: 'a', tags: ['red', 'big'] })),
+    done(items.add({ sku: 'b', tags: ['red'] })),
+    done(items.put({ id: 10, sku: 'c', tags: [] }))
+  ]);
+  assert.deepStrictEqual(ids, [1, 2, 10]);
+  // A promise continuation can still add to the transaction
+  await done(items.put({ id: 10, sku: 'c', tags: ['big'] }));
+  assert.strictEqual((await done(items.add({ sku: 'd' }))), 11);
+  await finished(tx);
+
+  tx = db.transaction('items');
+  const store = tx.objectStore('items');
+  assert.deepStrictEqual(await done(store.get(2)), { id: 2, sku: 'b', tags: ['red'] });
+  assert.deepStrictEqual(await done(store.index('byTag').getAllKeys('red')), [1, 2]);
+  assert.deepStrictEqual(await done(store.index('bySku').getKey('c')), 10);
+  assert.strictEqual(await done(store.count({ lower: 2, upper: 10, lowerOpen: false, upperOpen: true })), 1);
+
+  const seen = [];
+  await new Promise((resolve) => {
+    const request = store.index('byTag').openCursor(null, 'prevunique');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve();
+      seen.push([cursor.key, cursor.primaryKey]);
+      cursor.continue();
+    };
+  });
+  assert.deepStrictEqual(seen, [['red', 1], ['big', 1]]);
+  db.close();
+});
+
+test('a failed request aborts its transaction and undoes it', async () => {
+  const db = await openShop(open({}));
+  let tx = db.transaction('items', 'readwrite');
+  tx.objectStore('items').add({ sku: 'a' });
+  await finished(tx);
+
+  tx = db.transaction('items', 'readwrite');
+  tx.objectStore('items').put({ id: 1, sku: 'renamed' });
+  const clash = tx.objectStore('items').add({ sku: 'renamed' });
+  await assert.rejects(done(clash), { name: 'ConstraintError' });
+  await assert.rejects(finished(tx), { name: 'ConstraintError' });
+
+  tx = db.transaction('items');
+  assert.strictEqual((await done(tx.objectStore('items').get(1))).sku, 'a');
+  assert.throws(() => tx.objectStore('items').put({ sku: 'x' }), { name: 'ReadOnlyError' });
+  db.close();
+});
+
+test('committed changes are saved and load back', async () => {
+  const area = {};
+  let db = await openShop(open(area));
+  const tx = db.transaction('items', 'readwrite');
+  const when = new Date(0);
+  tx.objectStore('items').put({ sku: 'a', when, seen: new Set([1]), data: new Uint8Array([1, 2]), blob: new Blob(['hi'], { type: 'text/plain' }) });
+  tx.objectStore('items').put({ sku: 'b', n: -0, missing: undefined });
+  await finished(tx);
+  // Blob values are read before they're saved
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.ok(area[JSON.stringify(['shop'])]);
+  assert.ok(area[JSON.stringify(['shop', 'items', 1])]);
+  db.close();
+
+  db = await done(open(area).open('shop'));
+  assert.strictEqual(db.version, 1);
+  const store = db.transaction('items').objectStore('items');
+  const [a, b] = await done(store.getAll());
+  assert.deepStrictEqual(a.when, when);
+  assert.deepStrictEqual(a.seen, new Set([1]));
+  assert.deepStrictEqual(a.data, new Uint8Array([1, 2]));
+  assert.strictEqual(await a.blob.text(), 'hi');
+  assert.strictEqual(a.blob.type, 'text/plain');
+  assert.ok(Object.is(b.n, -0));
+  assert.ok('missing' in b);
+  // The key generator carries on where it was
+  const id = await done(db.transaction('items', 'readwrite').objectStore('items').add({ sku: 'c' }));
+  assert.strictEqual(id, 3);
+  db.close();
+});
+
+test('deleting a database removes its entries', async () => {
+  const area = {};
+  const indexedDB = open(area);
+  const db = await openShop(indexedDB);
+  const tx = db.transaction('items', 'readwrite');
+  tx.objectStore('items').add({ sku: 'a' });
+  await finished(tx);
+  assert.notDeepStrictEqual(area, {});
+  let changed = false;
+  db.onversionchange = () => { changed = true; };
+  await done(indexedDB.deleteDatabase('shop'));
+  assert.ok(changed);
+  assert.deepStrictEqual(area, {});
+  assert.deepStrictEqual(await indexedDB.databases(), []);
+});
+
+test('an aborted upgrade leaves no database', async () => {
+  const indexedDB = open({});
+  const request = indexedDB.open('x', 2);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore('s');
+    request.transaction.abort();
+  };
+  await assert.rejects(done(request), { name: 'AbortError' });
+  assert.deepStrictEqual(await indexedDB.databases(), []);
+  assert.strictEqual(indexedDB.cmp([1, 'a'], [1, 2]), 1);
+  assert.throws(() => indexedDB.cmp({}, 1), { name: 'DataError' });
+});
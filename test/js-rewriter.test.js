@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { rewriteLocation } = require('../js-rewriter');
+
+// [script, rewritten]
+const OPTIONAL_CHAINS = [
+  ['a?.location?.href', '__drift.loc(a)?.href'],
+  ['a?.location.href', '__drift.loc(a)?.href'],
+  ['a?.b.location.href', '__drift.loc(a?.b)?.href'],
+  ['a?.location[k]', '__drift.loc(a)?.[k]'],
+  ['a?.location.assign(u)', '__drift.loc(a)?.assign(u)'],
+  ['a?.location.location.href', '__drift.loc(__drift.loc(a))?.href'],
+  ['f(a?.location)', 'f(__drift.loc(a))'],
+  ['a.location.href', '__drift.loc(a).href']
+];
+
+const COMPOUND_ASSIGNMENTS = [
+  ['location += "#x"', '__drift.navigate(__drift.location + ("#x"))'],
+  ['location &&= u', '__drift.navigate(__drift.location && (u))'],
+  ['location.href += "#x"', '__drift.location.href += "#x"'],
+  ['window.location += "#x"', '__drift.setLoc(window, ("#x"), function(l,v){return l+v;})'],
+  ['window.location.href += "#x"', '__drift.loc(window).href += "#x"'],
+  ['x["location"] += y', '__drift.setLoc(x, (y), function(l,v){return l+v;})'],
+  ['location ||= u', 'location ||= u'],
+  ['top.location ??= u', 'top.location ??= u']
+];
+
+const PATTERN_TARGETS = [
+  ['({ location } = obj)', '({ location: __drift.target().location } = obj)'],
+  ['({ location = d } = obj)', '({ location: __drift.target().location = d } = obj)'],
+  ['({ a: location } = obj)', '({ a: __drift.target().location } = obj)'],
+  ['[location, x.location] = arr', '[__drift.target().location, __drift.target(x).location] = arr'],
+  ['[...location] = arr', '[...__drift.target().location] = arr'],
+  ['({ a: [top.location = u] } = obj)', '({ a: [__drift.target(top).location = u] } = obj)'],
+  ['for (location in obj);', 'for (__drift.target().location in obj);'],
+  ['for (location of arr);', 'for (__drift.target().location of arr);'],
+  ['for (w["location"] of arr);', 'for (__drift.target(w).location of arr);'],
+  ['[a = location] = arr', '[a = __drift.location] = arr'],
+  // Declarations bind their own location
+  ['const { location } = obj', 'const { location } = obj'],
+  ['for (const location of arr);', 'for (const location of arr);'],
+  ['function f({ location }) { ({ location } = obj); }', 'function f({ location }) { ({ location } = obj); }']
+];
+
+test('optional chains keep their short-circuit', () => {
+  for (const [script, rewritten] of OPTIONAL_CHAINS) assert.strictEqual(rewriteLocation(script), rewritten, script);
+});
+
+test('optional chains through a nullish object evaluate to undefined', () => {
+  // loc() as the page runtime has it for objects that aren't windows
+  const __drift = { loc: o => (o == null ? undefined : o.location) };
+  const run = (script, a) => new Function('__drift', 'a', `return ${rewriteLocation(script)};`)(__drift, a);
+  assert.strictEqual(run('a?.location.href', null), undefined);
+  assert.strictEqual(run('a?.b.location.href', undefined), undefined);
+  assert.strictEqual(run('a?.location.href', { location: { href: 'u' } }), 'u');
+});
+
+test('compound assignments go through the virtual location', () => {
+  for (const [script, rewritten] of COMPOUND_ASSIGNMENTS) assert.strictEqual(rewriteLocation(script), rewritten, script);
+});
+
+test('destructuring and for-in/of targets go through the virtual location', () => {
+  for (const [script, rewritten] of PATTERN_TARGETS) assert.strictEqual(rewriteLocation(script), rewritten, script);
+});
+
+test('pattern targets assign what the page would', () => {
+  // target() as the page runtime has it, recording what it's given
+  const assigned = [];
+  const __drift = {
+    target: function (o) {
+      const bare = !arguments.length;
+      return { set location(v) { assigned.push(bare ? ['navigate', v] : ['setLoc', o, v]); } };
+    }
+  };
+  const w = {};
+  new Function('__drift', 'w', rewriteLocation('({ location } = { location: "a" }); [w.location] = ["b"]; for (location of ["c"]);'))(__drift, w);
+  assert.deepStrictEqual(assigned, [['navigate', 'a'], ['setLoc', w, 'b'], ['navigate', 'c']]);
+});
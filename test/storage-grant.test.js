@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { startDrift, listen } = require('./support/drift');
+
+// The arguments a proxied page passes to __driftRuntime
+function runtimeArgs(html) {
+  const m = /<script>__driftRuntime\((.*)\)<\/script>/.exec(html);
+  assert.ok(m, 'page has the runtime call');
+  return JSON.parse(`[${m[1]}]`);
+}
+
+test('pages only get their own origin\'s storage grant, and only as frame loads', async (t) => {
+  const site = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html', 'Cache-Control': 'max-age=60' });
+    res.end('<!DOCTYPE html><html><head><title>page</title></head><body>page</body></html>');
+  });
+  const port = await listen(site);
+  const drift = await startDrift();
+  t.after(() => Promise.all([drift.stop(), new Promise(resolve => site.close(resolve))]));
+
+  const frameLoad = { 'Sec-Fetch-Mode': 'navigate', 'Sec-Fetch-Dest': 'iframe' };
+  const victim = `http://127.0.0.1:${port}/victim`;
+  const evil = `http://localhost:${port}/evil`;
+
+  const evilPage = runtimeArgs((await drift.request(`/proxy/${evil}`, { headers: frameLoad })).body)[4];
+  assert.ok(evilPage.storage, 'a frame load gets a grant');
+  const victimPage = runtimeArgs((await drift.request(`/proxy/${victim}`, { headers: frameLoad })).body)[4];
+  assert.ok(victimPage.storage);
+
+  // The evil page fetches the victim page, before and after it's cached
+  for (let i = 0; i < 2; i++) {
+    const fetched = await drift.request(`/proxy/${victim}`, {
+      headers: { 'Sec-Fetch-Mode': 'cors', 'Sec-Fetch-Dest': 'empty', 'Sec-Fetch-Site': 'same-origin', 'Referer': `${drift.base}/evil` }
+    });
+    assert.strictEqual(fetched.status, 200);
+    assert.strictEqual(runtimeArgs(fetched.body)[4].storage, '', 'no grant in a fetched page');
+    assert.ok(!fetched.body.includes(victimPage.storage));
+  }
+
+  const load = (origin, grant) => drift.request('/storage/load?' + new URLSearchParams({ container: 'tab-a', tab: 't1', origin, grant }));
+  assert.strictEqual((await load(`http://127.0.0.1:${port}`, evilPage.storage)).status, 403, 'another origin\'s grant is refused');
+  assert.strictEqual((await load(`http://127.0.0.1:${port}`, victimPage.storage)).status, 200);
+
+  // Saved IndexedDB entries come back with the rest, also as a script for
+  // pages being parsed
+  const target = { container: 'tab-a', tab: 't1', origin: `http://127.0.0.1:${port}`, grant: victimPage.storage };
+  const saved = await drift.request('/storage/save', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(Object.assign({ changes: [{ area: 'idb', op: 'set', key: '["db"]', value: '</script>' }] }, target))
+  });
+  assert.strictEqual(saved.status, 204);
+  assert.deepStrictEqual(JSON.parse((await load(target.origin, target.grant)).body).idb, { '["db"]': '</script>' });
+  const script = await drift.request('/storage/load.js?' + new URLSearchParams(target));
+  assert.match(script.headers['content-type'], /javascript/);
+  let handed;
+  new Function('__driftStorage', script.body)((data) => { handed = data; });
+  assert.deepStrictEqual(handed.idb, { '["db"]': '</script>' });
+  assert.ok(!script.body.includes('</script>'));
+
+  // The runtime the page loads parses, shim and all
+  const runtime = await drift.request(victimPage.runtime);
+  assert.strictEqual(runtime.status, 200);
+  new Function(runtime.body);
+});
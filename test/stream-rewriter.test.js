@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { StringDecoder } = require('string_decoder');
+const { createRewriteStream, cssSplitPoint, jsSplitPoint } = require('../stream-rewriter');
+
+// Feeds `text` through a rewrite stream in `size`-character chunks and
+// resolves to the fragments rewrite() was given
+function fragments(split, text, size) {
+  const seen = [];
+  const stream = createRewriteStream(new StringDecoder('utf8'), split, (fragment) => {
+    seen.push(fragment);
+    return fragment;
+  });
+  return new Promise((resolve, reject) => {
+    let out = '';
+    stream.on('data', (chunk) => { out += chunk; });
+    stream.on('end', () => {
+      assert.strictEqual(out, text);
+      resolve(seen);
+    });
+    stream.on('error', reject);
+    for (let i = 0; i < text.length; i += size) stream.write(text.slice(i, i + size));
+    stream.end();
+  });
+}
+
+// Whether some fragment starts or ends strictly inside `part` of `text`
+function cutsInside(seen, text, part) {
+  const start = text.indexOf(part);
+  let at = 0;
+  for (const fragment of seen) {
+    at += fragment.length;
+    if (at > start && at < start + part.length) return true;
+  }
+  return false;
+}
+
+test('a long JS string literal is never cut', async () => {
+  const literal = JSON.stringify('import("./a.js");\n'.repeat(200)).replace(/\\n/g, '\\\n');
+  const text = `a();\nconst s = ${literal};\nb();\n`;
+  const seen = await fragments(jsSplitPoint, text, 64);
+  assert.ok(seen.length > 1);
+  assert.ok(!cutsInside(seen, text, literal));
+});
+
+test('JS comments, template literals and regex literals are never cut', async () => {
+  const parts = [
+    '/* x;\n y; */',
+    '`a;\n${ {b: 1}; `c;\n` }d;\n`',
+    '/[;\n"]/g',
+    '// "; \'\n'
+  ];
+  const text = `x = 1 / 2;\ny = ${parts[1]};\nz = ${parts[2]}.test(q);\n${parts[0]}\nw();\n${parts[3]}v();\n`;
+  for (const size of [1, 3, 7]) {
+    const seen = await fragments(jsSplitPoint, text, size);
+    assert.ok(seen.length > 1);
+    for (const part of parts.slice(0, 3)) assert.ok(!cutsInside(seen, text, part), part);
+  }
+});
+
+test('CSS strings, comments and url(...) are never cut', async () => {
+  const image = 'url(data:image/svg+xml;utf8,' + '<rect x="0"/>;'.repeat(100) + ')';
+  const quoted = `"${'a;}'.repeat(100)}"`;
+  const comment = '/* a; } */';
+  const text = `a { color: red; }\nb { background: ${image}; }\nc::before { content: ${quoted}; }\n${comment}\nd { e: f; }\n`;
+  const seen = await fragments(cssSplitPoint, text, 50);
+  assert.ok(seen.length > 1);
+  for (const part of [image, quoted, comment]) assert.ok(!cutsInside(seen, text, part), part);
+});
+
+test('text with no safe point is held back', () => {
+  assert.strictEqual(jsSplitPoint('var s = "a;\\\nb'), 0);
+  assert.strictEqual(jsSplitPoint('x = `a;\n'), 0);
+  assert.strictEqual(jsSplitPoint('a; x = /b;'), 2);
+  assert.strictEqual(cssSplitPoint('a { b: url(c;d'), 0);
+  assert.strictEqual(cssSplitPoint('a { b: c; } /* d;'), 11);
+});
@@ -0,0 +1,83 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Drift in a child process for tests that need the whole server: on a free
+// port, with its own config and users file, allowed to reach 127.0.0.1 and
+// localhost. Resolves to a client signed in as the admin, whose request()
+// sends the sign-in and session cookies along (cookie() has them for other
+// requests).
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function startDrift(env) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drift-test-'));
+  fs.writeFileSync(path.join(dir, 'drift.config.json'), '{}');
+  const child = spawn(process.execPath, [path.join(ROOT, 'server.js')], {
+    env: Object.assign({}, process.env, {
+      DRIFT_CONFIG: path.join(dir, 'drift.config.json'),
+      DRIFT_USERS_FILE: path.join(dir, 'users.json'),
+      DRIFT_ADMIN_PASSWORD: 'test-password',
+      DRIFT_HOST: '127.0.0.1',
+      PORT: '0',
+      DRIFT_ALLOW_HOSTS: '127.0.0.1,localhost',
+      DRIFT_CACHE_DIR: dir,
+      DRIFT_ACCESS_LOG: 'false'
+    }, env),
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  const stop = () => new Promise((resolve) => {
+    if (child.exitCode !== null) return resolve();
+    child.once('exit', resolve);
+    child.kill();
+  }).then(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  return new Promise((resolve, reject) => {
+    child.stdout.on('data', (data) => {
+      output += data;
+      // Listening, and done creating the admin account
+      const m = /Proxy server running at (http:\/\/\S+)/.exec(output);
+      if (m && /Created admin account/.test(output)) resolve(m[1]);
+    });
+    child.stderr.on('data', (data) => { output += data; });
+    child.once('exit', () => reject(new Error(`Drift exited:\n${output}`)));
+  }).then((base) => {
+    const cookies = {};
+    const cookie = () => Object.keys(cookies).map(name => `${name}=${cookies[name]}`).join('; ');
+    function request(urlPath, options) {
+      options = options || {};
+      return new Promise((resolve, reject) => {
+        const headers = Object.assign({}, options.headers);
+        if (cookie()) headers.Cookie = cookie();
+        const req = http.request(base + urlPath, { method: options.method || 'GET', headers }, (res) => {
+          for (const line of res.headers['set-cookie'] || []) {
+            const m = /^([^=]+)=([^;]*)/.exec(line);
+            if (m) cookies[m[1]] = m[2];
+          }
+          let body = '';
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => { body += chunk; });
+          res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+        });
+        req.on('error', reject);
+        req.end(options.body);
+      });
+    }
+    const client = { base, request, cookie, stop, child };
+    return request('/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'admin', password: 'test-password' })
+    }).then(() => request('/', { headers: { 'Sec-Fetch-Dest': 'document' } })).then(() => client);
+  }, (err) => stop().then(() => { throw err; }));
+}
+
+// Starts `server` on a free 127.0.0.1 port; resolves to the port
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+module.exports = { startDrift, listen };
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const http = require('http');
+
+// Just enough of RFC 6455 for tests: an echo server and a client that speak
+// single-frame messages.
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+function acceptKey(key) {
+  return crypto.createHash('sha1').update(key + GUID).digest('base64');
+}
+
+// One frame, masked as clients send them when `masked`
+function encodeFrame(opcode, payload, masked) {
+  payload = Buffer.from(payload);
+  const length = payload.length;
+  const header = [0x80 | opcode];
+  const maskBit = masked ? 0x80 : 0;
+  if (length < 126) {
+    header.push(maskBit | length);
+  } else if (length < 65536) {
+    header.push(maskBit | 126, length >> 8, length & 0xff);
+  } else {
+    header.push(maskBit | 127, 0, 0, 0, 0, (length >>> 24) & 0xff, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff);
+  }
+  if (!masked) return Buffer.concat([Buffer.from(header), payload]);
+  const mask = crypto.randomBytes(4);
+  const body = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+  return Buffer.concat([Buffer.from(header), mask, body]);
+}
+
+// Calls onFrame({opcode, payload}) for each frame read from `socket`,
+// starting with the bytes in `head`
+function readFrames(socket, head, onFrame) {
+  let buffer = Buffer.from(head || []);
+  function parse() {
+    while (buffer.length >= 2) {
+      const opcode = buffer[0] & 0x0f;
+      const masked = buffer[1] & 0x80;
+      let length = buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (buffer.length < 4) return;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) return;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+      if (masked) offset += 4;
+      if (buffer.length < offset + length) return;
+      let payload = buffer.subarray(offset, offset + length);
+      if (mask) payload = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+      buffer = buffer.subarray(offset + length);
+      onFrame({ opcode, payload });
+    }
+  }
+  socket.on('data', (data) => {
+    buffer = Buffer.concat([buffer, data]);
+    parse();
+  });
+  parse();
+}
+
+// A WebSocket server that echoes text and binary messages and answers a
+// close with a close, taking the first subprotocol asked for.
+// server.handshakes holds the upgrade requests it took.
+function createEchoServer() {
+  const server = http.createServer((req, res) => res.writeHead(426).end());
+  server.handshakes = [];
+  server.on('upgrade', (req, socket, head) => {
+    server.handshakes.push(req);
+    const protocol = (req.headers['sec-websocket-protocol'] || '').split(',')[0].trim();
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${acceptKey(req.headers['sec-websocket-key'])}`,
+      ...(protocol ? [`Sec-WebSocket-Protocol: ${protocol}`] : []),
+      '', ''
+    ].join('\r\n'));
+    readFrames(socket, head, ({ opcode, payload }) => {
+      if (opcode === 1 || opcode === 2) socket.write(encodeFrame(opcode, payload, false));
+      else if (opcode === 8) socket.end(encodeFrame(8, payload, false));
+    });
+    socket.on('error', () => {});
+  });
+  return server;
+}
+
+// Opens a WebSocket to `url` (http://...). Resolves to {response, body} when
+// the upgrade is refused, or to {socket, response, accepted, next(),
+// send(opcode, data), closed} once it's accepted: accepted tells whether
+// Sec-WebSocket-Accept matched the key sent, next() resolves to the next
+// frame, closed when the socket has closed.
+function connect(url, headers) {
+  const key = crypto.randomBytes(16).toString('base64');
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, {
+      headers: Object.assign({
+        'Connection': 'Upgrade',
+        'Upgrade': 'websocket',
+        'Sec-WebSocket-Version': '13',
+        'Sec-WebSocket-Key': key
+      }, headers)
+    });
+    req.on('response', (response) => {
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => { body += chunk; });
+      response.on('end', () => resolve({ response, body }));
+    });
+    req.on('upgrade', (response, socket, head) => {
+      const frames = [];
+      const waiting = [];
+      readFrames(socket, head, (frame) => {
+        if (waiting.length) waiting.shift()(frame);
+        else frames.push(frame);
+      });
+      const closed = new Promise(done => socket.on('close', done));
+      socket.on('error', () => {});
+      resolve({
+        socket,
+        response,
+        accepted: response.headers['sec-websocket-accept'] === acceptKey(key),
+        next: () => (frames.length ? Promise.resolve(frames.shift()) : new Promise(done => waiting.push(done))),
+        send: (opcode, data) => socket.write(encodeFrame(opcode, data, true)),
+        closed
+      });
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+module.exports = { createEchoServer, connect, encodeFrame, readFrames, acceptKey };
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { startDrift, listen } = require('./support/drift');
+
+test('tab navigations are filtered as documents, frames in pages as subdocuments', async (t) => {
+  const seen = [];
+  const site = http.createServer((req, res) => {
+    seen.push(req.url);
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<!DOCTYPE html><html><head><title>page</title></head><body>page</body></html>');
+  });
+  const port = await listen(site);
+  const filters = fs.mkdtempSync(path.join(os.tmpdir(), 'drift-filters-'));
+  fs.writeFileSync(path.join(filters, 'test.txt'), '||localhost^$subdocument\n');
+  const drift = await startDrift({ DRIFT_FILTERS_DIR: filters });
+  t.after(() => Promise.all([
+    drift.stop(),
+    new Promise(resolve => site.close(resolve)),
+    fs.promises.rm(filters, { recursive: true, force: true })
+  ]));
+
+  // Browsers send both as iframe navigations
+  const frameLoad = { 'Sec-Fetch-Mode': 'navigate', 'Sec-Fetch-Dest': 'iframe' };
+  const page = `http://localhost:${port}/page`;
+
+  assert.strictEqual((await drift.request(`/proxy/${page}`, { headers: frameLoad })).status, 204, 'a frame in a page is blocked');
+  assert.strictEqual((await drift.request(`/proxy/${page}?__drift_tab=${'a'.repeat(32)}`, { headers: frameLoad })).status, 200, 'a tab\'s first load');
+  assert.strictEqual((await drift.request(`/proxy/${page}?__drift_nav=1`, { headers: frameLoad })).status, 200, 'a later tab navigation');
+  assert.deepStrictEqual(seen, ['/page', '/page'], 'the markers aren\'t passed on');
+
+  // Only navigations count as the tab's
+  const fetched = await drift.request(`/proxy/${page}?__drift_nav=1`, { headers: { 'Sec-Fetch-Mode': 'no-cors', 'Sec-Fetch-Dest': 'iframe' } });
+  assert.strictEqual(fetched.status, 204);
+
+  // Cleaning the URL keeps the navigation the tab's
+  const cleaned = await drift.request(`/proxy/${page}?utm_source=x&__drift_nav=1`, { headers: frameLoad });
+  assert.strictEqual(cleaned.status, 307);
+  const next = new URL(cleaned.headers.location, drift.base);
+  assert.strictEqual(next.searchParams.get('__drift_nav'), '1');
+  assert.ok(!next.href.includes('utm_source'));
+});
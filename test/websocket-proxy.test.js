@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { startDrift, listen } = require('./support/drift');
+const { createEchoServer, connect } = require('./support/websocket');
+
+// The destination guard lets the relay reach the local servers below
+process.env.DRIFT_ALLOW_HOSTS = '127.0.0.1';
+const { parseWebSocketPath, proxyWebSocket } = require('../websocket-proxy');
+const { encodeTarget } = require('../proxy-url');
+
+// A server relaying /proxy-ws/ upgrades with proxyWebSocket. relay.results
+// has the statuses it reported, relay.closes counts its onClose calls.
+function createRelay(options) {
+  const relay = http.createServer();
+  relay.results = [];
+  relay.closes = 0;
+  relay.on('upgrade', (req, socket, head) => {
+    proxyWebSocket(parseWebSocketPath(req.url).targetUrl, req, socket, head, Object.assign({
+      onResult: status => relay.results.push(status),
+      onClose: () => { relay.closes++; }
+    }, options));
+  });
+  return relay;
+}
+
+async function startPair(t, upstream, options) {
+  const upstreamPort = await listen(upstream);
+  const relay = createRelay(options);
+  const relayPort = await listen(relay);
+  t.after(() => {
+    upstream.close();
+    relay.close();
+  });
+  return { relay, upstreamPort, relayPort };
+}
+
+const waitFor = async (check) => {
+  for (let i = 0; i < 100 && !check(); i++) await new Promise(resolve => setTimeout(resolve, 10));
+  assert.ok(check());
+};
+
+test('upgrade paths name ws(s) targets and the page', () => {
+  const path = `/proxy-ws/${encodeTarget('wss://example.com/feed?x=1')}?page=${encodeURIComponent(encodeTarget('https://example.com/'))}`;
+  assert.deepStrictEqual(parseWebSocketPath(path), { targetUrl: 'wss://example.com/feed?x=1', pageUrl: 'https://example.com/' });
+  assert.strictEqual(parseWebSocketPath(`/proxy-ws/${encodeTarget('https://example.com/')}`), null);
+  assert.strictEqual(parseWebSocketPath(`/proxy/${encodeTarget('ws://example.com/')}`), null);
+});
+
+test('relays the handshake, frames both ways and the close', async (t) => {
+  const echo = createEchoServer();
+  const { relay, relayPort } = await startPair(t, echo, { headers: { 'Origin': 'https://page.example' } });
+  const upstreamPort = echo.address().port;
+
+  const ws = await connect(`http://127.0.0.1:${relayPort}/proxy-ws/ws://127.0.0.1:${upstreamPort}/chat`, { 'Sec-WebSocket-Protocol': 'chat, superchat' });
+  assert.strictEqual(ws.response.statusCode, 101);
+  assert.ok(ws.accepted, 'the upstream\'s accept key matches the browser\'s key');
+  assert.strictEqual(ws.response.headers['sec-websocket-protocol'], 'chat');
+  const handshake = echo.handshakes[0];
+  assert.strictEqual(handshake.url, '/chat');
+  assert.strictEqual(handshake.headers.origin, 'https://page.example');
+  assert.strictEqual(handshake.headers['sec-websocket-protocol'], 'chat, superchat');
+  assert.deepStrictEqual(relay.results, [101]);
+
+  ws.send(1, 'hello');
+  assert.deepStrictEqual(await ws.next(), { opcode: 1, payload: Buffer.from('hello') });
+  const big = Buffer.alloc(70000, 7);
+  ws.send(2, big);
+  assert.deepStrictEqual(await ws.next(), { opcode: 2, payload: big });
+
+  ws.send(8, Buffer.from([0x03, 0xe8]));
+  assert.deepStrictEqual(await ws.next(), { opcode: 8, payload: Buffer.from([0x03, 0xe8]) });
+  await ws.closed;
+  await waitFor(() => relay.closes === 1);
+});
+
+test('refuses upgrades the upstream answers without switching', async (t) => {
+  const upstream = http.createServer();
+  upstream.on('upgrade', (req, socket) => socket.end('HTTP/1.1 403 Forbidden\r\nContent-Length: 0\r\nConnection: close\r\n\r\n'));
+  const { relay, relayPort, upstreamPort } = await startPair(t, upstream);
+
+  const refused = await connect(`http://127.0.0.1:${relayPort}/proxy-ws/ws://127.0.0.1:${upstreamPort}/`);
+  assert.strictEqual(refused.response.statusCode, 502);
+  assert.match(refused.body, /refused the WebSocket upgrade \(403\)/);
+  assert.deepStrictEqual(relay.results, [502]);
+  await waitFor(() => relay.closes === 1);
+});
+
+test('refuses private destinations', async (t) => {
+  const { relay, relayPort } = await startPair(t, createEchoServer());
+  const refused = await connect(`http://127.0.0.1:${relayPort}/proxy-ws/ws://10.0.0.1/`);
+  assert.strictEqual(refused.response.statusCode, 403);
+  assert.deepStrictEqual(relay.results, [403]);
+  assert.strictEqual(relay.closes, 1);
+});
+
+test('relays hold a connection slot until they close', async (t) => {
+  const echo = createEchoServer();
+  const port = await listen(echo);
+  const drift = await startDrift({ DRIFT_MAX_CONNECTIONS_PER_CLIENT: '1' });
+  t.after(() => {
+    echo.close();
+    return drift.stop();
+  });
+  const open = () => connect(`${drift.base}/proxy-ws/ws://127.0.0.1:${port}/`, { Cookie: drift.cookie() });
+
+  const first = await open();
+  assert.strictEqual(first.response.statusCode, 101);
+  const second = await open();
+  assert.strictEqual(second.response.statusCode, 503);
+  assert.strictEqual(second.response.headers['retry-after'], '1');
+
+  first.send(8, Buffer.from([0x03, 0xe8]));
+  await first.closed;
+  // The slot is given back once Drift has seen the close too
+  let third;
+  for (let i = 0; i < 50; i++) {
+    third = await open();
+    if (third.response.statusCode === 101) break;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.strictEqual(third.response.statusCode, 101);
+  third.socket.destroy();
+});
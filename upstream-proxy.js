@@ -0,0 +1,285 @@
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+const { URL } = require('url');
+const { checkDestination, guardedLookup, expandIPv6 } = require('./destination-guard');
+const config = require('./config');
+
+// Outbound routing: every upstream connection Drift makes (page fetches,
+// redirect hops, WebSocket handshakes) goes through upstreamRequest, which
+// dials directly or chains through another proxy.
+//
+//   network.upstreamProxy  default route: http://[user:pass@]host:port
+//                          (CONNECT for https and WebSockets, absolute-form
+//                          requests for plain http), socks5://host:port (DNS
+//                          resolved here) or socks5h://host:port (DNS
+//                          resolved by the proxy, as Tor needs)
+//   network.upstreamRules  pattern=route overrides, first match wins:
+//                          pattern is a hostname, "*.suffix" or "*"; route
+//                          is "direct" or a proxy URL
+//
+// Hostnames sent to the proxy unresolved (http proxies and socks5h) are
+// resolved by the proxy, so the private-address check on resolved addresses
+// only applies to direct and socks5 routes. Literal addresses are checked on
+// every route.
+const PROXY_SCHEMES = ['http:', 'https:', 'socks5:', 'socks5h:'];
+
+function parseRoute(value) {
+  if (value === 'direct') return null;
+  const url = new URL(value);
+  if (!PROXY_SCHEMES.includes(url.protocol)) throw new Error(`Unsupported upstream proxy ${url.protocol}`);
+  const socks = url.protocol.startsWith('socks5');
+  return {
+    type: socks ? 'socks5' : 'http',
+    secure: url.protocol === 'https:',
+    remoteDns: url.protocol !== 'socks5:',
+    host: url.hostname.replace(/^\[|\]$/g, ''),
+    port: Number(url.port) || (socks ? 1080 : url.protocol === 'https:' ? 443 : 80),
+    username: decodeURIComponent(url.username),
+    password: decodeURIComponent(url.password),
+    href: `${url.protocol}//${url.host}`
+  };
+}
+
+// Routes are rebuilt when the settings change; connections already made keep theirs
+let defaultRoute = null;
+let rules = [];
+function loadRoutes(settings) {
+  const { upstreamProxy, upstreamRules } = settings.network;
+  defaultRoute = upstreamProxy ? parseRoute(upstreamProxy) : null;
+  rules = upstreamRules.map((rule) => {
+    const eq = rule.indexOf('=');
+    return { pattern: rule.slice(0, eq).trim().toLowerCase(), route: parseRoute(rule.slice(eq + 1).trim()) };
+  });
+}
+loadRoutes(config.get());
+config.onChange(loadRoutes);
+
+function matchesPattern(hostname, pattern) {
+  if (pattern === '*') return true;
+  return pattern.startsWith('*.') ? hostname.endsWith(pattern.slice(1)) : hostname === pattern;
+}
+
+// The proxy to use for a hostname, or null to connect directly
+function routeFor(hostname) {
+  hostname = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const rule = rules.find(r => matchesPattern(hostname, r.pattern));
+  return rule ? rule.route : defaultRoute;
+}
+
+function proxyAuthorization(route) {
+  if (!route.username && !route.password) return null;
+  return 'Basic ' + Buffer.from(`${route.username}:${route.password}`).toString('base64');
+}
+
+// Plain TCP (or TLS, for https:// proxies) connection to the proxy itself.
+// The proxy is configured by the operator, so it may well live on a private
+// address — it is not subject to the destination guard.
+function connectToProxy(route) {
+  return route.secure
+    ? tls.connect({ host: route.host, port: route.port, servername: net.isIP(route.host) ? undefined : route.host })
+    : net.connect({ host: route.host, port: route.port });
+}
+
+function tunnelError(route, message) {
+  const err = new Error(`Upstream proxy ${route.href}: ${message}`);
+  err.code = 'EUPSTREAMPROXY';
+  return err;
+}
+
+// HTTP CONNECT tunnel to host:port
+function httpTunnel(route, host, port, callback) {
+  const authority = net.isIP(host) === 6 ? `[${host}]:${port}` : `${host}:${port}`;
+  const headers = { Host: authority };
+  const auth = proxyAuthorization(route);
+  if (auth) headers['Proxy-Authorization'] = auth;
+  const req = (route.secure ? https : http).request({
+    host: route.host,
+    port: route.port,
+    method: 'CONNECT',
+    path: authority,
+    headers,
+    agent: false
+  });
+  req.setTimeout(config.get().network.connectTimeout, () => req.destroy(tunnelError(route, 'timed out')));
+  req.once('connect', (res, socket, head) => {
+    req.setTimeout(0);
+    if (res.statusCode !== 200) {
+      socket.destroy();
+      return callback(tunnelError(route, `CONNECT refused (${res.statusCode})`));
+    }
+    if (head.length) socket.unshift(head);
+    callback(null, socket);
+  });
+  req.once('error', err => callback(err.code === 'EUPSTREAMPROXY' ? err : tunnelError(route, err.message)));
+  req.end();
+}
+
+const SOCKS_ERRORS = {
+  1: 'general failure',
+  2: 'connection not allowed by ruleset',
+  3: 'network unreachable',
+  4: 'host unreachable',
+  5: 'connection refused',
+  6: 'TTL expired',
+  7: 'command not supported',
+  8: 'address type not supported'
+};
+
+// SOCKS5 (RFC 1928) CONNECT to host:port, with username/password auth
+// (RFC 1929) when the route has credentials
+function socksTunnel(route, host, port, callback) {
+  const socket = connectToProxy(route);
+  let buffer = Buffer.alloc(0);
+  let step = 'greeting';
+  let done = false;
+
+  function fail(message) {
+    if (done) return;
+    done = true;
+    socket.destroy();
+    callback(tunnelError(route, message));
+  }
+
+  function sendConnect() {
+    let address;
+    if (net.isIPv4(host)) {
+      address = Buffer.from([0x01, ...host.split('.').map(Number)]);
+    } else if (net.isIPv6(host)) {
+      const groups = expandIPv6(host);
+      address = Buffer.from([0x04, ...groups.flatMap(g => [g >> 8, g & 0xff])]);
+    } else {
+      const name = Buffer.from(host);
+      if (name.length > 255) return fail('hostname too long');
+      address = Buffer.concat([Buffer.from([0x03, name.length]), name]);
+    }
+    const portBytes = Buffer.from([port >> 8, port & 0xff]);
+    socket.write(Buffer.concat([Buffer.from([0x05, 0x01, 0x00]), address, portBytes]));
+    step = 'connect';
+  }
+
+  socket.setTimeout(config.get().network.connectTimeout, () => fail('timed out'));
+  socket.once('error', err => fail(err.message));
+  socket.once('close', () => fail('connection closed'));
+
+  socket.on('data', function onData(chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+    if (step === 'greeting') {
+      if (buffer.length < 2) return;
+      if (buffer[0] !== 0x05) return fail('not a SOCKS5 server');
+      const method = buffer[1];
+      buffer = buffer.subarray(2);
+      if (method === 0x00) return sendConnect();
+      if (method === 0x02 && (route.username || route.password)) {
+        const user = Buffer.from(route.username);
+        const pass = Buffer.from(route.password);
+        socket.write(Buffer.concat([Buffer.from([0x01, user.length]), user, Buffer.from([pass.length]), pass]));
+        step = 'auth';
+        return;
+      }
+      return fail('no acceptable authentication method');
+    }
+    if (step === 'auth') {
+      if (buffer.length < 2) return;
+      if (buffer[1] !== 0x00) return fail('authentication failed');
+      buffer = buffer.subarray(2);
+      return sendConnect();
+    }
+    if (step === 'connect') {
+      if (buffer.length < 5) return;
+      if (buffer[1] !== 0x00) return fail(`CONNECT failed (${SOCKS_ERRORS[buffer[1]] || buffer[1]})`);
+      const length = buffer[3] === 0x01 ? 4 : buffer[3] === 0x04 ? 16 : 1 + buffer[4];
+      if (buffer.length < 4 + length + 2) return;
+      const rest = buffer.subarray(4 + length + 2);
+      done = true;
+      socket.removeListener('data', onData);
+      socket.removeAllListeners('close');
+      socket.removeAllListeners('error');
+      socket.setTimeout(0);
+      if (rest.length) socket.unshift(rest);
+      callback(null, socket);
+    }
+  });
+
+  const methods = route.username || route.password ? [0x00, 0x02] : [0x00];
+  socket.write(Buffer.from([0x05, methods.length, ...methods]));
+}
+
+// Socket to host:port through the route, wrapped in TLS for secure targets
+function openTunnel(route, host, port, secure, callback) {
+  const tunnel = route.type === 'socks5' ? socksTunnel : httpTunnel;
+  const connect = (address) => tunnel(route, address, port, (err, socket) => {
+    if (err) return callback(err);
+    if (!secure) return callback(null, socket);
+    callback(null, tls.connect({
+      socket,
+      servername: net.isIP(host) ? undefined : host,
+      ALPNProtocols: ['http/1.1']
+    }));
+  });
+  // socks5:// resolves names here, through the destination guard
+  if (route.type === 'socks5' && !route.remoteDns && !net.isIP(host)) {
+    return guardedLookup(host, {}, (err, address) => err ? callback(err) : connect(address));
+  }
+  connect(host);
+}
+
+// One agent per route and scheme; tunnels aren't reused between requests.
+// Keyed by the route itself: routes to one proxy can differ in credentials.
+const agents = new WeakMap();
+function tunnelAgent(route, secure) {
+  if (!agents.has(route)) agents.set(route, {});
+  const byScheme = agents.get(route);
+  const key = secure ? 'https:' : 'http:';
+  if (byScheme[key]) return byScheme[key];
+  const agent = new http.Agent({ keepAlive: false });
+  agent.protocol = key;
+  agent.createConnection = (options, callback) => {
+    openTunnel(route, options.host, Number(options.port), secure, callback);
+  };
+  byScheme[key] = agent;
+  return agent;
+}
+
+// An agent whose connections all fail with `err`
+function failingAgent(err, secure) {
+  const agent = new http.Agent();
+  agent.protocol = secure ? 'https:' : 'http:';
+  agent.createConnection = (options, callback) => process.nextTick(callback, err);
+  return agent;
+}
+
+// Drop-in for http(s).request(targetUrl, options, callback) that applies the
+// routing rules. ws:// and wss:// URLs are taken as http:// and https://.
+function upstreamRequest(targetUrl, options, callback) {
+  const url = new URL(targetUrl.replace(/^ws/, 'http'));
+  const secure = url.protocol === 'https:';
+  const transport = secure ? https : http;
+  // Literal addresses are never looked up, here or by a proxy, so
+  // guardedLookup doesn't see them; the request fails with the refusal
+  const refused = checkDestination(url.href);
+  if (refused) return transport.request(url, Object.assign({}, options, { agent: failingAgent(refused, secure) }), callback);
+  const route = routeFor(url.hostname);
+  if (!route) return transport.request(url, Object.assign({ lookup: guardedLookup }, options), callback);
+
+  // Plain http through an http proxy: absolute-form request to the proxy.
+  // Upgrades (WebSockets) still need a tunnel.
+  const headers = options.headers || {};
+  const upgrade = Object.keys(headers).some(name => name.toLowerCase() === 'upgrade');
+  if (route.type === 'http' && !secure && !upgrade) {
+    const proxyHeaders = Object.assign({}, headers, { Host: url.host });
+    const auth = proxyAuthorization(route);
+    if (auth) proxyHeaders['Proxy-Authorization'] = auth;
+    return (route.secure ? https : http).request(Object.assign({}, options, {
+      host: route.host,
+      port: route.port,
+      path: url.href,
+      headers: proxyHeaders,
+      agent: false
+    }), callback);
+  }
+  return transport.request(url, Object.assign({}, options, { agent: tunnelAgent(route, secure) }), callback);
+}
+
+module.exports = { upstreamRequest, routeFor };
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// URL cleaning: tracking parameters (utm_*, fbclid, gclid, ...) are taken
+// out of URLs, and links through click-logging redirectors
+// (google.com/url?q=, l.facebook.com/l.php?u=, out.reddit.com, ...) go
+// straight to their destination. Applied to /proxy/* requests, to the URLs
+// the HTML rewriter proxies and to the links the injected page script makes.
+//
+// Rules come from urls.cleaningRules, a file in ClearURLs' data.min.json
+// format, so their list can be dropped in as is:
+//
+//   { "providers": { "<name>": {
+//       "urlPattern": "<regexp the URL must match>",
+//       "exceptions": ["<regexp>", ...],     URLs left alone
+//       "redirections": ["<regexp>", ...],   group 1 is the destination
+//       "rawRules": ["<regexp>", ...],       removed from the URL text
+//       "rules": ["<regexp>", ...],          query parameter names removed
+//       "referralMarketing": [...]           removed too
+//   } } }
+//
+// completeProvider (block the whole URL) is left to the ad blocker. The file
+// is reloaded when it changes; one that can't be read or parsed leaves the
+// rules in use in place. Sites can opt out per session: URLs on an exempt
+// site, or one of its subdomains, are never cleaned.
+const RELOAD_DELAY = 500;
+
+// Compiled form of a rule file: [{ urlPattern, exceptions, redirections,
+// rawRules, rules }] with RegExps. Providers with a bad pattern are left
+// out. Runs in pages too (see browserCleanerSource), so it keeps to itself.
+function compileRules(data) {
+  const providers = [];
+  const list = (data && data.providers) || {};
+  for (const name of Object.keys(list)) {
+    const provider = list[name] || {};
+    try {
+      const params = (provider.rules || []).concat(provider.referralMarketing || []);
+      providers.push({
+        urlPattern: new RegExp(provider.urlPattern, 'i'),
+        exceptions: (provider.exceptions || []).map(re => new RegExp(re, 'i')),
+        redirections: (provider.redirections || []).map(re => new RegExp(re, 'i')),
+        rawRules: (provider.rawRules || []).map(re => new RegExp(re, 'gi')),
+        rules: params.length ? new RegExp(`^(?:${params.join('|')})$`, 'i') : null
+      });
+    } catch {}
+  }
+  return providers;
+}
+
+// `url` with the compiled rules applied: redirectors unwrapped (a few
+// levels deep) and tracking parameters dropped, the parameters that stay
+// keeping their exact spelling. URLs on `exemptSites` (hostnames) are
+// returned as they are. Runs in pages and workers too, so it keeps to
+// itself and has no line comments (the worker shim is one line).
+function applyRules(providers, url, exemptSites) {
+  for (let hop = 0; hop < 5; hop++) {
+    let host;
+    try {
+      const parsed = new URL(url);
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return url;
+      host = parsed.hostname;
+    } catch {
+      return url;
+    }
+    if (exemptSites.some(site => host === site || host.endsWith('.' + site))) return url;
+
+    let destination = null;
+    for (const provider of providers) {
+      if (!provider.urlPattern.test(url) || provider.exceptions.some(re => re.test(url))) continue;
+      for (const re of provider.redirections) {
+        const m = re.exec(url);
+        if (!m || !m[1]) continue;
+        try {
+          const target = new URL(decodeURIComponent(m[1]));
+          if (target.protocol === 'http:' || target.protocol === 'https:') destination = target.href;
+        } catch {}
+        if (destination) break;
+      }
+      if (destination) break;
+      for (const re of provider.rawRules) url = url.replace(re, '');
+      if (provider.rules) {
+        const hash = url.indexOf('#');
+        const fragment = hash === -1 ? '' : url.slice(hash);
+        const rest = hash === -1 ? url : url.slice(0, hash);
+        const question = rest.indexOf('?');
+        if (question === -1) continue;
+        const kept = rest.slice(question + 1).split('&').filter((pair) => {
+          let key = pair.split('=')[0];
+          try {
+            key = decodeURIComponent(key.replace(/\+/g, ' '));
+          } catch {}
+          return !provider.rules.test(key);
+        });
+        url = rest.slice(0, question) + (kept.length ? '?' + kept.join('&') : '') + fragment;
+      }
+    }
+    if (!destination) return url;
+    url = destination;
+  }
+  return url;
+}
+
+let source = { providers: {} };
+let providers = [];
+// Bumped on every (re)load, so output that embeds the rules can tell when
+// it's out of date
+let version = 0;
+
+function loadRules() {
+  const file = config.get().urls.cleaningRules;
+  if (!file) {
+    source = { providers: {} };
+  } else {
+    try {
+      source = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+      console.log(`URL cleaning rules unavailable (${file}): ${err.message}`);
+      return;
+    }
+  }
+  providers = compileRules(source);
+  version++;
+  const total = Object.keys(source.providers || {}).length;
+  if (file) console.log(`Loaded URL cleaning rules: ${providers.length} providers (${total - providers.length} skipped)`);
+}
+
+let reloadTimer = null;
+let watcher = null;
+function watchRules() {
+  if (watcher) watcher.close();
+  watcher = null;
+  const file = config.get().urls.cleaningRules;
+  if (!file) return;
+  try {
+    watcher = fs.watch(path.dirname(file), (event, name) => {
+      if (name && name !== path.basename(file)) return;
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(loadRules, RELOAD_DELAY);
+    }).unref();
+  } catch {}
+}
+
+loadRules();
+watchRules();
+config.onChange((settings, changed) => {
+  if (!changed.includes('urls.cleaningRules')) return;
+  loadRules();
+  watchRules();
+});
+
+// The site a hostname opts out under: lower case, without "www."
+function siteOf(hostname) {
+  return String(hostname).trim().toLowerCase().replace(/\.$/, '').replace(/^www\./, '');
+}
+
+// Cleaned copy of `url`; `exemptSites` is a session's set of opted-out sites
+function cleanUrl(url, exemptSites) {
+  if (!providers.length) return url;
+  return applyRules(providers, url, exemptSites ? [...exemptSites] : []);
+}
+
+// JS expression for the page runtime and the worker shim: a function(sites)
+// returning {clean(url) -> url}, with the current rules built in and `sites`
+// (a list of opted-out sites) left alone
+function browserCleanerSource() {
+  const rules = JSON.stringify(source).replace(/</g, '\\u003c');
+  return `(function(sites){
+    var compileRules=${compileRules},applyRules=${applyRules};
+    var providers=compileRules(${rules});
+    return {clean:function(u){return providers.length?applyRules(providers,u,sites):u;}};
+  })`;
+}
+
+function rulesVersion() {
+  return version;
+}
+
+module.exports = { cleanUrl, browserCleanerSource, siteOf, rulesVersion };
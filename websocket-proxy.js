@@ -0,0 +1,154 @@
+const http = require('http');
+const { URL } = require('url');
+const { pipeline } = require('stream');
+const { checkDestination } = require('./destination-guard');
+const { upstreamRequest } = require('./upstream-proxy');
+const { decodeTarget } = require('./proxy-url');
+
+// WebSocket relay for /proxy-ws/<encoded ws(s) URL>. The browser's handshake
+// is replayed upstream and, once the upstream answers 101, the two sockets
+// are piped together — frames, subprotocols and extensions pass through
+// untouched, so no WebSocket library is needed.
+const WS_PREFIX = '/proxy-ws/';
+const HANDSHAKE_TIMEOUT = 10000;
+
+// Handshake headers taken from the browser's request
+const CLIENT_HEADERS = ['sec-websocket-key', 'sec-websocket-version', 'sec-websocket-protocol', 'sec-websocket-extensions'];
+// Handshake headers passed back from the upstream's 101
+const UPSTREAM_HEADERS = ['sec-websocket-accept', 'sec-websocket-protocol', 'sec-websocket-extensions'];
+
+// Target ws(s) URL and the page that opened it from an upgrade request path,
+// or null if the path isn't a /proxy-ws/ URL. Both are in the proxy URL codec.
+function parseWebSocketPath(requestUrl) {
+  if (!requestUrl.startsWith(WS_PREFIX)) return null;
+  try {
+    const url = new URL(requestUrl, 'http://drift');
+    const target = new URL(decodeTarget(url.pathname.slice(WS_PREFIX.length)));
+    if (target.protocol !== 'ws:' && target.protocol !== 'wss:') return null;
+    const page = url.searchParams.get('page');
+    let pageUrl = null;
+    try { pageUrl = page && decodeTarget(page); } catch {}
+    return { targetUrl: target.href, pageUrl };
+  } catch {
+    return null;
+  }
+}
+
+// The http(s) URL the handshake is sent to
+function handshakeUrl(targetUrl) {
+  return targetUrl.replace(/^ws/, 'http');
+}
+
+// Answer an upgrade request with a plain HTTP error and hang up. headers:
+// extra response headers, like {'Retry-After': 1}
+function rejectUpgrade(socket, statusCode, message, headers) {
+  if (socket.destroyed) return;
+  const body = `${message}\n`;
+  const extra = Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`);
+  socket.end([
+    `HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode]}`,
+    'Connection: close',
+    'Content-Type: text/plain; charset=utf-8',
+    `Content-Length: ${Buffer.byteLength(body)}`,
+    ...extra,
+    '', body
+  ].join('\r\n'));
+}
+
+// Relay one upgrade request to targetUrl. options.headers are sent upstream
+// alongside the handshake (User-Agent, Origin, Cookie, ...);
+// options.onCookies receives the upstream's Set-Cookie headers,
+// options.onResult(statusCode, err) the status sent back to the browser and
+// options.onClose() is called once the relay is over: the upgrade was
+// refused, or either socket closed or failed.
+function proxyWebSocket(targetUrl, req, socket, head, options) {
+  options = options || {};
+  const url = handshakeUrl(targetUrl);
+  let reported = false;
+  const result = (statusCode, err) => {
+    if (reported || !options.onResult) return;
+    reported = true;
+    options.onResult(statusCode, err);
+  };
+  let over = false;
+  const finish = () => {
+    if (over) return;
+    over = true;
+    if (options.onClose) options.onClose();
+  };
+  const reject = (statusCode, message, err) => {
+    result(statusCode, err);
+    rejectUpgrade(socket, statusCode, message);
+    finish();
+  };
+
+  const refused = checkDestination(url);
+  if (refused) return reject(403, refused.message, refused);
+
+  const headers = Object.assign({}, options.headers, { 'Connection': 'Upgrade', 'Upgrade': 'websocket' });
+  for (const name of CLIENT_HEADERS) {
+    if (req.headers[name]) headers[name] = req.headers[name];
+  }
+
+  const upstreamReq = upstreamRequest(url, { headers });
+
+  upstreamReq.on('upgrade', (upstreamRes, upstreamSocket, upstreamHead) => {
+    upstreamReq.setTimeout(0);
+    if (options.onCookies) options.onCookies(upstreamRes.headers['set-cookie']);
+    if (socket.destroyed) {
+      result(499);
+      return upstreamSocket.destroy();
+    }
+
+    const lines = ['HTTP/1.1 101 Switching Protocols', 'Upgrade: websocket', 'Connection: Upgrade'];
+    for (const name of UPSTREAM_HEADERS) {
+      if (upstreamRes.headers[name]) lines.push(`${name}: ${upstreamRes.headers[name]}`);
+    }
+    socket.write(lines.join('\r\n') + '\r\n\r\n');
+    result(101);
+    if (upstreamHead.length) socket.write(upstreamHead);
+    if (head.length) upstreamSocket.write(head);
+
+    socket.setNoDelay(true);
+    upstreamSocket.setNoDelay(true);
+    upstreamSocket.on('close', finish);
+    upstreamSocket.on('error', finish);
+    const close = () => {
+      socket.destroy();
+      upstreamSocket.destroy();
+    };
+    pipeline(socket, upstreamSocket, close);
+    pipeline(upstreamSocket, socket, close);
+  });
+
+  // The upstream answered the handshake with a normal response
+  upstreamReq.on('response', (upstreamRes) => {
+    upstreamRes.resume();
+    if (options.onCookies) options.onCookies(upstreamRes.headers['set-cookie']);
+    reject(502, `Upstream refused the WebSocket upgrade (${upstreamRes.statusCode})`);
+  });
+
+  upstreamReq.on('error', (err) => {
+    if (err.code === 'EDESTINATION') return reject(403, err.message, err);
+    reject(502, `Failed to connect: ${err.message}`, err);
+  });
+
+  upstreamReq.setTimeout(HANDSHAKE_TIMEOUT, () => {
+    upstreamReq.destroy();
+    reject(504, 'WebSocket handshake timed out');
+  });
+
+  // Browser gave up before the upstream answered
+  socket.on('error', () => {
+    upstreamReq.destroy();
+    finish();
+  });
+  socket.on('close', () => {
+    upstreamReq.destroy();
+    finish();
+  });
+
+  upstreamReq.end();
+}
+
+module.exports = { parseWebSocketPath, proxyWebSocket, handshakeUrl, rejectUpgrade };